@@ -28,16 +28,25 @@ const APP_CONFIG = {
     THOUSAND_SEPARATOR: ',',
     DECIMAL_SEPARATOR: '.',
 
-    // Danh sách dịch vụ mặc định
+    // Danh sách dịch vụ dự phòng (khi chưa tải được sheet "Dịch vụ"); nút "Khác" luôn được thêm
     DEFAULT_SERVICES: [
-        'Cắt tóc',
-        'Gội',
-        'Uốn',
-        'Nhuộm',
-        'Tẩy',
-        'Khác'
+        { name: 'Cắt tóc', emoji: '💇' },
+        { name: 'Gội', emoji: '🚿' },
+        { name: 'Uốn', emoji: '➿' },
+        { name: 'Nhuộm', emoji: '🎨' },
+        { name: 'Tẩy', emoji: '✨' }
     ],
 
+    // VietQR: tài khoản nhận chuyển khoản (để trống BANK_BIN để tắt mã QR)
+    // BANK_BIN là mã BIN 6 số của ngân hàng theo Napas (vd. Vietcombank 970436)
+    VIETQR: {
+        BANK_BIN: '',
+        ACCOUNT_NO: '',
+        ACCOUNT_NAME: '',
+        // Tiền tố nội dung chuyển khoản, theo sau là mã đơn
+        PURPOSE_PREFIX: 'SALON'
+    },
+
     // GitHub Pages URL (để whitelist CORS nếu cần)
     PRODUCTION_URL: 'https://vantuanleforwork.github.io/Hairsalon-PWA/',
 
@@ -10,6 +10,7 @@
 // Configuration
 const CONFIG = {
   SPREADSHEET_ID: '1dqxdNQTdIvf7mccYMW825Xiuck-vK3kOOcHkn-YCphU',
+  // Orders go to one sheet per month named "<SHEET_NAME> yyyy-MM" (e.g. "Đơn hàng 2026-10")
   SHEET_NAME: 'Đơn hàng',
   GOOGLE_CLIENT_ID: '36454863313-tlsos46mj2a63sa6k4hjralerarugtku.apps.googleusercontent.com',
   MAX_ORDERS_PER_REQUEST: 100,
@@ -19,7 +20,22 @@ const CONFIG = {
   MAX_PRICE: 50000, // Maximum price in thousands (50 million VND)
   MIN_PRICE: 1, // Minimum price in thousands (1000 VND)
   MAX_NOTES_LENGTH: 500, // Maximum notes length
-  MAX_SERVICE_NAME_LENGTH: 100 // Maximum service name length
+  MAX_SERVICE_NAME_LENGTH: 100, // Maximum service name length
+  // Idempotent create: how long a client key is remembered in cache (seconds, CacheService max 6h)
+  IDEMPOTENCY_TTL: 6 * 60 * 60,
+  // Fallback when the cache entry is gone: how many of the newest monthly sheets to search for the key
+  IDEMPOTENCY_SCAN_MONTHS: 2,
+  // true: create/update only accept active services from the "Dịch vụ" sheet
+  ENFORCE_SERVICE_CATALOG: false,
+  MAX_ORDER_ITEMS: 20, // Line items per order
+  // Appointments: default/max length in minutes, widest range one "appointments" call may read
+  DEFAULT_APPOINTMENT_MINUTES: 60,
+  MAX_APPOINTMENT_MINUTES: 8 * 60,
+  MAX_APPOINTMENT_RANGE_DAYS: 31,
+  // Stats: longest custom period (days); the previous period doubles what is read
+  MAX_STATS_RANGE_DAYS: 366,
+  // Bulk import ("importOrders"): rows per request
+  MAX_IMPORT_ROWS: 50
 };
 
 /** Lấy sheet "Nhân viên" (đảm bảo tồn tại và có header) */
@@ -68,6 +84,90 @@ function getEmployeeNameByEmail(email) {
   return '';
 }
 
+// Roles from the "Vai trò" column (empty = staff)
+const ROLES = {
+  STAFF: 'staff',
+  MANAGER: 'manager',
+  OWNER: 'owner'
+};
+
+/** Map a "Vai trò" cell (English or Vietnamese) to one of ROLES */
+function normalizeRole(value) {
+  var v = String(value || '').normalize('NFC').trim().toLowerCase();
+  if (v === 'owner' || v === 'chủ' || v === 'chủ tiệm' || v === 'chủ salon') return ROLES.OWNER;
+  if (v === 'manager' || v === 'quản lý') return ROLES.MANAGER;
+  return ROLES.STAFF;
+}
+
+/** Managers and owners may see and change every employee's orders */
+function canManageOrders(role) {
+  return role === ROLES.MANAGER || role === ROLES.OWNER;
+}
+
+/** Tìm nhân viên theo email: { email, name, role } hoặc null nếu không có trong sheet */
+function resolveCaller(email) {
+  if (!email) return null;
+  const sheet = getNhanVienSheet();
+  const values = sheet.getDataRange().getValues();
+  const target = String(email).toLowerCase();
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (String(row[0]).toLowerCase() === target) {
+      return { email: target, name: row[1] || '', role: normalizeRole(row[2]) };
+    }
+  }
+  return null;
+}
+
+/** Danh sách nhân viên { email, name, role } từ sheet "Nhân viên" */
+function getEmployees() {
+  const values = getNhanVienSheet().getDataRange().getValues();
+  const employees = [];
+  for (var i = 1; i < values.length; i++) {
+    if (!values[i][0]) continue;
+    employees.push({
+      email: String(values[i][0]).toLowerCase(),
+      name: values[i][1] || '',
+      role: normalizeRole(values[i][2])
+    });
+  }
+  return employees;
+}
+
+/**
+ * Which employee's rows a read may cover: '' means everyone.
+ * Staff always get their own email; managers get their own unless they ask for
+ * a specific employee (params.employee) or 'all'.
+ */
+function resolveEmployeeScope(params) {
+  var requester = String((params && params._email) || '').toLowerCase();
+  if (!canManageOrders(params && params._role)) return requester;
+  var wanted = String((params && params.employee) || '').toLowerCase();
+  if (wanted === 'all') return '';
+  return wanted || requester;
+}
+
+/** May the caller change/see this order? Owner of the row, or a manager */
+function canAccessOrder(params, ownerEmail) {
+  var requester = params && params._email;
+  if (!requester) return true;
+  if (canManageOrders(params && params._role)) return true;
+  return String(ownerEmail).toLowerCase() === String(requester).toLowerCase();
+}
+
+/** Profile returned at login: role (and the staff list for managers) */
+function getProfile(params) {
+  var caller = resolveCaller(params && params._email);
+  if (!caller) return { success: false, error: 'Forbidden' };
+  var profile = { success: true, email: caller.email, name: caller.name, role: caller.role };
+  if (canManageOrders(caller.role)) {
+    profile.employees = getEmployees();
+    // Managers are asked to run setupOrderSheets until the old sheet is split and the summary built
+    profile.setup = getOrderSheetsSetup();
+  }
+  return profile;
+}
+
 /** Check if email is allowed (server-side) */
 function isAllowedEmail(email) {
   if (!email) return false;
@@ -101,6 +201,12 @@ const RateLimiter = {
   }
 };
 
+/** Lock waits, quotas and service hiccups: the same request can go through a little later */
+function isTransientError(error) {
+  return /lock|timed? ?out|too many times|service.*(failed|unavailable|error)|try again/i
+    .test(String((error && error.message) || error));
+}
+
 /** Input validation */
 const Validator = {
   validatePrice: function(price) {
@@ -135,7 +241,14 @@ const Validator = {
       throw new Error('Tên dịch vụ quá dài');
     }
     // Sanitize input to prevent injection
-    return service.trim().replace(/[<>"']/g, '');
+    var name = service.trim().replace(/[<>"']/g, '');
+    if (CONFIG.ENFORCE_SERVICE_CATALOG) {
+      var key = normalizeKey(name);
+      var match = getServiceCatalog().filter(function(svc) { return normalizeKey(svc.name) === key; })[0];
+      if (!match) throw new Error('Dịch vụ không có trong danh mục');
+      return match.name;
+    }
+    return name;
   },
   
   validateNotes: function(notes) {
@@ -151,6 +264,105 @@ const Validator = {
       throw new Error('Ngày không hợp lệ');
     }
     return date;
+  },
+
+  // Line items: JSON string or array of { service, quantity, unitPrice }
+  validateItems: function(items) {
+    var list = items;
+    if (typeof list === 'string') {
+      try { list = JSON.parse(list); } catch (e) { throw new Error('Danh sách dịch vụ không hợp lệ'); }
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('Đơn phải có ít nhất một dịch vụ');
+    }
+    if (list.length > CONFIG.MAX_ORDER_ITEMS) {
+      throw new Error('Tối đa ' + CONFIG.MAX_ORDER_ITEMS + ' dịch vụ mỗi đơn');
+    }
+    var self = this;
+    return list.map(function(item) {
+      var quantity = Number(item && item.quantity || 1);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+        throw new Error('Số lượng không hợp lệ (1 - 99)');
+      }
+      return {
+        service: self.validateService(item && item.service),
+        quantity: quantity,
+        unitPrice: self.validatePrice(item && item.unitPrice)
+      };
+    });
+  },
+
+  // Discount / tip in VND (0 allowed)
+  validateAmount: function(amount, label) {
+    if (amount === undefined || amount === null || amount === '') return 0;
+    var value = Number(amount);
+    if (isNaN(value) || value < 0 || value > CONFIG.MAX_PRICE * 1000) {
+      throw new Error(label + ' không hợp lệ (0 - 50,000,000 VND)');
+    }
+    return Math.round(value);
+  },
+
+  // Appointment start: ISO string (or anything Date parses)
+  validateAppointmentStart: function(value) {
+    var start = value instanceof Date ? value : new Date(value);
+    if (!value || isNaN(start.getTime())) {
+      throw new Error('Thời gian hẹn không hợp lệ');
+    }
+    return start;
+  },
+
+  // Minutes, 5 to CONFIG.MAX_APPOINTMENT_MINUTES; blank = CONFIG.DEFAULT_APPOINTMENT_MINUTES
+  validateDuration: function(minutes) {
+    if (minutes === undefined || minutes === null || minutes === '') return CONFIG.DEFAULT_APPOINTMENT_MINUTES;
+    var num = Number(minutes);
+    if (!Number.isInteger(num) || num < 5 || num > CONFIG.MAX_APPOINTMENT_MINUTES) {
+      throw new Error('Thời lượng phải từ 5 đến ' + CONFIG.MAX_APPOINTMENT_MINUTES + ' phút');
+    }
+    return num;
+  },
+
+  // Payment method key (cash | transfer | card); blank = not recorded (older clients)
+  validatePaymentMethod: function(method) {
+    if (method === undefined || method === null || method === '') return '';
+    var key = normalizePaymentMethod(method);
+    if (!key) throw new Error('Hình thức thanh toán không hợp lệ');
+    return key;
+  },
+
+  // Optional customer phone: 0 + 9-10 digits after normalizing (+84, spaces, dots)
+  validatePhone: function(phone) {
+    if (phone === undefined || phone === null || phone === '') return '';
+    var normalized = normalizePhone(phone);
+    if (!/^0\d{9,10}$/.test(normalized)) {
+      throw new Error('Số điện thoại không hợp lệ');
+    }
+    return normalized;
+  },
+
+  validateCustomerName: function(name) {
+    if (name && String(name).length > CONFIG.MAX_SERVICE_NAME_LENGTH) {
+      throw new Error('Tên khách quá dài');
+    }
+    return name ? String(name).trim().replace(/[<>"']/g, '') : '';
+  },
+
+  // Optional client-generated key; also used as the order ID
+  validateIdempotencyKey: function(key) {
+    if (!key) return '';
+    var k = String(key).trim();
+    if (!/^[A-Za-z0-9_-]{6,64}$/.test(k)) {
+      throw new Error('Mã đơn không hợp lệ');
+    }
+    return k;
+  },
+
+  // Client time of a create (an offline order replayed later keeps its own day, however late).
+  // Never throws: a queued order must not be lost over its clock; blank, unreadable or future = now
+  validateOrderTime: function(timestamp, now) {
+    if (!timestamp) return now;
+    var ts = new Date(timestamp);
+    if (isNaN(ts.getTime()) || ts > now) return now;
+    return ts;
   }
 };
 
@@ -178,51 +390,467 @@ const COLUMNS = {
   TIMESTAMP: 1,       // B
   EMPLOYEE: 2,        // C (email)
   EMPLOYEE_NAME: 3,   // D (tên nhân viên)
-  SERVICE: 4,         // E
-  PRICE: 5,           // F
-  NOTES: 6            // G
+  SERVICE: 4,         // E (tóm tắt các dịch vụ)
+  PRICE: 5,           // F (doanh thu: tổng dòng - giảm giá, không gồm tip)
+  NOTES: 6,           // G
+  ITEMS: 7,           // H (JSON [{ service, quantity, unitPrice }])
+  DISCOUNT: 8,        // I
+  TIP: 9,             // J
+  PAYMENT_METHOD: 10, // K (Tiền mặt / Chuyển khoản / Thẻ)
+  CUSTOMER_PHONE: 11, // L (khóa sang sheet "Khách hàng")
+  CUSTOMER_NAME: 12   // M (tên lúc tạo đơn, như cột D)
+};
+
+// Order sheet headers (same order as COLUMNS)
+const ORDER_HEADERS = ['ID', 'Thời gian', 'Email nhân viên', 'Tên nhân viên', 'Dịch vụ', 'Giá', 'Ghi chú', 'Chi tiết', 'Giảm giá', 'Tip', 'Thanh toán', 'SĐT khách', 'Tên khách'];
+
+// Customers, keyed by phone number
+const CUSTOMERS_SHEET_NAME = 'Khách hàng';
+const CUSTOMER_HEADERS = ['Số điện thoại', 'Tên khách', 'Ghi chú', 'Ngày tạo', 'Lần ghé gần nhất', 'Điểm', 'Số lần ghé'];
+const CUSTOMER_COLUMNS = {
+  PHONE: 0,       // A
+  NAME: 1,        // B
+  NOTES: 2,       // C (vd. công thức màu nhuộm)
+  CREATED_AT: 3,  // D
+  LAST_VISIT: 4,  // E
+  POINTS: 5,      // F (số dư; sổ điểm chi tiết ở sheet "Điểm thưởng")
+  VISITS: 6       // G
+};
+
+// Payment methods: API key → label stored in the "Thanh toán" column
+const PAYMENT_METHODS = {
+  cash: 'Tiền mặt',
+  transfer: 'Chuyển khoản',
+  card: 'Thẻ'
+};
+
+/** Map a key or a "Thanh toán" label to a PAYMENT_METHODS key ('' when blank/unknown) */
+function normalizePaymentMethod(value) {
+  var v = normalizeKey(value);
+  if (!v) return '';
+  if (PAYMENT_METHODS[v]) return v;
+  for (var key in PAYMENT_METHODS) {
+    if (normalizeKey(PAYMENT_METHODS[key]) === v) return key;
+  }
+  if (v === 'ck' || v === 'chuyển khoản ngân hàng' || v === 'bank') return 'transfer';
+  if (v === 'thẻ ngân hàng' || v === 'pos') return 'card';
+  return '';
+}
+
+// Service catalog: one row per service shown on the order form
+const SERVICES_SHEET_NAME = 'Dịch vụ';
+const SERVICE_HEADERS = ['Tên dịch vụ', 'Emoji', 'Nhóm', 'Giá mặc định', 'Đang dùng', 'Thứ tự'];
+const SERVICE_COLUMNS = {
+  NAME: 0,          // A
+  EMOJI: 1,         // B
+  CATEGORY: 2,      // C
+  DEFAULT_PRICE: 3, // D (VND)
+  ACTIVE: 4,        // E
+  SORT_ORDER: 5     // F
+};
+// Seed rows for a new "Dịch vụ" sheet (the buttons the app used to hard-code)
+const DEFAULT_SERVICES = [
+  ['Cắt tóc', '💇', 'Cắt', '', true, 1],
+  ['Gội', '🚿', 'Chăm sóc', '', true, 2],
+  ['Uốn', '➿', 'Tạo kiểu', '', true, 3],
+  ['Nhuộm', '🎨', 'Màu', '', true, 4],
+  ['Tẩy', '✨', 'Màu', '', true, 5]
+];
+
+// Trash sheet: order columns followed by who deleted the row and when
+const TRASH_SHEET_NAME = 'Đã xóa';
+const TRASH_COLUMNS = {
+  DELETED_BY: ORDER_HEADERS.length,      // right after the order columns
+  DELETED_AT: ORDER_HEADERS.length + 1
 };
 
-/** Initialize the order sheet with headers if missing */
-function initializeSheet() {
+/** "yyyy-MM" of an order time: the monthly sheet the order belongs to */
+function orderMonthKey(date) {
+  var d = (date instanceof Date) ? date : new Date(date);
+  return d.getFullYear() + '-' + ('0' + (d.getMonth() + 1)).slice(-2);
+}
+
+/** The sheet of one month's orders; created with headers when create is set, otherwise null if missing */
+function getOrderSheet(monthKey, create) {
   const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
-  let sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
-  if (!sheet) {
-    const legacy = ss.getSheetByName('Orders');
-    if (legacy) {
-      legacy.setName(CONFIG.SHEET_NAME);
-      sheet = legacy;
+  const name = CONFIG.SHEET_NAME + ' ' + monthKey;
+  let sheet = ss.getSheetByName(name);
+  if (!sheet && create) {
+    sheet = ss.insertSheet(name);
+    sheet.getRange(1, 1, 1, ORDER_HEADERS.length).setValues([ORDER_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** Grow a sheet so rows up to lastRow exist (writing past the last row fails) */
+function ensureSheetRows(sheet, lastRow) {
+  var missing = lastRow - sheet.getMaxRows();
+  if (missing > 0) sheet.insertRowsAfter(sheet.getMaxRows(), missing);
+}
+
+/**
+ * Monthly order sheets newest first, as [{ month, sheet }].
+ * With start/end (Dates, end exclusive) only the months overlapping that range are returned,
+ * so a query never opens sheets it cannot match.
+ */
+function getOrderSheets(start, end) {
+  var pattern = new RegExp('^' + CONFIG.SHEET_NAME + ' (\\d{4}-\\d{2})$');
+  var first = start ? orderMonthKey(start) : '';
+  var last = end ? orderMonthKey(new Date(end.getTime() - 1)) : '';
+  return SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID).getSheets()
+    .map(function(sheet) {
+      var match = pattern.exec(sheet.getName());
+      return match ? { month: match[1], sheet: sheet } : null;
+    })
+    .filter(function(entry) {
+      return entry && (!first || entry.month >= first) && (!last || entry.month <= last);
+    })
+    .sort(function(a, b) { return a.month < b.month ? 1 : -1; });
+}
+
+/**
+ * Call visit(row) for every order row, newest first, across the monthly sheets overlapping
+ * [start, end) (both optional). Each sheet is kept in time order, so the walk stays sorted across
+ * months; visit returns false to stop.
+ */
+function forEachOrderRow(start, end, visit) {
+  var sheets = getOrderSheets(start, end);
+  for (var s = 0; s < sheets.length; s++) {
+    var values = sheets[s].sheet.getDataRange().getValues();
+    for (var i = values.length - 1; i >= 1; i--) {
+      if (visit(values[i]) === false) return;
+    }
+  }
+}
+
+/**
+ * Find an order by ID: { sheet, rowNumber (1-based), row } or null.
+ * Searches only the ID column (TextFinder, no full read), newest month first; maxMonths limits how far back.
+ */
+function findOrderRow(id, maxMonths) {
+  var key = String(id || '');
+  if (!key) return null;
+  var sheets = getOrderSheets();
+  if (maxMonths) sheets = sheets.slice(0, maxMonths);
+  for (var s = 0; s < sheets.length; s++) {
+    var found = findOrderRowInSheet(sheets[s].sheet, key);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** findOrderRow within one month's sheet (null when the sheet is missing) */
+function findOrderRowInSheet(sheet, key) {
+  if (!sheet || sheet.getLastRow() <= 1) return null;
+  var cell = sheet.getRange(2, COLUMNS.ID + 1, sheet.getLastRow() - 1, 1)
+    .createTextFinder(key).matchEntireCell(true).findNext();
+  if (!cell) return null;
+  var rowNumber = cell.getRow();
+  return { sheet: sheet, rowNumber: rowNumber, row: sheet.getRange(rowNumber, 1, 1, ORDER_HEADERS.length).getValues()[0] };
+}
+
+/** Add an order row to its month's sheet, in time order */
+function insertOrderRow(row) {
+  insertOrderRowChronologically(getOrderSheet(orderMonthKey(row[COLUMNS.TIMESTAMP]), true), row);
+}
+
+/** The single order sheet used before monthly sheets ("Đơn hàng", or the older "Orders"), if still there */
+function getLegacyOrderSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  return ss.getSheetByName(CONFIG.SHEET_NAME) || ss.getSheetByName('Orders');
+}
+
+/** Bring an old order sheet to the current column layout (D "Tên nhân viên", H onward) */
+function upgradeLegacyOrderColumns(sheet) {
+  const firstRow = sheet.getRange(1, 1, 1, Math.max(7, sheet.getLastColumn())).getValues()[0];
+  var hasNameCol = false;
+  for (var i = 0; i < firstRow.length; i++) {
+    if (String(firstRow[i]).toLowerCase().indexOf('tên nhân viên') >= 0) { hasNameCol = true; break; }
+  }
+  if (!hasNameCol) {
+    sheet.insertColumnAfter(3);
+    sheet.getRange(1, 4).setValue('Tên nhân viên');
+  }
+  if (sheet.getMaxColumns() < ORDER_HEADERS.length) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), ORDER_HEADERS.length - sheet.getMaxColumns());
+  }
+}
+
+/**
+ * What is left to do after deploying this version: split the old single sheet (migrate) and/or build
+ * "Tổng hợp ngày" (summary). Only checks that sheets exist; the work is setupOrderSheets.
+ */
+function getOrderSheetsSetup() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  var setup = { migrate: !!getLegacyOrderSheet(), summary: !ss.getSheetByName(DAILY_SUMMARY_SHEET_NAME) };
+  return (setup.migrate || setup.summary) ? setup : null;
+}
+
+/**
+ * Action "setupOrderSheets" (manager/owner), or run from the editor: moves the old sheet's orders into
+ * the monthly sheets, then builds the summary from them. Safe to run again.
+ */
+function setupOrderSheets(data) {
+  // From the editor there is no caller
+  if (data && !canManageOrders(data._role)) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var migration = migrateOrdersToMonthlySheets();
+    // Migrated rows are not in the summary yet, so it is rebuilt after any migration
+    var summary = (migration.migrated || !getDailySummarySheet()) ? writeDailySummary() : null;
+    return {
+      success: true,
+      migrated: migration.migrated,
+      skipped: migration.skipped,
+      orders: summary ? summary.orders : null
+    };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Split the old single order sheet into monthly sheets (see setupOrderSheets).
+ * Rows whose ID is already in the month's sheet are skipped, so an interrupted run can be repeated.
+ * The old sheet is then renamed "<SHEET_NAME> (cũ)" and kept as a backup; rows without a readable
+ * date stay only there.
+ */
+function migrateOrdersToMonthlySheets() {
+  var legacy = getLegacyOrderSheet();
+  if (!legacy) return { success: true, migrated: 0, skipped: 0 };
+  upgradeLegacyOrderColumns(legacy);
+
+  var values = legacy.getDataRange().getValues();
+  var byMonth = {};
+  var skipped = 0;
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i].slice(0, ORDER_HEADERS.length);
+    while (row.length < ORDER_HEADERS.length) row.push('');
+    if (!row[COLUMNS.ID]) continue;
+    var ts = row[COLUMNS.TIMESTAMP];
+    if (!(ts instanceof Date)) ts = new Date(ts);
+    if (isNaN(ts.getTime())) {
+      skipped++;
+      continue;
     }
+    row[COLUMNS.TIMESTAMP] = ts;
+    var month = orderMonthKey(ts);
+    (byMonth[month] = byMonth[month] || []).push(row);
   }
 
+  var migrated = 0;
+  Object.keys(byMonth).forEach(function(month) {
+    var sheet = getOrderSheet(month, true);
+    var existing = sheet.getLastRow() > 1
+      ? sheet.getRange(2, 1, sheet.getLastRow() - 1, ORDER_HEADERS.length).getValues()
+      : [];
+    var seen = {};
+    existing.forEach(function(row) { seen[String(row[COLUMNS.ID])] = true; });
+    var added = byMonth[month].filter(function(row) {
+      if (seen[String(row[COLUMNS.ID])]) return false;
+      seen[String(row[COLUMNS.ID])] = true;
+      return true;
+    });
+    if (!added.length) return;
+    // One write per month, oldest first like every order sheet
+    var rows = existing.concat(added).sort(function(a, b) {
+      return new Date(a[COLUMNS.TIMESTAMP]) - new Date(b[COLUMNS.TIMESTAMP]);
+    });
+    ensureSheetRows(sheet, rows.length + 1);
+    sheet.getRange(2, 1, rows.length, ORDER_HEADERS.length).setValues(rows);
+    migrated += added.length;
+  });
+
+  legacy.setName(CONFIG.SHEET_NAME + ' (cũ)');
+  return { success: true, migrated: migrated, skipped: skipped };
+}
+
+/** Lấy sheet "Đã xóa" (thùng rác cho đơn đã xóa) */
+function getTrashSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(TRASH_SHEET_NAME);
   if (!sheet) {
-    sheet = ss.insertSheet(CONFIG.SHEET_NAME);
-    const headers = ['ID', 'Thời gian', 'Email nhân viên', 'Tên nhân viên', 'Dịch vụ', 'Giá', 'Ghi chú'];
+    sheet = ss.insertSheet(TRASH_SHEET_NAME);
+    const headers = ORDER_HEADERS.concat(['Người xóa', 'Thời gian xóa']);
     sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
     sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
     sheet.setFrozenRows(1);
   } else {
-    // Ensure column D exists and is labeled
-    const firstRow = sheet.getRange(1, 1, 1, Math.max(7, sheet.getLastColumn())).getValues()[0];
-    var hasNameCol = false;
-    for (var i = 0; i < firstRow.length; i++) {
-      if (String(firstRow[i]).toLowerCase().indexOf('tên nhân viên') >= 0) { hasNameCol = true; break; }
+    // Order columns grew since the row was trashed: shift "Người xóa"/"Thời gian xóa" right
+    var header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var deletedByIndex = header.indexOf('Người xóa');
+    if (deletedByIndex >= 0 && deletedByIndex < TRASH_COLUMNS.DELETED_BY) {
+      sheet.insertColumnsBefore(deletedByIndex + 1, TRASH_COLUMNS.DELETED_BY - deletedByIndex);
+      sheet.getRange(1, 1, 1, ORDER_HEADERS.length).setValues([ORDER_HEADERS]);
     }
-    if (!hasNameCol) {
-      sheet.insertColumnAfter(3);
-      sheet.getRange(1, 4).setValue('Tên nhân viên');
-    }
-    // Trim optional extra columns H-J if present
-    if (sheet.getLastColumn() >= 10) sheet.deleteColumn(10);
-    if (sheet.getLastColumn() >= 9) sheet.deleteColumn(9);
-    if (sheet.getLastColumn() >= 8) sheet.deleteColumn(8);
   }
+  return sheet;
+}
+
+/** Lấy sheet "Dịch vụ" (tạo mới kèm danh mục mặc định nếu chưa có) */
+function getServicesSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(SERVICES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SERVICES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, SERVICE_HEADERS.length).setValues([SERVICE_HEADERS]);
+    sheet.getRange(1, 1, 1, SERVICE_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.getRange(2, 1, DEFAULT_SERVICES.length, SERVICE_HEADERS.length).setValues(DEFAULT_SERVICES);
+  }
+  return sheet;
+}
+
+/** "Đang dùng" cell → boolean (blank counts as active) */
+function isActiveCell(value) {
+  if (value === true || value === '' || value == null) return true;
+  if (value === false) return false;
+  var v = normalizeKey(value);
+  return !(v === 'false' || v === '0' || v === 'không' || v === 'no' || v === 'ngừng');
+}
+
+/** Services from the "Dịch vụ" sheet sorted by "Thứ tự"; inactive ones only when asked */
+function getServiceCatalog(includeInactive) {
+  var values = getServicesSheet().getDataRange().getValues();
+  var services = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var name = String(row[SERVICE_COLUMNS.NAME] || '').trim();
+    if (!name) continue;
+    var active = isActiveCell(row[SERVICE_COLUMNS.ACTIVE]);
+    if (!active && !includeInactive) continue;
+    var sortOrder = Number(row[SERVICE_COLUMNS.SORT_ORDER]);
+    services.push({
+      name: name,
+      emoji: String(row[SERVICE_COLUMNS.EMOJI] || ''),
+      category: String(row[SERVICE_COLUMNS.CATEGORY] || ''),
+      defaultPrice: parseOrderPrice(row[SERVICE_COLUMNS.DEFAULT_PRICE]),
+      active: active,
+      // Rows without a number go last, in sheet order
+      sortOrder: isNaN(sortOrder) || row[SERVICE_COLUMNS.SORT_ORDER] === '' ? values.length + i : sortOrder
+    });
+  }
+  services.sort(function(a, b) { return a.sortOrder - b.sortOrder; });
+  return services;
+}
+
+/** Action "services": the catalog for the order form (managers may ask for inactive rows too) */
+function getServices(params) {
+  var includeInactive = canManageOrders(params && params._role) && String(params && params.includeInactive) === 'true';
+  return { success: true, services: getServiceCatalog(includeInactive), enforced: CONFIG.ENFORCE_SERVICE_CATALOG };
+}
 
-  // Ensure Employees sheet exists
-  // Removed legacy "Employees" sheet; only using "Nhân viên" now.
+// Audit log: one append-only row per mutation
+const AUDIT_SHEET_NAME = 'Nhật ký';
+const AUDIT_HEADERS = ['Thời gian', 'Email', 'Hành động', 'ID đơn', 'Trước', 'Sau', 'Phiên bản app', 'Origin'];
+const AUDIT_COLUMNS = {
+  TIMESTAMP: 0,   // A
+  EMAIL: 1,       // B
+  ACTION: 2,      // C
+  ORDER_ID: 3,    // D
+  BEFORE: 4,      // E (JSON)
+  AFTER: 5,       // F (JSON)
+  APP_VERSION: 6, // G
+  ORIGIN: 7       // H
+};
+
+/** Lấy sheet "Nhật ký" (chỉ ghi thêm) */
+function getAuditSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(AUDIT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]);
+    sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    // Warn anyone editing the log by hand
+    sheet.protect().setDescription('Nhật ký chỉ ghi thêm').setWarningOnly(true);
+  }
   return sheet;
 }
 
+/**
+ * Append an audit entry for a mutation.
+ * context is the request data (_email, appVersion, origin); before/after are order snapshots or null.
+ */
+function writeAuditLog(context, action, orderId, before, after) {
+  try {
+    getAuditSheet().appendRow([
+      new Date(),
+      String((context && context._email) || ''),
+      action,
+      orderId || '',
+      before ? JSON.stringify(before) : '',
+      after ? JSON.stringify(after) : '',
+      String((context && context.appVersion) || ''),
+      String((context && context.origin) || '')
+    ]);
+  } catch (e) {
+    // Never fail the mutation because the log could not be written
+    console.error('Audit log write failed: ' + e);
+  }
+}
+
+/** Read the audit log (owner only), filtered by date range (from/to YYYY-MM-DD) and employee email */
+function getAuditLog(params) {
+  // Not 'Forbidden': the client treats that as an expired session
+  if ((params && params._role) !== ROLES.OWNER) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+
+  var from = params && params.from ? parseDateParam(Validator.validateDate(params.from)) : null;
+  var to = params && params.to ? parseDateParam(Validator.validateDate(params.to)) : null;
+  var toEnd = to ? new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1) : null;
+  var employee = params && params.employee ? String(params.employee).toLowerCase() : '';
+
+  var max = CONFIG.MAX_ORDERS_PER_REQUEST;
+  var limit = parseInt(params && params.limit, 10);
+  if (!(limit > 0) || limit > max) limit = max;
+
+  var values = getAuditSheet().getDataRange().getValues();
+  var entries = [];
+  // Newest first; rows are appended in time order so we can stop once older than "from"
+  for (var i = values.length - 1; i >= 1; i--) {
+    var row = values[i];
+    var ts = row[AUDIT_COLUMNS.TIMESTAMP];
+    if (!(ts instanceof Date)) ts = new Date(ts);
+    if (toEnd && ts >= toEnd) continue;
+    if (from && ts < from) break;
+    if (employee && String(row[AUDIT_COLUMNS.EMAIL]).toLowerCase() !== employee) continue;
+
+    entries.push({
+      timestamp: ts.toISOString(),
+      email: row[AUDIT_COLUMNS.EMAIL],
+      action: row[AUDIT_COLUMNS.ACTION],
+      orderId: row[AUDIT_COLUMNS.ORDER_ID],
+      before: parseAuditSnapshot(row[AUDIT_COLUMNS.BEFORE]),
+      after: parseAuditSnapshot(row[AUDIT_COLUMNS.AFTER]),
+      appVersion: row[AUDIT_COLUMNS.APP_VERSION],
+      origin: row[AUDIT_COLUMNS.ORIGIN]
+    });
+    if (entries.length >= limit) break;
+  }
+
+  return { success: true, entries: entries, total: entries.length };
+}
+
+function parseAuditSnapshot(value) {
+  if (!value) return null;
+  try { return JSON.parse(value); } catch (e) { return String(value); }
+}
+
+/** Parse a validated YYYY-MM-DD string as local midnight */
+function parseDateParam(dateStr) {
+  var parts = String(dateStr).split('-');
+  return new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10), 0, 0, 0, 0);
+}
+
 /** Handle GET requests */
 function doGet(e) {
   try {
@@ -233,15 +861,18 @@ function doGet(e) {
     if (action !== 'health') {
       var email = verifyIdToken(params && params.idToken);
       if (!email) return createResponse({ error: 'Unauthorized' });
-      if (!isAllowedEmail(email)) return createResponse({ error: 'Forbidden' });
+      // Allowed = listed in "Nhân viên"; the same lookup gives the role
+      var caller = resolveCaller(email);
+      if (!caller) return createResponse({ error: 'Forbidden' });
       
       // Check rate limit
       if (!RateLimiter.checkLimit(email)) {
-        return createResponse({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau 1 phút.' });
+        return createResponse({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau 1 phút.', retry: true });
       }
       
       // attach for downstream filtering
       params._email = email;
+      params._role = caller.role;
     }
 
     let result;
@@ -252,6 +883,48 @@ function doGet(e) {
       case 'stats':
         result = getStats(params);
         break;
+      case 'order':
+        result = getOrderById(params);
+        break;
+      case 'auditLog':
+        result = getAuditLog(params);
+        break;
+      case 'me':
+        result = getProfile(params);
+        break;
+      case 'employeeStats':
+        result = getEmployeeStats(params);
+        break;
+      case 'reports':
+        result = getReportData(params);
+        break;
+      case 'services':
+        result = getServices(params);
+        break;
+      case 'customers':
+        result = searchCustomers(params);
+        break;
+      case 'customerHistory':
+        result = getCustomerHistory(params);
+        break;
+      case 'rewards':
+        result = getRewards(params);
+        break;
+      case 'appointments':
+        result = listAppointments(params);
+        break;
+      case 'queue':
+        result = getQueue(params);
+        break;
+      case 'closingReport':
+        result = getClosingReport(params);
+        break;
+      case 'importedIds':
+        result = getImportedIds(params);
+        break;
+      case 'queueStats':
+        result = getQueueStats(params);
+        break;
       case 'health':
         result = { status: 'OK', timestamp: new Date().toISOString() };
         break;
@@ -296,27 +969,112 @@ function doPost(e) {
     // Verify idToken and get caller email
     var callerEmail = verifyIdToken((data && data.idToken) || (e && e.parameter && e.parameter.idToken));
     if (!callerEmail) return createResponse({ error: 'Unauthorized' });
-    if (!isAllowedEmail(callerEmail)) return createResponse({ error: 'Forbidden' });
+    var caller = resolveCaller(callerEmail);
+    if (!caller) return createResponse({ error: 'Forbidden' });
     
     // Check rate limit
     if (!RateLimiter.checkLimit(callerEmail)) {
-      return createResponse({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau 1 phút.' });
+      return createResponse({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau 1 phút.', retry: true });
     }
 
     var result;
     switch (action) {
       case 'create':
-        result = createOrder({ ...data, _email: callerEmail });
+        result = createOrder({ ...data, _email: callerEmail, _role: caller.role });
         break;
       
+      case 'update':
+        result = updateOrder({ ...data, _email: callerEmail, _role: caller.role });
+        break;
       case 'delete':
-        result = deleteOrder({ ...data, _email: callerEmail });
+        result = deleteOrder({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'restore':
+        result = restoreOrder({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'importOrders':
+        result = importOrders({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'importedIds':
+        result = getImportedIds({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'rebuildDailySummary':
+        result = rebuildDailySummary({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'setupOrderSheets':
+        result = setupOrderSheets({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'closeDay':
+        result = closeDay({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'closingReport':
+        result = getClosingReport({ ...data, _email: callerEmail, _role: caller.role });
         break;
       case 'orders':
-        result = getOrders({ ...data, _email: callerEmail });
+        result = getOrders({ ...data, _email: callerEmail, _role: caller.role });
         break;
       case 'stats':
-        result = getStats({ ...data, _email: callerEmail });
+        result = getStats({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'order':
+        result = getOrderById({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'auditLog':
+        result = getAuditLog({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'me':
+        result = getProfile({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'employeeStats':
+        result = getEmployeeStats({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'reports':
+        result = getReportData({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'services':
+        result = getServices({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'customers':
+        result = searchCustomers({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'customerHistory':
+        result = getCustomerHistory({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'rewards':
+        result = getRewards({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'appointments':
+        result = listAppointments({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'createAppointment':
+        result = createAppointment({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'moveAppointment':
+        result = moveAppointment({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'cancelAppointment':
+        result = cancelAppointment({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'queue':
+        result = getQueue({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'queueStats':
+        result = getQueueStats({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'addWalkIn':
+        result = addWalkIn({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'assignWalkIn':
+        result = assignWalkIn({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'startWalkIn':
+        result = startWalkIn({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'removeWalkIn':
+        result = removeWalkIn({ ...data, _email: callerEmail, _role: caller.role });
+        break;
+      case 'updateCustomer':
+        result = updateCustomer({ ...data, _email: callerEmail, _role: caller.role });
         break;
       default:
         result = { error: 'Invalid action' };
@@ -324,27 +1082,61 @@ function doPost(e) {
 
     return createResponse(result);
   } catch (error) {
-    return createResponse({ error: error.toString() });
+    return createResponse({ error: error.toString(), retry: isTransientError(error) });
   }
 }
 
-/** Create a new order */
+/** Create a new order (idempotent when the client sends idempotencyKey) */
 function createOrder(data) {
+  var lock = null;
   try {
     // Validate inputs
-    const validatedService = Validator.validateService(data.service);
-    const validatedPrice = Validator.validatePrice(data.price);
+    var lines = orderLinesFromRequest(data);
     const validatedNotes = Validator.validateNotes(data.notes);
-    
-    const sheet = initializeSheet();
-    const id = generateOrderId();
+    const paymentMethod = Validator.validatePaymentMethod(data.paymentMethod);
+    const customerPhone = Validator.validatePhone(data.customerPhone);
+    var customerName = Validator.validateCustomerName(data.customerName);
+    const idempotencyKey = Validator.validateIdempotencyKey(data.idempotencyKey);
     // Use Date object for stable storage and ISO for API response
-    const now = new Date();
-    const timestampISO = now.toISOString();
+    const now = Validator.validateOrderTime(data.timestamp, new Date());
+
     var caller = (data && data._email) || (data && data.createdBy) || (data && data.employee) || 'unknown@local';
     // Force employee = caller email
     var employeeEmail = String(caller).toLowerCase();
+
+    // Serialize check-then-append so two concurrent retries cannot both write
+    lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+
+    if (idempotencyKey) {
+      var existing = findOrderByIdempotencyKey(idempotencyKey, now);
+      if (existing) {
+        if (String(existing.employee).toLowerCase() !== employeeEmail) {
+          return { success: false, error: 'Mã đơn đã tồn tại' };
+        }
+        return { success: true, duplicate: true, order: existing };
+      }
+    }
+
+    // Redeeming: checked against the balance under the lock, applied as extra discount
+    var reward = null;
+    var rewardName = String((data && data.reward) || '').trim();
+    if (rewardName) {
+      if (!customerPhone) return { success: false, error: 'Cần số điện thoại khách để đổi ưu đãi' };
+      reward = getRewardCatalog().filter(function(r) { return normalizeKey(r.name) === normalizeKey(rewardName); })[0];
+      if (!reward) return { success: false, error: 'Ưu đãi không tồn tại' };
+      var known = findCustomer(customerPhone);
+      if (!known || known.points < reward.cost) return { success: false, error: 'Khách chưa đủ điểm để đổi ưu đãi' };
+      lines = buildOrderLines(lines.items, lines.discount + calculateRewardDiscount(reward, lines.items, lines.discount), lines.tip);
+    }
+
+    const id = idempotencyKey || generateOrderId();
+    var closedError = closedDayError(now);
+    if (closedError) return { success: false, error: closedError };
+    const timestampISO = now.toISOString();
     var employeeName = getEmployeeNameByEmail(employeeEmail) || '';
+    var customer = customerPhone ? upsertCustomer(customerPhone, customerName, now) : null;
+    if (customer) customerName = customer.name;
 
     const newRow = [
       id,
@@ -352,193 +1144,2432 @@ function createOrder(data) {
       now,
       employeeEmail,
       employeeName,
-      validatedService,
-      validatedPrice,
-      validatedNotes
+      lines.service,
+      lines.price,
+      validatedNotes,
+      JSON.stringify(lines.items),
+      lines.discount,
+      lines.tip,
+      PAYMENT_METHODS[paymentMethod] || '',
+      // Leading apostrophe keeps the 0 of the phone number
+      customerPhone ? "'" + customerPhone : '',
+      customerName
     ];
 
-    sheet.appendRow(newRow);
+    // Usually the newest order; a replayed offline order goes back to its own time
+    insertOrderRow(newRow);
+    updateDailySummary(newRow, 1);
+
+    const order = {
+      id: id,
+      // Return ISO string to clients
+      timestamp: timestampISO,
+      employee: employeeEmail,
+      employeeName: employeeName,
+      service: lines.service,
+      price: lines.price,
+      notes: validatedNotes,
+      items: lines.items,
+      discount: lines.discount,
+      tip: lines.tip,
+      paymentMethod: paymentMethod,
+      customerPhone: customerPhone,
+      customerName: customerName
+    };
+    if (idempotencyKey) rememberIdempotencyKey(idempotencyKey, order);
+    writeAuditLog(data, 'create', id, null, order);
+    var loyalty = customer ? applyOrderLoyalty(order, customer, reward, employeeEmail) : null;
+    if (data.appointmentId) completeAppointment(data.appointmentId, id);
+    if (data.queueId) completeWalkIn(data.queueId, id);
 
     return {
       success: true,
-      order: {
-        id: id,
-        // Return ISO string to clients
-        timestamp: timestampISO,
-        employee: employeeEmail,
-        employeeName: employeeName,
-        service: validatedService,
-        price: validatedPrice,
-        notes: validatedNotes
-      }
+      order: order,
+      loyalty: loyalty
     };
   } catch (error) {
+    // retry tells the offline outbox to keep the order and send it again later
     return {
       success: false,
-      error: error.message || error.toString()
+      error: error.message || error.toString(),
+      retry: isTransientError(error)
     };
+  } finally {
+    if (lock) lock.releaseLock();
   }
 }
 
-/** Get orders with optional filters */
-function getOrders(params) {
-  const sheet = initializeSheet();
-  const data = sheet.getDataRange().getValues();
-  var requester = params && params._email;
+/** Remember a processed create key so a retry returns the same order */
+function rememberIdempotencyKey(key, order) {
+  try {
+    CacheService.getScriptCache().put('idem_' + key, JSON.stringify(order), CONFIG.IDEMPOTENCY_TTL);
+  } catch (e) {}
+}
 
-  if (data.length <= 1) {
-    return { orders: [], total: 0 };
-  }
+/**
+ * Find an order previously created with this key (cache first, then the newest monthly sheets,
+ * then the month of the order's own time, which an old offline order may be filed under)
+ */
+function findOrderByIdempotencyKey(key, orderTime) {
+  try {
+    var cached = CacheService.getScriptCache().get('idem_' + key);
+    if (cached) return JSON.parse(cached);
+  } catch (e) {}
 
-  // Determine limit (cap by MAX_ORDERS_PER_REQUEST)
-  var max = (CONFIG && CONFIG.MAX_ORDERS_PER_REQUEST) || 100;
-  var limit = parseInt(params && params.limit, 10);
-  if (!(limit > 0)) limit = max;
-  if (limit > max) limit = max;
+  var found = findOrderRow(key, CONFIG.IDEMPOTENCY_SCAN_MONTHS);
+  if (!found && orderTime) found = findOrderRowInSheet(getOrderSheet(orderMonthKey(orderTime), false), key);
+  return found ? rowToOrder(found.row) : null;
+}
+
+/** Map a sheet row to the API order shape */
+function rowToOrder(row) {
+  var ts = row[COLUMNS.TIMESTAMP];
+  return {
+    id: row[COLUMNS.ID],
+    timestamp: (ts instanceof Date) ? ts.toISOString() : ts,
+    employee: row[COLUMNS.EMPLOYEE],
+    employeeName: row[COLUMNS.EMPLOYEE_NAME],
+    service: row[COLUMNS.SERVICE],
+    price: row[COLUMNS.PRICE],
+    notes: row[COLUMNS.NOTES],
+    items: parseOrderItems(row),
+    discount: parseOrderPrice(row[COLUMNS.DISCOUNT]),
+    tip: parseOrderPrice(row[COLUMNS.TIP]),
+    paymentMethod: normalizePaymentMethod(row[COLUMNS.PAYMENT_METHOD]),
+    customerPhone: normalizePhone(row[COLUMNS.CUSTOMER_PHONE]),
+    customerName: row[COLUMNS.CUSTOMER_NAME] || ''
+  };
+}
+
+/** Line items of a row; single-service rows (before items existed) become one item */
+function parseOrderItems(row) {
+  var raw = row[COLUMNS.ITEMS];
+  if (raw) {
+    try {
+      var items = JSON.parse(raw);
+      if (Array.isArray(items) && items.length) return items;
+    } catch (e) {}
+  }
+  return [{ service: row[COLUMNS.SERVICE], quantity: 1, unitPrice: parseOrderPrice(row[COLUMNS.PRICE]) }];
+}
+
+/**
+ * Validated items/discount/tip → the values stored in E (summary), F (revenue), H-J.
+ * Revenue is the items total minus the discount; the tip is kept apart.
+ */
+function buildOrderLines(items, discount, tip) {
+  var subtotal = items.reduce(function(sum, item) { return sum + item.quantity * item.unitPrice; }, 0);
+  if (discount > subtotal) throw new Error('Giảm giá lớn hơn tổng tiền dịch vụ');
+  var summary = items.map(function(item) {
+    return item.quantity > 1 ? item.service + ' x' + item.quantity : item.service;
+  }).join(', ');
+  return {
+    service: summary,
+    price: subtotal - discount,
+    items: items,
+    discount: discount,
+    tip: tip
+  };
+}
+
+/** Order lines from a create/update request; the legacy single service + price is one item */
+function orderLinesFromRequest(data) {
+  var items = (typeof data.items !== 'undefined' && data.items !== '')
+    ? Validator.validateItems(data.items)
+    : [{ service: Validator.validateService(data.service), quantity: 1, unitPrice: Validator.validatePrice(data.price) }];
+  return buildOrderLines(items, Validator.validateAmount(data.discount, 'Giảm giá'), Validator.validateAmount(data.tip, 'Tip'));
+}
 
-  // Optional day filter
-  var haveDayFilter = false;
-  var dayStart = null, dayEnd = null;
-  if (params && params.date) {
+/**
+ * Get a single order by ID (owner only); lets clients confirm opaque no-cors writes.
+ * Reads the row itself (every month), not the create-dedupe cache, so edits show up.
+ */
+function getOrderById(params) {
+  var id = params && params.id;
+  if (!id) return { success: false, error: 'Order not found' };
+  var found = findOrderRow(String(id));
+  if (!found || !canAccessOrder(params, found.row[COLUMNS.EMPLOYEE])) {
+    return { success: false, error: 'Order not found' };
+  }
+  return { success: true, order: rowToOrder(found.row) };
+}
+
+/**
+ * Get orders, newest first, with optional filters: from/to (YYYY-MM-DD) or date, employee, limit.
+ * Returns a page plus a cursor for the next one instead of stopping at MAX_ORDERS_PER_REQUEST.
+ */
+function getOrders(params) {
+  // Own rows for staff; managers may pick an employee or 'all'
+  var scope = resolveEmployeeScope(params);
+
+  // Page size (cap by MAX_ORDERS_PER_REQUEST); further pages come through the cursor
+  var max = (CONFIG && CONFIG.MAX_ORDERS_PER_REQUEST) || 100;
+  var limit = parseInt(params && params.limit, 10);
+  if (!(limit > 0)) limit = max;
+  if (limit > max) limit = max;
+
+  // Optional range: from/to (YYYY-MM-DD, inclusive), or a single day via date
+  var rangeStart = null, rangeEnd = null;
+  if (params && (params.from || params.to)) {
+    if (params.from) rangeStart = parseDateParam(Validator.validateDate(params.from));
+    if (params.to) {
+      var to = parseDateParam(Validator.validateDate(params.to));
+      rangeEnd = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1, 0, 0, 0, 0);
+    }
+  } else if (params && params.date) {
     var d = new Date(params.date);
     if (!isNaN(d.getTime())) {
-      dayStart = new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0);
-      dayEnd = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1, 0, 0, 0, 0);
-      haveDayFilter = true;
+      rangeStart = new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0);
+      rangeEnd = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1, 0, 0, 0, 0);
     }
   }
 
-  const orders = [];
-  // Iterate from newest to oldest (bottom-up)
-  for (var i = data.length - 1; i >= 1; i--) {
-    var row = data[i];
-
-    // Enforce ownership by employee email
-    if (requester && String(row[COLUMNS.EMPLOYEE]).toLowerCase() !== String(requester).toLowerCase()) {
-      continue;
-    }
+  var after = parseOrderCursor(params && params.cursor);
+  // Months newer than the cursor were covered by earlier pages
+  var scanEnd = rangeEnd;
+  if (after && (!scanEnd || after.time + 1 < scanEnd.getTime())) scanEnd = new Date(after.time + 1);
 
+  const orders = [];
+  var last = null;
+  var hasMore = false;
+  // Orders of a closed day ("Chốt ca") come back with locked: true
+  var closedDays = getClosedDays();
+  // Newest to oldest (bottom-up) through the months of the range; rows are kept in time order
+  forEachOrderRow(rangeStart, scanEnd, function(row) {
     // Parse timestamp as Date
     var ts = row[COLUMNS.TIMESTAMP];
     if (!(ts instanceof Date)) ts = new Date(ts);
 
-    // Apply day filter (and break early when older than dayStart)
-    if (haveDayFilter) {
-      if (ts >= dayEnd) {
-        // Newer than the target day; keep scanning
-        continue;
-      }
-      if (ts < dayStart) {
-        // Older than requested day; since we are bottom-up, earlier rows will be even older
-        break;
-      }
+    // Skip what earlier pages returned: everything newer than the cursor row, and the row itself
+    if (after) {
+      if (ts.getTime() > after.time) return;
+      if (ts.getTime() === after.time && String(row[COLUMNS.ID]) !== after.id) return;
+      var reached = String(row[COLUMNS.ID]) === after.id;
+      // Cursor row deleted since: carry on from the first older row
+      after = null;
+      if (reached) return;
     }
 
-    // Apply employee filter if provided
-    if (params && params.employee && row[COLUMNS.EMPLOYEE] !== params.employee) {
-      continue;
+    // Apply range filter (and stop early when older than rangeStart)
+    if (rangeEnd && ts >= rangeEnd) {
+      // Newer than the range; keep scanning
+      return;
+    }
+    if (rangeStart && ts < rangeStart) {
+      // Older than the range; since we are bottom-up, earlier rows will be even older
+      return false;
     }
 
-    orders.push({
-      id: row[COLUMNS.ID],
-      timestamp: row[COLUMNS.TIMESTAMP],
-      employee: row[COLUMNS.EMPLOYEE],
-      employeeName: row[COLUMNS.EMPLOYEE_NAME],
-      service: row[COLUMNS.SERVICE],
-      price: row[COLUMNS.PRICE],
-      notes: row[COLUMNS.NOTES]
-    });
+    // Enforce ownership / employee filter by email
+    if (scope && String(row[COLUMNS.EMPLOYEE]).toLowerCase() !== scope) {
+      return;
+    }
 
-    if (orders.length >= limit) break;
-  }
+    if (orders.length >= limit) {
+      hasMore = true;
+      return false;
+    }
+    var order = rowToOrder(row);
+    if (closedDays[orderDayKey(ts)]) order.locked = true;
+    orders.push(order);
+    last = { time: ts.getTime(), id: String(row[COLUMNS.ID]) };
+  });
 
-  return { orders: orders, total: orders.length };
+  return {
+    orders: orders,
+    total: orders.length,
+    // Pass back as "cursor" (same filters) for the next, older page; null when there is none
+    cursor: hasMore ? last.time + '_' + last.id : null
+  };
 }
 
-/** Get statistics */
-function getStats(params) {
-  const sheet = initializeSheet();
-  const data = sheet.getDataRange().getValues();
-  var requester = params && params._email;
+/** "<timestamp ms>_<order ID>" of the last order on the previous page, or null */
+function parseOrderCursor(cursor) {
+  if (!cursor) return null;
+  var match = /^(\d+)_(.+)$/.exec(String(cursor));
+  if (!match) throw new Error('Cursor không hợp lệ');
+  return { time: Number(match[1]), id: match[2] };
+}
 
-  if (data.length <= 1) {
-    return { todayCount: 0, todayRevenue: 0, monthRevenue: 0, totalOrders: 0 };
-  }
+/**
+ * Get statistics: today and this month (the stats cards and commission), plus the chosen period
+ * (params.period = today | week | month | year | custom with from/to; default month) next to the
+ * previous period up to the same point in time, with the change in percent
+ */
+function getStats(params) {
+  var scope = resolveEmployeeScope(params);
 
   const now = new Date();
   const monthStart = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0);
-  const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, 0);
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
-  const tomorrowStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 0, 0);
+  var period = resolveStatsPeriod(params, now);
 
   let todayCount = 0;
   let todayRevenue = 0;
   let monthRevenue = 0;
   let totalOrders = 0;
+  // Tips are not revenue: reported on their own
+  let todayTips = 0;
+  let monthTips = 0;
+  // Per payment method, so the cash drawer can be matched against the app
+  var todayByPayment = emptyPaymentBreakdown();
+  var monthByPayment = emptyPaymentBreakdown();
 
-  // Iterate from newest to oldest; break when older than current month
-  for (var i = data.length - 1; i >= 1; i--) {
-    var row = data[i];
-    if (requester && String(row[COLUMNS.EMPLOYEE]).toLowerCase() !== String(requester).toLowerCase()) continue;
+  // Commission per employee in scope (a single entry for staff)
+  var rules = getCommissionRules();
+  var roles = {};
+  getEmployees().forEach(function(emp) { roles[emp.email] = emp.role; });
+  var commissionByEmail = {};
+  var commissionOrder = [];
+  var todayCommission = 0;
+  var monthCommission = 0;
 
-    var ts = row[COLUMNS.TIMESTAMP];
-    if (!(ts instanceof Date)) ts = new Date(ts);
+  // One read of the daily summary covers this month and both compared periods, newest day first
+  var todayKey = orderDayKey(now);
+  var monthKey = orderDayKey(monthStart);
+  var readFrom = period.previousStart < monthStart ? period.previousStart : monthStart;
+  var lines = readDailySummary(orderDayKey(readFrom), todayKey).filter(function(line) {
+    if (scope && line.email !== scope) return false;
+    // Commission is linear in revenue and quantity, so a summary line gives the same total as its orders
+    line.commission = calculateCommission(rules, line.email, roles[line.email] || ROLES.STAFF, line.service, line.revenue, line.quantity);
+    return true;
+  });
 
-    if (ts < monthStart) {
-      // Older than current month: stop scanning
-      break;
-    }
+  lines.forEach(function(line) {
+    if (line.day < monthKey) return;
+    var method = line.paymentMethod || 'unknown';
 
-    // Only count within current month
-    if (ts >= monthStart && ts < nextMonthStart) {
-      var priceRaw = row[COLUMNS.PRICE];
-      var price = 0;
-      if (typeof priceRaw === 'number') {
-        price = priceRaw;
-      } else if (priceRaw != null) {
-        var digits = String(priceRaw).replace(/\D+/g, '');
-        price = digits ? parseInt(digits, 10) : 0;
-      }
+    totalOrders += line.orders;
+    monthRevenue += line.revenue;
+    monthTips += line.tip;
+    addToPaymentBreakdown(monthByPayment, method, line.revenue, line.tip, line.orders);
 
-      totalOrders++;
-      monthRevenue += price;
+    if (!commissionByEmail[line.email]) {
+      commissionByEmail[line.email] = { email: line.email, name: line.name, today: 0, month: 0 };
+      commissionOrder.push(line.email);
+    }
+    commissionByEmail[line.email].month += line.commission;
+    monthCommission += line.commission;
 
-      if (ts >= todayStart && ts < tomorrowStart) {
-        todayCount++;
-        todayRevenue += price;
-      }
+    if (line.day === todayKey) {
+      todayCount += line.orders;
+      todayRevenue += line.revenue;
+      todayTips += line.tip;
+      addToPaymentBreakdown(todayByPayment, method, line.revenue, line.tip, line.orders);
+      commissionByEmail[line.email].today += line.commission;
+      todayCommission += line.commission;
     }
-  }
+  });
+
+  var current = sumStatsPeriod(lines, period.start, period.end, now, scope, rules, roles);
+  var previous = sumStatsPeriod(lines, period.previousStart, period.previousEnd, now, scope, rules, roles);
+  var change = {};
+  Object.keys(current).forEach(function(k) {
+    change[k] = percentChange(current[k], previous[k]);
+  });
 
   return {
     todayCount: todayCount,
     todayRevenue: todayRevenue,
     monthRevenue: monthRevenue,
     totalOrders: totalOrders,
+    todayTips: todayTips,
+    monthTips: monthTips,
+    todayByPayment: todayByPayment,
+    monthByPayment: monthByPayment,
+    todayCommission: todayCommission,
+    monthCommission: monthCommission,
+    commissions: commissionOrder.map(function(email) { return commissionByEmail[email]; }),
+    period: periodStatsResult(period.key, current, period.start, period.end),
+    previous: periodStatsResult(period.key, previous, period.previousStart, period.previousEnd),
+    change: change,
     lastUpdated: new Date().toISOString()
   };
 }
 
-/** Update an order (not supported post clean-up) */
-// updateOrder removed (not supported)
+/**
+ * The period asked of getStats and the one it is compared with:
+ * { key, start, end, previousStart, previousEnd } (end exclusive, never later than now).
+ * The previous period is one step back — yesterday, last week, last month (day clamped: 31/3 → 28/2),
+ * last year, or a custom range moved back by its own length — and stops at the same point in time,
+ * so a month in progress is compared with last month to date.
+ */
+function resolveStatsPeriod(params, now) {
+  var key = String((params && params.period) || 'month');
+  var ranges = getPeriodRanges(now);
+  var start, end, back;
+  switch (key) {
+    case 'today':
+      start = ranges.today.start;
+      back = function(d) { return addDays(d, -1); };
+      break;
+    case 'week':
+      start = ranges.week.start;
+      back = function(d) { return addDays(d, -7); };
+      break;
+    case 'month':
+      start = ranges.month.start;
+      back = function(d) { return addCalendarMonths(d, -1); };
+      break;
+    case 'year':
+      start = new Date(now.getFullYear(), 0, 1, 0, 0, 0, 0);
+      back = function(d) { return addCalendarMonths(d, -12); };
+      break;
+    case 'custom':
+      start = parseDateParam(Validator.validateDate(params.from));
+      var to = parseDateParam(Validator.validateDate(params.to));
+      end = addDays(to, 1);
+      var days = Math.round((end - start) / 86400000);
+      if (days < 1 || start > now) throw new Error('Khoảng ngày không hợp lệ');
+      if (days > CONFIG.MAX_STATS_RANGE_DAYS) throw new Error('Chỉ xem tối đa ' + CONFIG.MAX_STATS_RANGE_DAYS + ' ngày');
+      back = function(d) { return addDays(d, -days); };
+      break;
+    default:
+      throw new Error('Kỳ thống kê không hợp lệ');
+  }
+  if (!end || end > now) end = now;
+  return { key: key, start: start, end: end, previousStart: back(start), previousEnd: back(end) };
+}
+
+/** Same time of day, n days later (n < 0: earlier) */
+function addDays(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n,
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+}
 
-/** Delete an order (by ID), only by owner */
-function deleteOrder(data) {
-  var sheet = initializeSheet();
-  var values = sheet.getDataRange().getValues();
-  var requester = data && data._email;
+/** Same day and time n months later; a day past the end of the target month becomes its last day */
+function addCalendarMonths(date, n) {
+  var lastDay = new Date(date.getFullYear(), date.getMonth() + n + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + n, Math.min(date.getDate(), lastDay),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+}
+
+/**
+ * Totals for [start, end) from the scoped summary lines: { orders, revenue, tips, commission, average }.
+ * The summary has whole days only, so when end falls inside a past day (a previous period "to date")
+ * that day's orders up to end are read from its order sheet instead.
+ */
+function sumStatsPeriod(lines, start, end, now, scope, rules, roles) {
+  var totals = { orders: 0, revenue: 0, tips: 0, commission: 0, average: 0 };
+  var endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate(), 0, 0, 0, 0);
+  var partialDay = end > endDay && end < now;
+  var fromKey = orderDayKey(start);
+  var toKey = orderDayKey(partialDay ? addDays(endDay, -1) : new Date(end.getTime() - 1));
+
+  lines.forEach(function(line) {
+    if (line.day < fromKey || line.day > toKey) return;
+    totals.orders += line.orders;
+    totals.revenue += line.revenue;
+    totals.tips += line.tip;
+    totals.commission += line.commission;
+  });
+
+  if (partialDay) {
+    var dayStart = start > endDay ? start : endDay;
+    forEachOrderRow(dayStart, end, function(row) {
+      var ts = row[COLUMNS.TIMESTAMP];
+      if (!(ts instanceof Date)) ts = new Date(ts);
+      if (ts < dayStart) return false;
+      if (ts >= end) return;
+      var email = String(row[COLUMNS.EMPLOYEE] || '').toLowerCase();
+      if (scope && email !== scope) return;
+      totals.orders += 1;
+      totals.revenue += parseOrderPrice(row[COLUMNS.PRICE]);
+      totals.tips += parseOrderPrice(row[COLUMNS.TIP]);
+      totals.commission += calculateOrderCommission(rules, email, roles[email] || ROLES.STAFF, row);
+    });
+  }
+
+  totals.average = totals.orders ? Math.round(totals.revenue / totals.orders) : 0;
+  return totals;
+}
+
+/** Change from previous to current in percent (one decimal); null when there is nothing to compare with */
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round((current - previous) * 1000 / previous) / 10;
+}
+
+/** A period's totals for the response, with its first and last day (yyyy-MM-dd) and its exact end */
+function periodStatsResult(key, totals, start, end) {
+  var result = { key: key, from: orderDayKey(start), to: orderDayKey(new Date(end.getTime() - 1)), until: end.toISOString() };
+  Object.keys(totals).forEach(function(k) { result[k] = totals[k]; });
+  return result;
+}
+
+// Commission rules: who (email, role or blank = everyone) × service (blank = every service).
+// An order earns price × percent / 100 + the flat amount of the most specific matching rule.
+const COMMISSION_SHEET_NAME = 'Hoa hồng';
+const COMMISSION_HEADERS = ['Áp dụng cho', 'Dịch vụ', 'Phần trăm (%)', 'Cố định (VNĐ)'];
+
+/** Lấy sheet "Hoa hồng" (bảng luật hoa hồng) */
+function getCommissionSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(COMMISSION_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(COMMISSION_SHEET_NAME);
+    sheet.getRange(1, 1, 1, COMMISSION_HEADERS.length).setValues([COMMISSION_HEADERS]);
+    sheet.getRange(1, 1, 1, COMMISSION_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** Lowercase/NFC key for matching service names and rule targets */
+function normalizeKey(value) {
+  return String(value == null ? '' : value).normalize('NFC').trim().toLowerCase();
+}
 
+/**
+ * Read commission rules. The "Áp dụng cho" cell may be an email, a role
+ * (same labels as "Vai trò") or blank/"*" for everyone.
+ */
+function getCommissionRules() {
+  var values = getCommissionSheet().getDataRange().getValues();
+  var rules = [];
   for (var i = 1; i < values.length; i++) {
-    if (values[i][COLUMNS.ID] === data.id) {
-      if (requester && String(values[i][COLUMNS.EMPLOYEE]).toLowerCase() !== String(requester).toLowerCase()) {
+    var row = values[i];
+    var percent = Number(row[2]) || 0;
+    var flat = parseOrderPrice(row[3]);
+    if (!percent && !flat) continue;
+
+    var target = normalizeKey(row[0]);
+    var rule = { email: '', role: '', service: normalizeKey(row[1]), percent: percent, flat: flat };
+    if (rule.service === '*') rule.service = '';
+    if (target.indexOf('@') >= 0) rule.email = target;
+    else if (target && target !== '*') rule.role = normalizeRole(target);
+    rules.push(rule);
+  }
+  return rules;
+}
+
+/** Most specific rule for an employee and service: email beats role beats everyone; a named service breaks ties */
+function findCommissionRule(rules, email, role, service) {
+  var best = null;
+  var bestScore = -1;
+  var svc = normalizeKey(service);
+  for (var i = 0; i < rules.length; i++) {
+    var r = rules[i];
+    if (r.email && r.email !== email) continue;
+    if (r.role && r.role !== role) continue;
+    if (r.service && r.service !== svc) continue;
+    var score = (r.email ? 4 : r.role ? 2 : 0) + (r.service ? 1 : 0);
+    if (score > bestScore) {
+      best = r;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Commission (VND) on one line: percent of the amount plus the flat amount per unit */
+function calculateCommission(rules, email, role, service, amount, quantity) {
+  var rule = findCommissionRule(rules, email, role, service);
+  if (!rule) return 0;
+  return Math.round(amount * rule.percent / 100) + rule.flat * (quantity || 1);
+}
+
+/** Commission on an order row, item by item; the order discount is shared pro rata, tips earn nothing */
+function calculateOrderCommission(rules, email, role, row) {
+  var items = parseOrderItems(row);
+  var subtotal = items.reduce(function(sum, item) { return sum + item.quantity * item.unitPrice; }, 0);
+  var netShare = subtotal ? parseOrderPrice(row[COLUMNS.PRICE]) / subtotal : 0;
+  return items.reduce(function(sum, item) {
+    return sum + calculateCommission(rules, email, role, item.service, item.quantity * item.unitPrice * netShare, item.quantity);
+  }, 0);
+}
+
+/** { cash, transfer, card, unknown } → { count, revenue, tips }; "unknown" holds rows without a method */
+function emptyPaymentBreakdown() {
+  var breakdown = {};
+  Object.keys(PAYMENT_METHODS).concat(['unknown']).forEach(function(key) {
+    breakdown[key] = { count: 0, revenue: 0, tips: 0 };
+  });
+  return breakdown;
+}
+
+/** count: orders behind price/tip (1 for a single order) */
+function addToPaymentBreakdown(breakdown, method, price, tip, count) {
+  var bucket = breakdown[method] || breakdown.unknown;
+  bucket.count += count;
+  bucket.revenue += price;
+  bucket.tips += tip;
+}
+
+/** Price cell → VND number (sheet may hold numbers or text like "60.000 đ") */
+function parseOrderPrice(priceRaw) {
+  if (typeof priceRaw === 'number') return priceRaw;
+  if (priceRaw == null) return 0;
+  var digits = String(priceRaw).replace(/\D+/g, '');
+  return digits ? parseInt(digits, 10) : 0;
+}
+
+/** Today / this week (Monday start) / this month boundaries for "now" */
+function getPeriodRanges(now) {
+  var todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
+  var daysSinceMonday = (todayStart.getDay() + 6) % 7;
+  return {
+    today: { start: todayStart, end: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 0, 0) },
+    week: {
+      start: new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() - daysSinceMonday, 0, 0, 0, 0),
+      end: new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() - daysSinceMonday + 7, 0, 0, 0, 0)
+    },
+    month: { start: new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0), end: new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, 0) }
+  };
+}
+
+/** Per-employee order count, revenue and average ticket for today / week / month (managers only) */
+function getEmployeeStats(params) {
+  if (!canManageOrders(params && params._role)) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+
+  var periods = getPeriodRanges(new Date());
+  var periodKeys = ['today', 'week', 'month'];
+  // The week can start in the previous month
+  var scanFrom = periods.week.start < periods.month.start ? periods.week.start : periods.month.start;
+
+  function emptyBucket() {
+    var bucket = {};
+    periodKeys.forEach(function(k) { bucket[k] = { count: 0, revenue: 0, average: 0 }; });
+    return bucket;
+  }
+
+  // Seed with everyone in "Nhân viên" so idle stylists still show up
+  var byEmail = {};
+  var order = [];
+  getEmployees().forEach(function(emp) {
+    byEmail[emp.email] = { email: emp.email, name: emp.name, role: emp.role, stats: emptyBucket() };
+    order.push(emp.email);
+  });
+  var totals = emptyBucket();
+
+  var ranges = {};
+  periodKeys.forEach(function(k) {
+    // End is exclusive: the last day of the period is the day before it
+    ranges[k] = { from: orderDayKey(periods[k].start), to: orderDayKey(new Date(periods[k].end.getTime() - 1)) };
+  });
+  readDailySummary(orderDayKey(scanFrom), orderDayKey(new Date())).forEach(function(line) {
+    if (!byEmail[line.email]) {
+      // Former staff no longer in "Nhân viên": keep their rows, use the name stored on the order
+      byEmail[line.email] = { email: line.email, name: line.name, role: '', stats: emptyBucket() };
+      order.push(line.email);
+    }
+    periodKeys.forEach(function(k) {
+      if (line.day >= ranges[k].from && line.day <= ranges[k].to) {
+        byEmail[line.email].stats[k].count += line.orders;
+        byEmail[line.email].stats[k].revenue += line.revenue;
+        totals[k].count += line.orders;
+        totals[k].revenue += line.revenue;
+      }
+    });
+  });
+
+  function withAverages(bucket) {
+    periodKeys.forEach(function(k) {
+      bucket[k].average = bucket[k].count ? Math.round(bucket[k].revenue / bucket[k].count) : 0;
+    });
+    return bucket;
+  }
+
+  var employees = order.map(function(email) {
+    var e = byEmail[email];
+    var stats = withAverages(e.stats);
+    return { email: e.email, name: e.name, role: e.role, today: stats.today, week: stats.week, month: stats.month };
+  });
+  var t = withAverages(totals);
+
+  return {
+    success: true,
+    periods: {
+      today: { start: periods.today.start.toISOString(), end: periods.today.end.toISOString() },
+      week: { start: periods.week.start.toISOString(), end: periods.week.end.toISOString() },
+      month: { start: periods.month.start.toISOString(), end: periods.month.end.toISOString() }
+    },
+    employees: employees,
+    totals: { today: t.today, week: t.week, month: t.month },
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * Action "reports": chart data for one month (month = yyyy-MM, default this month) in the caller's
+ * employee scope — revenue per day and service mix from "Tổng hợp ngày", orders per hour of day from
+ * that month's order sheet (the summary has no time of day)
+ */
+function getReportData(params) {
+  var scope = resolveEmployeeScope(params);
+  var month = String((params && params.month) || orderMonthKey(new Date()));
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return { success: false, error: 'Tháng không hợp lệ' };
+  var year = parseInt(month.slice(0, 4), 10);
+  var monthIndex = parseInt(month.slice(5, 7), 10) - 1;
+  var start = new Date(year, monthIndex, 1, 0, 0, 0, 0);
+  var end = new Date(year, monthIndex + 1, 1, 0, 0, 0, 0);
+
+  // Every day of the month, so the chart has a point for days without orders
+  var days = [];
+  var byDay = {};
+  for (var d = new Date(start); d < end; d.setDate(d.getDate() + 1)) {
+    var entry = { date: orderDayKey(d), orders: 0, revenue: 0, tips: 0 };
+    byDay[entry.date] = entry;
+    days.push(entry);
+  }
+  var byService = {};
+  var services = [];
+  var totals = { orders: 0, revenue: 0, tips: 0 };
+  readDailySummary(days[0].date, days[days.length - 1].date).forEach(function(line) {
+    if (scope && line.email !== scope) return;
+    var day = byDay[line.day];
+    day.orders += line.orders;
+    day.revenue += line.revenue;
+    day.tips += line.tip;
+    totals.orders += line.orders;
+    totals.revenue += line.revenue;
+    totals.tips += line.tip;
+    if (!byService[line.service]) {
+      byService[line.service] = { service: line.service, quantity: 0, revenue: 0 };
+      services.push(byService[line.service]);
+    }
+    byService[line.service].quantity += line.quantity;
+    byService[line.service].revenue += line.revenue;
+  });
+  services.sort(function(a, b) { return b.revenue - a.revenue; });
+
+  var hours = [];
+  for (var h = 0; h < 24; h++) hours.push(0);
+  forEachOrderRow(start, end, function(row) {
+    if (scope && String(row[COLUMNS.EMPLOYEE]).toLowerCase() !== scope) return;
+    var ts = row[COLUMNS.TIMESTAMP];
+    if (!(ts instanceof Date)) ts = new Date(ts);
+    if (ts >= start && ts < end) hours[ts.getHours()]++;
+  });
+
+  return { success: true, month: month, days: days, services: services, hours: hours, totals: totals };
+}
+
+// Daily summary ("Tổng hợp ngày"): one row per day × employee × service × payment method, kept in
+// step with every order write so stats read a few summary rows instead of the month's orders.
+// Sorted by day like the order sheets; rebuildDailySummary recomputes it from the orders.
+const DAILY_SUMMARY_SHEET_NAME = 'Tổng hợp ngày';
+const DAILY_SUMMARY_HEADERS = ['Ngày', 'Email nhân viên', 'Tên nhân viên', 'Dịch vụ', 'Thanh toán', 'Số đơn', 'Số lượt', 'Doanh thu', 'Tip'];
+const DAILY_SUMMARY_COLUMNS = {
+  DAY: 0,            // A (yyyy-MM-dd, text)
+  EMPLOYEE: 1,       // B (email)
+  EMPLOYEE_NAME: 2,  // C
+  SERVICE: 3,        // D
+  PAYMENT_METHOD: 4, // E (nhãn như cột "Thanh toán" của đơn)
+  ORDERS: 5,         // F (đơn tính ở dịch vụ đầu tiên của đơn)
+  QUANTITY: 6,       // G (số lượt dịch vụ)
+  REVENUE: 7,        // H (sau giảm giá, chia theo tỉ lệ giữa các dịch vụ)
+  TIP: 8             // I (tính ở dịch vụ đầu tiên của đơn)
+};
+
+/**
+ * Lấy sheet "Tổng hợp ngày". Only writeDailySummary creates it (create = true), so a missing sheet
+ * means the summary was never built (see getOrderSheetsSetup)
+ */
+function getDailySummarySheet(create) {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(DAILY_SUMMARY_SHEET_NAME);
+  if (!sheet && create) {
+    sheet = ss.insertSheet(DAILY_SUMMARY_SHEET_NAME);
+    sheet.getRange(1, 1, 1, DAILY_SUMMARY_HEADERS.length).setValues([DAILY_SUMMARY_HEADERS]).setFontWeight('bold');
+    // Plain text so Sheets keeps "2026-10-19" as the key instead of turning it into a date
+    sheet.getRange(1, DAILY_SUMMARY_COLUMNS.DAY + 1, sheet.getMaxRows(), 1).setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** "yyyy-MM-dd" of an order time (script time zone, like orderMonthKey) */
+function orderDayKey(date) {
+  var d = (date instanceof Date) ? date : new Date(date);
+  return orderMonthKey(d) + '-' + ('0' + d.getDate()).slice(-2);
+}
+
+/** Day cell → key; a cell typed over by hand may have become a date */
+function summaryDayKey(value) {
+  return (value instanceof Date) ? orderDayKey(value) : String(value || '');
+}
+
+/**
+ * An order row as summary lines, one per service: each line's revenue is its items less their pro-rata
+ * share of the discount (the lines add up to the order's revenue); the order and its tip count on the
+ * first line. null when the row has no readable date.
+ */
+function summaryLinesForOrder(row) {
+  var ts = row[COLUMNS.TIMESTAMP];
+  if (!(ts instanceof Date)) ts = new Date(ts);
+  if (isNaN(ts.getTime())) return null;
+
+  var items = parseOrderItems(row);
+  var price = parseOrderPrice(row[COLUMNS.PRICE]);
+  var subtotal = items.reduce(function(sum, item) { return sum + item.quantity * item.unitPrice; }, 0);
+  var netShare = subtotal ? price / subtotal : 0;
+  var remaining = price;
+  var lines = [];
+  var byService = {};
+  items.forEach(function(item, i) {
+    // Rounding leftovers go to the last item
+    var revenue = i === items.length - 1 ? remaining : Math.round(item.quantity * item.unitPrice * netShare);
+    remaining -= revenue;
+    var line = byService[item.service];
+    if (!line) {
+      line = byService[item.service] = { service: item.service, orders: 0, quantity: 0, revenue: 0, tip: 0 };
+      lines.push(line);
+    }
+    line.quantity += item.quantity;
+    line.revenue += revenue;
+  });
+  lines[0].orders = 1;
+  lines[0].tip = parseOrderPrice(row[COLUMNS.TIP]);
+
+  return {
+    day: orderDayKey(ts),
+    email: String(row[COLUMNS.EMPLOYEE] || '').toLowerCase(),
+    name: row[COLUMNS.EMPLOYEE_NAME] || '',
+    paymentMethod: PAYMENT_METHODS[normalizePaymentMethod(row[COLUMNS.PAYMENT_METHOD])] || '',
+    lines: lines
+  };
+}
+
+function summaryRowKey(email, service, paymentMethod) {
+  return [String(email).toLowerCase(), service, paymentMethod].join('|');
+}
+
+/**
+ * Add (sign 1) or take back (sign -1) one order row in the daily summary.
+ * Only that day's block of rows is read and rewritten; callers hold the script lock.
+ */
+function updateDailySummary(row, sign) {
+  var order = summaryLinesForOrder(row);
+  if (!order) return;
+  var C = DAILY_SUMMARY_COLUMNS;
+  var sheet = getDailySummarySheet();
+  // Not built yet: setupOrderSheets will count this order when it builds the sheet
+  if (!sheet) return;
+  var lastRow = sheet.getLastRow();
+  var days = lastRow > 1 ? sheet.getRange(2, C.DAY + 1, lastRow - 1, 1).getValues() : [];
+
+  // [start, end) indexes in days of this day's block, or where it belongs (bottom-up: recent days are at the end)
+  var end = days.length;
+  while (end > 0 && summaryDayKey(days[end - 1][0]) > order.day) end--;
+  var start = end;
+  while (start > 0 && summaryDayKey(days[start - 1][0]) === order.day) start--;
+  var block = end > start ? sheet.getRange(start + 2, 1, end - start, DAILY_SUMMARY_HEADERS.length).getValues() : [];
+
+  order.lines.forEach(function(line) {
+    var key = summaryRowKey(order.email, line.service, order.paymentMethod);
+    var target = block.filter(function(r) {
+      return summaryRowKey(r[C.EMPLOYEE], r[C.SERVICE], r[C.PAYMENT_METHOD]) === key;
+    })[0];
+    if (!target) {
+      target = [order.day, order.email, order.name, line.service, order.paymentMethod, 0, 0, 0, 0];
+      block.push(target);
+    }
+    target[C.DAY] = order.day;
+    target[C.ORDERS] = (Number(target[C.ORDERS]) || 0) + sign * line.orders;
+    target[C.QUANTITY] = (Number(target[C.QUANTITY]) || 0) + sign * line.quantity;
+    target[C.REVENUE] = (Number(target[C.REVENUE]) || 0) + sign * line.revenue;
+    target[C.TIP] = (Number(target[C.TIP]) || 0) + sign * line.tip;
+  });
+
+  // Lines emptied by a delete/edit go away
+  var rows = block.filter(function(r) { return r[C.ORDERS] || r[C.QUANTITY] || r[C.REVENUE] || r[C.TIP]; });
+  var oldCount = end - start;
+  if (rows.length > oldCount) sheet.insertRowsAfter(end + 1, rows.length - oldCount);
+  if (rows.length < oldCount) sheet.deleteRows(start + 2 + rows.length, oldCount - rows.length);
+  if (rows.length) sheet.getRange(start + 2, 1, rows.length, DAILY_SUMMARY_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Summary rows for the days fromKey..toKey (yyyy-MM-dd, inclusive), newest day first, as
+ * { day, email, name, service, paymentMethod (API key or ''), orders, quantity, revenue, tip }.
+ * Reads the day column, then only the rows in range.
+ */
+function readDailySummary(fromKey, toKey) {
+  var C = DAILY_SUMMARY_COLUMNS;
+  var sheet = getDailySummarySheet();
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  var lastRow = sheet.getLastRow();
+  var days = sheet.getRange(2, C.DAY + 1, lastRow - 1, 1).getValues();
+  var end = days.length;
+  while (end > 0 && summaryDayKey(days[end - 1][0]) > toKey) end--;
+  var start = end;
+  while (start > 0 && summaryDayKey(days[start - 1][0]) >= fromKey) start--;
+  if (end <= start) return [];
+
+  return sheet.getRange(start + 2, 1, end - start, DAILY_SUMMARY_HEADERS.length).getValues().reverse().map(function(r) {
+    return {
+      day: summaryDayKey(r[C.DAY]),
+      email: String(r[C.EMPLOYEE] || '').toLowerCase(),
+      name: r[C.EMPLOYEE_NAME] || '',
+      service: r[C.SERVICE],
+      paymentMethod: normalizePaymentMethod(r[C.PAYMENT_METHOD]),
+      orders: Number(r[C.ORDERS]) || 0,
+      quantity: Number(r[C.QUANTITY]) || 0,
+      revenue: Number(r[C.REVENUE]) || 0,
+      tip: Number(r[C.TIP]) || 0
+    };
+  });
+}
+
+/** Recompute the whole summary from the monthly order sheets; no lock taken (see rebuildDailySummary) */
+function writeDailySummary() {
+  var C = DAILY_SUMMARY_COLUMNS;
+  var byKey = {};
+  var orders = 0;
+  forEachOrderRow(null, null, function(row) {
+    var order = summaryLinesForOrder(row);
+    if (!order) return;
+    orders++;
+    order.lines.forEach(function(line) {
+      var key = order.day + '|' + summaryRowKey(order.email, line.service, order.paymentMethod);
+      var target = byKey[key];
+      // Walking newest first: the first name seen is the current one
+      if (!target) target = byKey[key] = [order.day, order.email, order.name, line.service, order.paymentMethod, 0, 0, 0, 0];
+      target[C.ORDERS] += line.orders;
+      target[C.QUANTITY] += line.quantity;
+      target[C.REVENUE] += line.revenue;
+      target[C.TIP] += line.tip;
+    });
+  });
+  var rows = Object.keys(byKey).sort().map(function(key) { return byKey[key]; });
+
+  var sheet = getDailySummarySheet(true);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, DAILY_SUMMARY_HEADERS.length).clearContent();
+  }
+  if (rows.length) {
+    ensureSheetRows(sheet, rows.length + 1);
+    sheet.getRange(2, 1, rows.length, DAILY_SUMMARY_HEADERS.length).setValues(rows);
+  }
+  return { orders: orders, rows: rows.length };
+}
+
+/**
+ * Action "rebuildDailySummary" (manager/owner), or run from the editor: repairs the summary after
+ * order rows were edited by hand in the sheet
+ */
+function rebuildDailySummary(data) {
+  // From the editor there is no caller
+  if (data && !canManageOrders(data._role)) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var result = writeDailySummary();
+    return { success: true, orders: result.orders, rows: result.rows };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Update an order (by ID), only by owner or a manager; same validation as create */
+function updateOrder(data) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var found = findOrderRow(data.id);
+    if (!found) return { success: false, error: 'Order not found' };
+    if (!canAccessOrder(data, found.row[COLUMNS.EMPLOYEE])) {
+      return { success: false, error: 'Forbidden' };
+    }
+    var closedError = closedDayError(found.row[COLUMNS.TIMESTAMP]);
+    if (closedError) return { success: false, error: closedError };
+    // Only fields that were sent are changed
+    var row = found.row.slice();
+    var current = rowToOrder(found.row);
+    var linesChanged = ['items', 'service', 'price', 'discount', 'tip'].some(function(key) {
+      return typeof data[key] !== 'undefined';
+    });
+    if (linesChanged) {
+      // A bare service/price edit (older clients) replaces the items with that single service
+      var items = typeof data.items !== 'undefined'
+        ? Validator.validateItems(data.items)
+        : (typeof data.service !== 'undefined' || typeof data.price !== 'undefined')
+          ? [{
+              service: Validator.validateService(typeof data.service !== 'undefined' ? data.service : current.service),
+              quantity: 1,
+              unitPrice: Validator.validatePrice(typeof data.price !== 'undefined' ? data.price : current.price)
+            }]
+          : current.items;
+      var lines = buildOrderLines(
+        items,
+        typeof data.discount !== 'undefined' ? Validator.validateAmount(data.discount, 'Giảm giá') : current.discount,
+        typeof data.tip !== 'undefined' ? Validator.validateAmount(data.tip, 'Tip') : current.tip
+      );
+      row[COLUMNS.SERVICE] = lines.service;
+      row[COLUMNS.PRICE] = lines.price;
+      row[COLUMNS.ITEMS] = JSON.stringify(lines.items);
+      row[COLUMNS.DISCOUNT] = lines.discount;
+      row[COLUMNS.TIP] = lines.tip;
+    }
+    if (typeof data.notes !== 'undefined') row[COLUMNS.NOTES] = Validator.validateNotes(data.notes);
+    if (typeof data.paymentMethod !== 'undefined') {
+      row[COLUMNS.PAYMENT_METHOD] = PAYMENT_METHODS[Validator.validatePaymentMethod(data.paymentMethod)] || '';
+    }
+
+    if (typeof data.customerPhone !== 'undefined') {
+      var phone = Validator.validatePhone(data.customerPhone);
+      var customerName = Validator.validateCustomerName(data.customerName);
+      // The reward was redeemed with that customer's points
+      if (phone !== current.customerPhone && current.customerPhone && orderPointsTotals(current.id).redeemed) {
+        return { success: false, error: 'Đơn đã đổi ưu đãi bằng điểm của khách nên không đổi được khách' };
+      }
+      // The visit moves with the order; the same customer just gets linked (name kept up to date)
+      var moved = phone !== current.customerPhone;
+      if (moved && current.customerPhone) removeCustomerVisit(current.customerPhone);
+      if (phone) customerName = upsertCustomer(phone, customerName, moved ? orderVisitTime(row) : null).name;
+      row[COLUMNS.CUSTOMER_PHONE] = phone ? "'" + phone : '';
+      row[COLUMNS.CUSTOMER_NAME] = phone ? customerName : '';
+    }
+
+    // SERVICE through CUSTOMER_NAME are adjacent (E:M)
+    found.sheet.getRange(found.rowNumber, COLUMNS.SERVICE + 1, 1, COLUMNS.CUSTOMER_NAME - COLUMNS.SERVICE + 1)
+      .setValues([row.slice(COLUMNS.SERVICE, COLUMNS.CUSTOMER_NAME + 1)]);
+    updateDailySummary(found.row, -1);
+    updateDailySummary(row, 1);
+
+    var order = rowToOrder(row);
+    if (order.customerPhone !== current.customerPhone || parseOrderPrice(order.price) !== parseOrderPrice(current.price)) {
+      resettleOrderPoints(current, order, data && data._email);
+    }
+    // Keep the idempotency/lookup cache in line with the sheet
+    rememberIdempotencyKey(String(order.id), order);
+    writeAuditLog(data, 'update', order.id, current, order);
+    return { success: true, order: order };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || error.toString()
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Delete an order (by ID), only by owner or a manager: the row is moved to the "Đã xóa" sheet */
+function deleteOrder(data) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var requester = data && data._email;
+    var found = findOrderRow(data.id);
+    if (!found) return { success: false, error: 'Order not found' };
+    if (!canAccessOrder(data, found.row[COLUMNS.EMPLOYEE])) {
+      return { success: false, error: 'Forbidden' };
+    }
+    var closedError = closedDayError(found.row[COLUMNS.TIMESTAMP]);
+    if (closedError) return { success: false, error: closedError };
+    var trashRow = found.row.slice(0, ORDER_HEADERS.length).concat([requester || '', new Date()]);
+    getTrashSheet().appendRow(trashRow);
+    found.sheet.deleteRow(found.rowNumber);
+    updateDailySummary(found.row, -1);
+    var deleted = rowToOrder(found.row);
+    writeAuditLog(data, 'delete', data.id, deleted, null);
+    if (deleted.customerPhone) {
+      settleOrderPoints(deleted.customerPhone, deleted.id, false, requester);
+      removeCustomerVisit(deleted.customerPhone);
+    }
+    return { success: true, message: 'Order moved to trash', id: data.id };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Restore a deleted order from the "Đã xóa" sheet (owner, whoever deleted it, or a manager) */
+function restoreOrder(data) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var trash = getTrashSheet();
+    var values = trash.getDataRange().getValues();
+    var requester = String((data && data._email) || '').toLowerCase();
+
+    // Newest deletions are at the bottom
+    for (var i = values.length - 1; i >= 1; i--) {
+      if (values[i][COLUMNS.ID] !== data.id) continue;
+
+      var owner = String(values[i][COLUMNS.EMPLOYEE]).toLowerCase();
+      var deletedBy = String(values[i][TRASH_COLUMNS.DELETED_BY]).toLowerCase();
+      if (requester && requester !== deletedBy && !canAccessOrder(data, owner)) {
         return { success: false, error: 'Forbidden' };
       }
-      sheet.deleteRow(i + 1);
-      return { success: true, message: 'Order row deleted', id: data.id };
+
+      var closedError = closedDayError(values[i][COLUMNS.TIMESTAMP]);
+      if (closedError) return { success: false, error: closedError };
+
+      var row = values[i].slice(0, ORDER_HEADERS.length);
+      insertOrderRow(row);
+      updateDailySummary(row, 1);
+      trash.deleteRow(i + 1);
+      var restored = rowToOrder(row);
+      writeAuditLog(data, 'restore', restored.id, null, restored);
+      if (restored.customerPhone) {
+        settleOrderPoints(restored.customerPhone, restored.id, true, requester);
+        upsertCustomer(restored.customerPhone, '', orderVisitTime(row));
+      }
+      return { success: true, message: 'Order restored', order: restored };
     }
+
+    return { success: false, error: 'Order not found' };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Put a row where its timestamp belongs in a monthly sheet.
+ * getOrders/getStats scan bottom-up and stop at the first older row, so each sheet must stay sorted.
+ */
+function insertOrderRowChronologically(sheet, row) {
+  var ts = row[COLUMNS.TIMESTAMP];
+  if (!(ts instanceof Date)) ts = new Date(ts);
+
+  var lastRow = sheet.getLastRow();
+  var timestamps = lastRow > 1 ? sheet.getRange(2, COLUMNS.TIMESTAMP + 1, lastRow - 1, 1).getValues() : [];
+  var after = 1; // header row
+  for (var i = timestamps.length - 1; i >= 0; i--) {
+    var rowTs = timestamps[i][0];
+    if (!(rowTs instanceof Date)) rowTs = new Date(rowTs);
+    if (rowTs <= ts) { after = i + 2; break; }
+  }
+
+  if (after >= lastRow) {
+    sheet.appendRow(row);
+  } else {
+    sheet.insertRowAfter(after);
+    sheet.getRange(after + 1, 1, 1, row.length).setValues([row]);
+  }
+}
+
+/**
+ * Action "importOrders" (manager/owner): historical orders, e.g. typed up from the paper ledger.
+ * rows: JSON array (at most CONFIG.MAX_IMPORT_ROWS) of { line, id?, timestamp, employee?, service, price,
+ * discount?, tip?, paymentMethod?, customerPhone?, customerName?, notes? }; each row goes through the
+ * same Validator rules as "create". dryRun only reports; otherwise accepted rows are inserted in time
+ * order. IDs already in that month's sheet are reported as duplicates and skipped, so a batch can be re-sent.
+ * Imported orders count as customer visits but earn no loyalty points.
+ */
+function importOrders(data) {
+  if (!canManageOrders(data && data._role)) {
+    return { success: false, error: 'Không đủ quyền' };
   }
+  var lock = null;
+  try {
+    var rows = data.rows;
+    if (typeof rows === 'string') {
+      try { rows = JSON.parse(rows); } catch (e) { throw new Error('Dữ liệu nhập không hợp lệ'); }
+    }
+    if (!Array.isArray(rows) || rows.length === 0) return { success: false, error: 'Không có dòng nào để nhập' };
+    if (rows.length > CONFIG.MAX_IMPORT_ROWS) {
+      return { success: false, error: 'Tối đa ' + CONFIG.MAX_IMPORT_ROWS + ' dòng mỗi lần nhập' };
+    }
+    var dryRun = data.dryRun === true || data.dryRun === 'true';
+    var caller = String(data._email || '').toLowerCase();
+    var employees = getEmployees();
+    var closedDays = getClosedDays();
+
+    if (!dryRun) {
+      lock = LockService.getScriptLock();
+      lock.waitLock(30000);
+    }
 
-  return { success: false, error: 'Order not found' };
+    var accepted = [];
+    var rejected = [];
+    var duplicates = [];
+    var validated = rows.map(function(row, index) {
+      var line = (row && row.line) || index + 1;
+      try {
+        var order = validateImportRow(row, employees, caller);
+        var closedError = closedDayError(order.date, closedDays);
+        if (closedError) throw new Error(closedError);
+        return { line: line, order: order };
+      } catch (error) {
+        rejected.push({ line: line, error: error.message || error.toString() });
+        return null;
+      }
+    }).filter(Boolean);
+
+    // IDs already stored in the months this batch touches (a re-sent row lands in the same month)
+    var existingIds = {};
+    var months = {};
+    validated.forEach(function(entry) { months[orderMonthKey(entry.order.date)] = true; });
+    Object.keys(months).forEach(function(month) {
+      var sheet = getOrderSheet(month, false);
+      if (!sheet || sheet.getLastRow() <= 1) return;
+      sheet.getRange(2, COLUMNS.ID + 1, sheet.getLastRow() - 1, 1).getValues().forEach(function(cell) {
+        existingIds[String(cell[0])] = true;
+      });
+    });
+
+    validated.forEach(function(entry) {
+      if (existingIds[entry.order.id]) {
+        duplicates.push({ line: entry.line, id: entry.order.id });
+        return;
+      }
+      existingIds[entry.order.id] = true;
+      accepted.push(entry);
+    });
+
+    if (!dryRun) {
+      accepted.slice().sort(function(a, b) { return a.order.date - b.order.date; }).forEach(function(entry) {
+        var order = entry.order;
+        var customer = order.customerPhone ? upsertCustomer(order.customerPhone, order.customerName, order.date) : null;
+        if (customer) order.customerName = customer.name;
+        var row = [
+          order.id,
+          order.date,
+          order.employee,
+          order.employeeName,
+          order.service,
+          order.price,
+          order.notes,
+          JSON.stringify(order.items),
+          order.discount,
+          order.tip,
+          PAYMENT_METHODS[order.paymentMethod] || '',
+          order.customerPhone ? "'" + order.customerPhone : '',
+          order.customerName
+        ];
+        insertOrderRow(row);
+        updateDailySummary(row, 1);
+        delete order.date;
+        writeAuditLog(data, 'import', order.id, null, order);
+      });
+    }
+
+    return {
+      success: true,
+      dryRun: dryRun,
+      imported: dryRun ? 0 : accepted.length,
+      accepted: accepted.map(function(entry) { return { line: entry.line, id: entry.order.id }; }),
+      rejected: rejected,
+      duplicates: duplicates
+    };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    if (lock) lock.releaseLock();
+  }
+}
+
+/** One import row → validated order (date is a Date; timestamp its ISO string); throws the first problem */
+function validateImportRow(row, employees, caller) {
+  if (!row || typeof row !== 'object') throw new Error('Dòng trống');
+  var date = row.timestamp ? new Date(row.timestamp) : null;
+  if (!date || isNaN(date.getTime())) throw new Error('Ngày giờ không hợp lệ');
+  if (date > new Date()) throw new Error('Ngày giờ ở tương lai');
+
+  var lines = orderLinesFromRequest({ service: row.service, price: row.price, discount: row.discount, tip: row.tip });
+  // Employee by email or name from "Nhân viên"; blank = whoever imports
+  var wanted = normalizeKey(row.employee) || caller;
+  var employee = employees.filter(function(emp) {
+    return emp.email === wanted || normalizeKey(emp.name) === wanted;
+  })[0];
+  if (!employee) throw new Error('Không tìm thấy nhân viên: ' + (row.employee || caller));
+
+  return {
+    id: Validator.validateIdempotencyKey(row.id) || generateOrderId(),
+    date: date,
+    timestamp: date.toISOString(),
+    employee: employee.email,
+    employeeName: employee.name,
+    service: lines.service,
+    price: lines.price,
+    notes: Validator.validateNotes(row.notes),
+    items: lines.items,
+    discount: lines.discount,
+    tip: lines.tip,
+    paymentMethod: Validator.validatePaymentMethod(row.paymentMethod),
+    customerPhone: Validator.validatePhone(row.customerPhone),
+    customerName: Validator.validateCustomerName(row.customerName)
+  };
+}
+
+/**
+ * Which of ids (comma-separated, at most CONFIG.MAX_IMPORT_ROWS) are stored in the sheets of months
+ * (comma-separated YYYY-MM). Read-only, so an import batch sent through no-cors can be confirmed by JSONP.
+ */
+function getImportedIds(params) {
+  if (!canManageOrders(params && params._role)) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+  var wanted = {};
+  String((params && params.ids) || '').split(',').slice(0, CONFIG.MAX_IMPORT_ROWS).forEach(function(id) {
+    if (/^[A-Za-z0-9_-]{6,64}$/.test(id)) wanted[id] = true;
+  });
+  var found = [];
+  String((params && params.months) || '').split(',').slice(0, 12).forEach(function(month) {
+    if (!/^\d{4}-\d{2}$/.test(month)) return;
+    var sheet = getOrderSheet(month, false);
+    if (!sheet || sheet.getLastRow() <= 1) return;
+    sheet.getRange(2, COLUMNS.ID + 1, sheet.getLastRow() - 1, 1).getValues().forEach(function(cell) {
+      var id = String(cell[0]);
+      if (wanted[id]) {
+        found.push(id);
+        delete wanted[id];
+      }
+    });
+  });
+  return { success: true, ids: found };
+}
+
+/** Lấy sheet "Khách hàng" */
+function getCustomersSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(CUSTOMERS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUSTOMERS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUSTOMER_HEADERS.length).setValues([CUSTOMER_HEADERS]);
+    sheet.getRange(1, 1, 1, CUSTOMER_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    // Phone numbers are text: keep the leading 0
+    sheet.getRange(1, CUSTOMER_COLUMNS.PHONE + 1, sheet.getMaxRows(), 1).setNumberFormat('@');
+  } else if (sheet.getLastColumn() < CUSTOMER_HEADERS.length) {
+    // Sheets created before the loyalty columns
+    sheet.getRange(1, 1, 1, CUSTOMER_HEADERS.length).setValues([CUSTOMER_HEADERS]);
+    sheet.getRange(1, 1, 1, CUSTOMER_HEADERS.length).setFontWeight('bold');
+  }
+  return sheet;
+}
+
+/** Phone → digits starting with 0 ("+84 90 123 4567" → "0901234567"); sheets may have dropped the 0 */
+function normalizePhone(value) {
+  var digits = String(value == null ? '' : value).replace(/\D+/g, '');
+  if (digits.indexOf('84') === 0 && digits.length >= 11) digits = '0' + digits.slice(2);
+  if (digits && digits.charAt(0) !== '0') digits = '0' + digits;
+  return digits;
+}
+
+/** Lowercase text without Vietnamese diacritics, for name search */
+function foldText(value) {
+  return normalizeKey(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd');
+}
+
+function rowToCustomer(row) {
+  var lastVisit = row[CUSTOMER_COLUMNS.LAST_VISIT];
+  return {
+    phone: normalizePhone(row[CUSTOMER_COLUMNS.PHONE]),
+    name: row[CUSTOMER_COLUMNS.NAME] || '',
+    notes: row[CUSTOMER_COLUMNS.NOTES] || '',
+    lastVisit: (lastVisit instanceof Date) ? lastVisit.toISOString() : (lastVisit || ''),
+    points: parseInt(row[CUSTOMER_COLUMNS.POINTS], 10) || 0,
+    visits: parseInt(row[CUSTOMER_COLUMNS.VISITS], 10) || 0
+  };
+}
+
+/** Customer by normalized phone, or null */
+function findCustomer(phone) {
+  var values = getCustomersSheet().getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    if (normalizePhone(values[i][CUSTOMER_COLUMNS.PHONE]) === phone) return rowToCustomer(values[i]);
+  }
+  return null;
+}
+
+/**
+ * Create the customer if the phone is new, otherwise refresh the name (when given).
+ * visitAt counts a visit: last visit date and visit count. Returns the customer.
+ */
+function upsertCustomer(phone, name, visitAt) {
+  var sheet = getCustomersSheet();
+  var values = sheet.getDataRange().getValues();
+  var width = CUSTOMER_HEADERS.length;
+  for (var i = 1; i < values.length; i++) {
+    if (normalizePhone(values[i][CUSTOMER_COLUMNS.PHONE]) !== phone) continue;
+    var row = values[i].slice(0, width);
+    while (row.length < width) row.push('');
+    if (name) row[CUSTOMER_COLUMNS.NAME] = name;
+    if (visitAt) {
+      // Imported history may be older than the visit already on file
+      var lastVisit = row[CUSTOMER_COLUMNS.LAST_VISIT];
+      if (!(lastVisit instanceof Date) || visitAt > lastVisit) row[CUSTOMER_COLUMNS.LAST_VISIT] = visitAt;
+      row[CUSTOMER_COLUMNS.VISITS] = (parseInt(row[CUSTOMER_COLUMNS.VISITS], 10) || 0) + 1;
+    }
+    // B through G; the phone in A never changes
+    sheet.getRange(i + 1, CUSTOMER_COLUMNS.NAME + 1, 1, width - 1).setValues([row.slice(1)]);
+    return rowToCustomer(row);
+  }
+  var newRow = ["'" + phone, name || '', '', new Date(), visitAt || '', 0, visitAt ? 1 : 0];
+  sheet.appendRow(newRow);
+  return rowToCustomer(newRow);
+}
+
+/**
+ * Take back the visit an order counted (deleted, or moved to another customer). "Lần ghé gần nhất"
+ * stays: the visit before it is not on file.
+ */
+function removeCustomerVisit(phone) {
+  var sheet = getCustomersSheet();
+  var values = sheet.getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    if (normalizePhone(values[i][CUSTOMER_COLUMNS.PHONE]) !== phone) continue;
+    var visits = parseInt(values[i][CUSTOMER_COLUMNS.VISITS], 10) || 0;
+    sheet.getRange(i + 1, CUSTOMER_COLUMNS.VISITS + 1).setValue(Math.max(0, visits - 1));
+    return;
+  }
+}
+
+/** An order row's time as the visit date upsertCustomer expects */
+function orderVisitTime(row) {
+  var ts = row[COLUMNS.TIMESTAMP];
+  return (ts instanceof Date) ? ts : new Date(ts);
+}
+
+/** Action "customers": autocomplete by phone digits or name (q), most recent visitors first */
+function searchCustomers(params) {
+  var q = String((params && params.q) || '').trim();
+  var digits = q.replace(/\D+/g, '');
+  var byPhone = digits.length >= 3 && digits.length === q.replace(/[\s.+-]/g, '').length;
+  var needle = byPhone ? digits.replace(/^84/, '') : foldText(q);
+  if (needle.length < 2) return { success: true, customers: [] };
+
+  var values = getCustomersSheet().getDataRange().getValues();
+  var matches = [];
+  for (var i = 1; i < values.length; i++) {
+    var customer = rowToCustomer(values[i]);
+    var hit = byPhone ? customer.phone.indexOf(needle) >= 0 : foldText(customer.name).indexOf(needle) >= 0;
+    if (hit) matches.push(customer);
+  }
+  matches.sort(function(a, b) { return String(b.lastVisit).localeCompare(String(a.lastVisit)); });
+  var limit = Math.min(parseInt((params && params.limit) || 10, 10) || 10, 50);
+  return { success: true, customers: matches.slice(0, limit) };
+}
+
+/**
+ * Action "customerHistory": the customer plus their orders (newest first), total spent and visit count.
+ * Open to every stylist so anyone can see what a returning customer had done before.
+ */
+function getCustomerHistory(params) {
+  var phone = Validator.validatePhone(params && params.phone);
+  if (!phone) return { success: false, error: 'Thiếu số điện thoại' };
+
+  var customer = findCustomer(phone);
+  if (!customer) return { success: false, error: 'Không tìm thấy khách hàng' };
+
+  var limit = Math.min(parseInt((params && params.limit) || 50, 10) || 50, CONFIG.MAX_ORDERS_PER_REQUEST);
+  var orders = [];
+  var totalSpent = 0;
+  var visitCount = 0;
+  var lastVisit = '';
+  // Every month, newest first: totals cover every visit, the list stops at the limit
+  forEachOrderRow(null, null, function(row) {
+    if (normalizePhone(row[COLUMNS.CUSTOMER_PHONE]) !== phone) return;
+    var order = rowToOrder(row);
+    visitCount++;
+    totalSpent += parseOrderPrice(row[COLUMNS.PRICE]);
+    if (!lastVisit) lastVisit = order.timestamp;
+    if (orders.length < limit) orders.push(order);
+  });
+
+  customer.lastVisit = lastVisit || customer.lastVisit;
+  return {
+    success: true,
+    customer: customer,
+    orders: orders,
+    totalSpent: totalSpent,
+    visitCount: visitCount,
+    pointsLedger: getPointsLedger(phone, 20)
+  };
+}
+
+/** Action "updateCustomer": edit the name or notes (e.g. dye formula); creates the customer if new */
+function updateCustomer(data) {
+  var phone = Validator.validatePhone(data && data.phone);
+  if (!phone) return { success: false, error: 'Thiếu số điện thoại' };
+  var name = Validator.validateCustomerName(data.name);
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var customer = upsertCustomer(phone, name, null);
+    if (typeof data.notes !== 'undefined') {
+      var notes = Validator.validateNotes(data.notes);
+      var sheet = getCustomersSheet();
+      var phones = sheet.getRange(2, CUSTOMER_COLUMNS.PHONE + 1, Math.max(sheet.getLastRow() - 1, 1), 1).getValues();
+      for (var i = 0; i < phones.length; i++) {
+        if (normalizePhone(phones[i][0]) === phone) {
+          sheet.getRange(i + 2, CUSTOMER_COLUMNS.NOTES + 1).setValue(notes);
+          customer.notes = notes;
+          break;
+        }
+      }
+    }
+    return { success: true, customer: customer };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Loyalty: earning rules, rewards and the points ledger (all edited in the spreadsheet)
+const LOYALTY_RULES_SHEET_NAME = 'Tích điểm';
+const LOYALTY_RULE_HEADERS = ['Kiểu', 'Mỗi', 'Điểm', 'Đang dùng'];
+const LOYALTY_RULE_COLUMNS = {
+  TYPE: 0,    // A: "VNĐ" (theo chi tiêu) hoặc "Lượt" (theo số lần ghé)
+  EVERY: 1,   // B: mỗi bao nhiêu VNĐ / bao nhiêu lượt
+  POINTS: 2,  // C: số điểm được cộng
+  ACTIVE: 3   // D
+};
+// Paper stamp card: one stamp per visit
+const DEFAULT_LOYALTY_RULES = [['Lượt', 1, 1, true]];
+
+const REWARDS_SHEET_NAME = 'Ưu đãi';
+const REWARD_HEADERS = ['Tên ưu đãi', 'Điểm cần', 'Dịch vụ', 'Giảm (%)', 'Giảm (VNĐ)', 'Đang dùng'];
+const REWARD_COLUMNS = {
+  NAME: 0,     // A
+  COST: 1,     // B
+  SERVICE: 2,  // C: trống = cả đơn, có tên = một lượt dịch vụ đó
+  PERCENT: 3,  // D
+  AMOUNT: 4,   // E
+  ACTIVE: 5    // F
+};
+// "10th cut free": nine stamps pay for the next haircut
+const DEFAULT_REWARDS = [['Cắt tóc miễn phí', 9, 'Cắt tóc', 100, 0, true]];
+
+const POINTS_LEDGER_SHEET_NAME = 'Điểm thưởng';
+const POINTS_LEDGER_HEADERS = ['Thời gian', 'SĐT khách', 'ID đơn', 'Điểm', 'Lý do', 'Số dư', 'Người thực hiện'];
+const POINTS_LEDGER_COLUMNS = {
+  TIMESTAMP: 0,
+  PHONE: 1,
+  ORDER_ID: 2,
+  POINTS: 3,    // + cộng, - trừ
+  REASON: 4,
+  BALANCE: 5,
+  BY: 6
+};
+const LOYALTY_REASONS = {
+  EARN: 'Tích điểm',
+  REDEEM: 'Đổi ưu đãi',
+  DELETE: 'Hoàn do xóa đơn',
+  RESTORE: 'Khôi phục đơn',
+  UPDATE: 'Điều chỉnh do sửa đơn'
+};
+
+/** Get or create one of the loyalty sheets, seeding defaults on creation */
+function getLoyaltySheet(name, headers, seedRows) {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    if (seedRows && seedRows.length) {
+      sheet.getRange(2, 1, seedRows.length, headers.length).setValues(seedRows);
+    }
+  }
+  return sheet;
+}
+
+/** Active earning rules: { type: 'spend' | 'visit', every, points } */
+function getLoyaltyRules() {
+  var values = getLoyaltySheet(LOYALTY_RULES_SHEET_NAME, LOYALTY_RULE_HEADERS, DEFAULT_LOYALTY_RULES).getDataRange().getValues();
+  var rules = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (!isActiveCell(row[LOYALTY_RULE_COLUMNS.ACTIVE])) continue;
+    var type = foldText(row[LOYALTY_RULE_COLUMNS.TYPE]);
+    var every = parseOrderPrice(row[LOYALTY_RULE_COLUMNS.EVERY]);
+    var points = parseInt(row[LOYALTY_RULE_COLUMNS.POINTS], 10) || 0;
+    if (every <= 0 || points <= 0) continue;
+    if (type === 'vnd' || type === 'vnđ') rules.push({ type: 'spend', every: every, points: points });
+    else if (type === 'luot') rules.push({ type: 'visit', every: every, points: points });
+  }
+  return rules;
+}
+
+/**
+ * Points for one order: spend rules on the revenue after discounts,
+ * visit rules when the visit count reaches a multiple of "Mỗi".
+ * A visit that redeems a reward earns no visit points (like a stamp card).
+ */
+function calculateEarnedPoints(rules, revenue, visits, redeemed) {
+  var earned = 0;
+  rules.forEach(function(rule) {
+    if (rule.type === 'spend') earned += Math.floor(revenue / rule.every) * rule.points;
+    if (rule.type === 'visit' && !redeemed && visits > 0 && visits % rule.every === 0) earned += rule.points;
+  });
+  return earned;
+}
+
+/** Active rewards: { name, cost, service, percent, amount } */
+function getRewardCatalog() {
+  var values = getLoyaltySheet(REWARDS_SHEET_NAME, REWARD_HEADERS, DEFAULT_REWARDS).getDataRange().getValues();
+  var rewards = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var name = String(row[REWARD_COLUMNS.NAME] || '').trim();
+    if (!name || !isActiveCell(row[REWARD_COLUMNS.ACTIVE])) continue;
+    rewards.push({
+      name: name,
+      cost: parseInt(row[REWARD_COLUMNS.COST], 10) || 0,
+      service: String(row[REWARD_COLUMNS.SERVICE] || '').trim(),
+      percent: Math.min(Math.max(Number(row[REWARD_COLUMNS.PERCENT]) || 0, 0), 100),
+      amount: parseOrderPrice(row[REWARD_COLUMNS.AMOUNT])
+    });
+  }
+  return rewards;
+}
+
+/** Action "rewards": what a customer can redeem on the order form */
+function getRewards(params) {
+  return { success: true, rewards: getRewardCatalog() };
+}
+
+/**
+ * Discount a reward gives on these items, on top of the manual discount.
+ * A reward tied to a service covers one unit of it (the dearest line); otherwise the whole order.
+ */
+function calculateRewardDiscount(reward, items, discount) {
+  var subtotal = items.reduce(function(sum, item) { return sum + item.quantity * item.unitPrice; }, 0);
+  var base = subtotal;
+  if (reward.service) {
+    var key = normalizeKey(reward.service);
+    var unitPrices = items
+      .filter(function(item) { return normalizeKey(item.service) === key; })
+      .map(function(item) { return item.unitPrice; });
+    if (!unitPrices.length) throw new Error('Đơn không có dịch vụ "' + reward.service + '" của ưu đãi');
+    base = Math.max.apply(null, unitPrices);
+  }
+  var value = Math.round(base * reward.percent / 100) + reward.amount;
+  return Math.min(value, Math.max(subtotal - discount, 0));
+}
+
+/** Add a ledger entry and move the customer's balance; returns the new balance */
+function addPointsEntry(phone, orderId, points, reason, by) {
+  var sheet = getCustomersSheet();
+  var phones = sheet.getRange(2, CUSTOMER_COLUMNS.PHONE + 1, Math.max(sheet.getLastRow() - 1, 1), 1).getValues();
+  var balance = points;
+  for (var i = 0; i < phones.length; i++) {
+    if (normalizePhone(phones[i][0]) !== phone) continue;
+    var cell = sheet.getRange(i + 2, CUSTOMER_COLUMNS.POINTS + 1);
+    balance = (parseInt(cell.getValue(), 10) || 0) + points;
+    cell.setValue(balance);
+    break;
+  }
+  getLoyaltySheet(POINTS_LEDGER_SHEET_NAME, POINTS_LEDGER_HEADERS).appendRow([
+    new Date(), "'" + phone, orderId || '', points, reason, balance, by || ''
+  ]);
+  return balance;
+}
+
+/**
+ * After a create: redeem the reward (if any) then add the points this order earns.
+ * customer is the record after the visit was counted.
+ */
+function applyOrderLoyalty(order, customer, reward, by) {
+  var balance = customer.points;
+  if (reward) {
+    balance = addPointsEntry(customer.phone, order.id, -reward.cost, LOYALTY_REASONS.REDEEM + ': ' + reward.name, by);
+  }
+  var earned = calculateEarnedPoints(getLoyaltyRules(), parseOrderPrice(order.price), customer.visits, !!reward);
+  if (earned) balance = addPointsEntry(customer.phone, order.id, earned, LOYALTY_REASONS.EARN, by);
+  return { earned: earned, redeemed: reward ? reward.cost : 0, reward: reward ? reward.name : '', points: balance };
+}
+
+/**
+ * Points one order moved so far: net (all entries), original (what the live order stands for: every entry
+ * but delete/restore, so edits count) and redeemed (reward redemptions, negative)
+ */
+function orderPointsTotals(orderId) {
+  var values = getLoyaltySheet(POINTS_LEDGER_SHEET_NAME, POINTS_LEDGER_HEADERS).getDataRange().getValues();
+  var totals = { net: 0, original: 0, redeemed: 0 };
+  for (var i = 1; i < values.length; i++) {
+    if (String(values[i][POINTS_LEDGER_COLUMNS.ORDER_ID]) !== String(orderId)) continue;
+    var points = parseInt(values[i][POINTS_LEDGER_COLUMNS.POINTS], 10) || 0;
+    var reason = String(values[i][POINTS_LEDGER_COLUMNS.REASON]);
+    totals.net += points;
+    if (reason !== LOYALTY_REASONS.DELETE && reason !== LOYALTY_REASONS.RESTORE) totals.original += points;
+    if (reason.indexOf(LOYALTY_REASONS.REDEEM) === 0) totals.redeemed += points;
+  }
+  return totals;
+}
+
+/**
+ * Delete/restore: bring the points an order moved back to zero (delete)
+ * or to what it originally earned/redeemed (restore). reason overrides the ledger label (update).
+ */
+function settleOrderPoints(phone, orderId, restore, by, reason) {
+  var totals = orderPointsTotals(orderId);
+  var delta = (restore ? totals.original : 0) - totals.net;
+  if (delta) {
+    addPointsEntry(phone, orderId, delta, reason || (restore ? LOYALTY_REASONS.RESTORE : LOYALTY_REASONS.DELETE), by);
+  }
+}
+
+/**
+ * Update that changed the revenue or the customer: reverse what the order moved for the old values,
+ * then apply it for the new ones. Spend points follow the new revenue and a redeemed reward stays charged;
+ * visit points were counted at create, so they stay with the same customer and are dropped on a move.
+ */
+function resettleOrderPoints(before, after, by) {
+  var totals = orderPointsTotals(after.id);
+  var spendRules = getLoyaltyRules().filter(function(rule) { return rule.type === 'spend'; });
+  var spendPoints = function(order) { return calculateEarnedPoints(spendRules, parseOrderPrice(order.price), 0, false); };
+  var samePhone = before.customerPhone === after.customerPhone;
+  var visitPoints = samePhone ? Math.max(totals.net - totals.redeemed - spendPoints(before), 0) : 0;
+  var target = after.customerPhone ? totals.redeemed + spendPoints(after) + visitPoints : 0;
+  if (samePhone && target === totals.net) return;
+  if (before.customerPhone) settleOrderPoints(before.customerPhone, after.id, false, by, LOYALTY_REASONS.UPDATE);
+  if (target) addPointsEntry(after.customerPhone, after.id, target, LOYALTY_REASONS.UPDATE, by);
+}
+
+/** Newest ledger entries of one customer */
+function getPointsLedger(phone, limit) {
+  var values = getLoyaltySheet(POINTS_LEDGER_SHEET_NAME, POINTS_LEDGER_HEADERS).getDataRange().getValues();
+  var entries = [];
+  for (var i = values.length - 1; i >= 1 && entries.length < limit; i--) {
+    var row = values[i];
+    if (normalizePhone(row[POINTS_LEDGER_COLUMNS.PHONE]) !== phone) continue;
+    var ts = row[POINTS_LEDGER_COLUMNS.TIMESTAMP];
+    entries.push({
+      timestamp: (ts instanceof Date) ? ts.toISOString() : ts,
+      orderId: row[POINTS_LEDGER_COLUMNS.ORDER_ID],
+      points: parseInt(row[POINTS_LEDGER_COLUMNS.POINTS], 10) || 0,
+      reason: row[POINTS_LEDGER_COLUMNS.REASON],
+      balance: parseInt(row[POINTS_LEDGER_COLUMNS.BALANCE], 10) || 0
+    });
+  }
+  return entries;
+}
+
+// Appointments ("Lịch hẹn"): one row per booking. Rows are in booking order, not time order,
+// so reads scan the whole sheet (it stays small: cancelled/finished rows can be archived by hand)
+const APPOINTMENTS_SHEET_NAME = 'Lịch hẹn';
+const APPOINTMENT_HEADERS = ['ID', 'Bắt đầu', 'Thời lượng (phút)', 'Email thợ', 'Tên thợ', 'Dịch vụ', 'SĐT khách', 'Tên khách', 'Ghi chú', 'Trạng thái', 'Người tạo', 'ID đơn'];
+const APPOINTMENT_COLUMNS = {
+  ID: 0,
+  START: 1,
+  DURATION: 2,
+  STYLIST: 3,
+  STYLIST_NAME: 4,
+  SERVICE: 5,
+  CUSTOMER_PHONE: 6,
+  CUSTOMER_NAME: 7,
+  NOTES: 8,
+  STATUS: 9,
+  CREATED_BY: 10,
+  ORDER_ID: 11    // set when the appointment became an order
+};
+// API key → label stored in "Trạng thái"
+const APPOINTMENT_STATUSES = {
+  booked: 'Đã đặt',
+  cancelled: 'Đã hủy',
+  done: 'Đã làm'
+};
+
+function getAppointmentsSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(APPOINTMENTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(APPOINTMENTS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, APPOINTMENT_HEADERS.length).setValues([APPOINTMENT_HEADERS]);
+    sheet.getRange(1, 1, 1, APPOINTMENT_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** "Trạng thái" cell → booked | cancelled | done (blank counts as booked) */
+function normalizeAppointmentStatus(value) {
+  var v = normalizeKey(value);
+  if (!v) return 'booked';
+  for (var key in APPOINTMENT_STATUSES) {
+    if (v === key || normalizeKey(APPOINTMENT_STATUSES[key]) === v) return key;
+  }
+  return 'booked';
+}
+
+function rowToAppointment(row) {
+  var start = row[APPOINTMENT_COLUMNS.START];
+  if (!(start instanceof Date)) start = new Date(start);
+  var duration = parseInt(row[APPOINTMENT_COLUMNS.DURATION], 10) || CONFIG.DEFAULT_APPOINTMENT_MINUTES;
+  return {
+    id: String(row[APPOINTMENT_COLUMNS.ID]),
+    start: start.toISOString(),
+    end: new Date(start.getTime() + duration * 60000).toISOString(),
+    duration: duration,
+    stylist: String(row[APPOINTMENT_COLUMNS.STYLIST] || '').toLowerCase(),
+    stylistName: row[APPOINTMENT_COLUMNS.STYLIST_NAME] || '',
+    service: row[APPOINTMENT_COLUMNS.SERVICE] || '',
+    customerPhone: normalizePhone(row[APPOINTMENT_COLUMNS.CUSTOMER_PHONE]),
+    customerName: row[APPOINTMENT_COLUMNS.CUSTOMER_NAME] || '',
+    notes: row[APPOINTMENT_COLUMNS.NOTES] || '',
+    status: normalizeAppointmentStatus(row[APPOINTMENT_COLUMNS.STATUS]),
+    createdBy: String(row[APPOINTMENT_COLUMNS.CREATED_BY] || '').toLowerCase(),
+    orderId: row[APPOINTMENT_COLUMNS.ORDER_ID] || ''
+  };
+}
+
+/** Stylist for a booking: an email from "Nhân viên", defaulting to the caller */
+function resolveStylist(email, fallback) {
+  var target = String(email || fallback || '').toLowerCase();
+  var match = getEmployees().filter(function(emp) { return emp.email === target; })[0];
+  if (!match) throw new Error('Không tìm thấy thợ trong danh sách nhân viên');
+  return match;
+}
+
+/** A booked appointment of this stylist overlapping [start, end), ignoring ignoreId */
+function findAppointmentOverlap(values, stylist, start, end, ignoreId) {
+  for (var i = 1; i < values.length; i++) {
+    var appt = rowToAppointment(values[i]);
+    if (appt.status !== 'booked' || appt.stylist !== stylist || appt.id === String(ignoreId || '')) continue;
+    if (new Date(appt.start) < end && new Date(appt.end) > start) return appt;
+  }
+  return null;
+}
+
+function overlapError(appt) {
+  var tz = Session.getScriptTimeZone();
+  var from = Utilities.formatDate(new Date(appt.start), tz, 'HH:mm');
+  var to = Utilities.formatDate(new Date(appt.end), tz, 'HH:mm');
+  return { success: false, error: 'Thợ đã có lịch hẹn trùng giờ (' + from + '–' + to + ')', conflict: appt };
+}
+
+/** Only the stylist, whoever booked it, or a manager may move/cancel */
+function canChangeAppointment(params, appt) {
+  var requester = String((params && params._email) || '').toLowerCase();
+  if (!requester || canManageOrders(params && params._role)) return true;
+  return requester === appt.stylist || requester === appt.createdBy;
+}
+
+/**
+ * Action "appointments": bookings between from and to (YYYY-MM-DD, inclusive; default today),
+ * optionally for one stylist, sorted by start. The schedule is shared, so every employee sees it.
+ */
+function listAppointments(params) {
+  var from = params && params.from ? parseDateParam(params.from) : new Date();
+  from.setHours(0, 0, 0, 0);
+  var to = params && params.to ? parseDateParam(params.to) : new Date(from);
+  to.setDate(to.getDate() + 1);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+    return { success: false, error: 'Khoảng ngày không hợp lệ' };
+  }
+  if ((to - from) / 86400000 > CONFIG.MAX_APPOINTMENT_RANGE_DAYS) {
+    return { success: false, error: 'Chỉ xem tối đa ' + CONFIG.MAX_APPOINTMENT_RANGE_DAYS + ' ngày' };
+  }
+  var stylist = String((params && params.stylist) || '').toLowerCase();
+  var includeCancelled = String(params && params.includeCancelled) === 'true';
+
+  var values = getAppointmentsSheet().getDataRange().getValues();
+  var appointments = [];
+  for (var i = 1; i < values.length; i++) {
+    if (!values[i][APPOINTMENT_COLUMNS.ID]) continue;
+    var appt = rowToAppointment(values[i]);
+    var start = new Date(appt.start);
+    if (start < from || start >= to) continue;
+    if (stylist && appt.stylist !== stylist) continue;
+    if (appt.status === 'cancelled' && !includeCancelled) continue;
+    appointments.push(appt);
+  }
+  appointments.sort(function(a, b) { return a.start < b.start ? -1 : (a.start > b.start ? 1 : 0); });
+
+  var stylists = getEmployees().map(function(emp) { return { email: emp.email, name: emp.name }; });
+  return { success: true, appointments: appointments, stylists: stylists };
+}
+
+/** Action "createAppointment": { start, duration?, stylist?, service, customerPhone?, customerName?, notes? } */
+function createAppointment(data) {
+  var lock = null;
+  try {
+    var start = Validator.validateAppointmentStart(data.start);
+    var duration = Validator.validateDuration(data.duration);
+    var service = Validator.validateService(data.service);
+    var customerPhone = Validator.validatePhone(data.customerPhone);
+    var customerName = Validator.validateCustomerName(data.customerName);
+    var notes = Validator.validateNotes(data.notes);
+    var requester = String((data && data._email) || '').toLowerCase();
+    var stylist = resolveStylist(data.stylist, requester);
+    var end = new Date(start.getTime() + duration * 60000);
+
+    // Check-then-append under the lock so two bookings cannot take the same slot
+    lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+
+    var sheet = getAppointmentsSheet();
+    var conflict = findAppointmentOverlap(sheet.getDataRange().getValues(), stylist.email, start, end);
+    if (conflict) return overlapError(conflict);
+
+    var row = [
+      'APT' + generateOrderId(),
+      start,
+      duration,
+      stylist.email,
+      stylist.name,
+      service,
+      customerPhone ? "'" + customerPhone : '',
+      customerName,
+      notes,
+      APPOINTMENT_STATUSES.booked,
+      requester,
+      ''
+    ];
+    sheet.appendRow(row);
+    return { success: true, appointment: rowToAppointment(row) };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    if (lock) lock.releaseLock();
+  }
+}
+
+/** Action "moveAppointment": new start and/or duration and/or stylist for a booked appointment */
+function moveAppointment(data) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var sheet = getAppointmentsSheet();
+    var values = sheet.getDataRange().getValues();
+    for (var i = 1; i < values.length; i++) {
+      if (String(values[i][APPOINTMENT_COLUMNS.ID]) !== String(data.id)) continue;
+      var appt = rowToAppointment(values[i]);
+      if (!canChangeAppointment(data, appt)) return { success: false, error: 'Không đủ quyền' };
+      if (appt.status !== 'booked') return { success: false, error: 'Lịch hẹn đã hủy hoặc đã làm' };
+
+      var start = data.start ? Validator.validateAppointmentStart(data.start) : new Date(appt.start);
+      var duration = data.duration ? Validator.validateDuration(data.duration) : appt.duration;
+      var stylist = data.stylist ? resolveStylist(data.stylist) : { email: appt.stylist, name: appt.stylistName };
+      var end = new Date(start.getTime() + duration * 60000);
+      var conflict = findAppointmentOverlap(values, stylist.email, start, end, appt.id);
+      if (conflict) return overlapError(conflict);
+
+      var row = values[i];
+      row[APPOINTMENT_COLUMNS.START] = start;
+      row[APPOINTMENT_COLUMNS.DURATION] = duration;
+      row[APPOINTMENT_COLUMNS.STYLIST] = stylist.email;
+      row[APPOINTMENT_COLUMNS.STYLIST_NAME] = stylist.name;
+      // START through STYLIST_NAME are adjacent (B:E)
+      sheet.getRange(i + 1, APPOINTMENT_COLUMNS.START + 1, 1, 4)
+        .setValues([row.slice(APPOINTMENT_COLUMNS.START, APPOINTMENT_COLUMNS.STYLIST_NAME + 1)]);
+      return { success: true, appointment: rowToAppointment(row) };
+    }
+    return { success: false, error: 'Không tìm thấy lịch hẹn' };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Action "cancelAppointment": the row stays, marked "Đã hủy", and frees the slot */
+function cancelAppointment(data) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var sheet = getAppointmentsSheet();
+    var values = sheet.getDataRange().getValues();
+    for (var i = 1; i < values.length; i++) {
+      if (String(values[i][APPOINTMENT_COLUMNS.ID]) !== String(data.id)) continue;
+      var appt = rowToAppointment(values[i]);
+      if (!canChangeAppointment(data, appt)) return { success: false, error: 'Không đủ quyền' };
+      if (appt.status !== 'booked') return { success: false, error: 'Lịch hẹn đã hủy hoặc đã làm' };
+      sheet.getRange(i + 1, APPOINTMENT_COLUMNS.STATUS + 1).setValue(APPOINTMENT_STATUSES.cancelled);
+      appt.status = 'cancelled';
+      return { success: true, appointment: appt };
+    }
+    return { success: false, error: 'Không tìm thấy lịch hẹn' };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Mark a booked appointment as done by this order (called from createOrder, under its lock) */
+function completeAppointment(appointmentId, orderId) {
+  var sheet = getAppointmentsSheet();
+  var ids = sheet.getRange(1, APPOINTMENT_COLUMNS.ID + 1, sheet.getLastRow(), 1).getValues();
+  for (var i = 1; i < ids.length; i++) {
+    if (String(ids[i][0]) !== String(appointmentId)) continue;
+    // STATUS, CREATED_BY, ORDER_ID: keep the creator, fill the order ID
+    var cells = sheet.getRange(i + 1, APPOINTMENT_COLUMNS.STATUS + 1, 1, 3).getValues()[0];
+    if (normalizeAppointmentStatus(cells[0]) !== 'booked') return;
+    sheet.getRange(i + 1, APPOINTMENT_COLUMNS.STATUS + 1, 1, 3)
+      .setValues([[APPOINTMENT_STATUSES.done, cells[1], orderId]]);
+    return;
+  }
+}
+
+// Walk-in queue ("Hàng chờ"): rows are appended on arrival, so the sheet is in time order
+const QUEUE_SHEET_NAME = 'Hàng chờ';
+const QUEUE_HEADERS = ['ID', 'Thời gian đến', 'Tên khách', 'SĐT khách', 'Dịch vụ', 'Thợ yêu cầu', 'Thợ phụ trách', 'Trạng thái', 'Bắt đầu lúc', 'Chờ (phút)', 'Người thêm', 'ID đơn'];
+const QUEUE_COLUMNS = {
+  ID: 0,
+  ARRIVED_AT: 1,
+  CUSTOMER_NAME: 2,
+  CUSTOMER_PHONE: 3,
+  SERVICE: 4,
+  REQUESTED: 5,    // thợ khách hỏi (có thể trống)
+  ASSIGNED: 6,     // thợ nhận khách
+  STATUS: 7,
+  STARTED_AT: 8,
+  WAIT_MINUTES: 9,
+  ADDED_BY: 10,
+  ORDER_ID: 11
+};
+// API key → label stored in "Trạng thái"
+const QUEUE_STATUSES = {
+  waiting: 'Đang chờ',
+  started: 'Đang làm',
+  done: 'Đã làm',
+  left: 'Bỏ về'
+};
+
+function getQueueSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(QUEUE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(QUEUE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, QUEUE_HEADERS.length).setValues([QUEUE_HEADERS]);
+    sheet.getRange(1, 1, 1, QUEUE_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** "Trạng thái" cell → waiting | started | done | left (blank counts as waiting) */
+function normalizeQueueStatus(value) {
+  var v = normalizeKey(value);
+  for (var key in QUEUE_STATUSES) {
+    if (v === key || normalizeKey(QUEUE_STATUSES[key]) === v) return key;
+  }
+  return 'waiting';
+}
+
+function rowToWalkIn(row) {
+  var arrived = row[QUEUE_COLUMNS.ARRIVED_AT];
+  var started = row[QUEUE_COLUMNS.STARTED_AT];
+  var wait = row[QUEUE_COLUMNS.WAIT_MINUTES];
+  return {
+    id: String(row[QUEUE_COLUMNS.ID]),
+    arrivedAt: (arrived instanceof Date) ? arrived.toISOString() : arrived,
+    customerName: row[QUEUE_COLUMNS.CUSTOMER_NAME] || '',
+    customerPhone: normalizePhone(row[QUEUE_COLUMNS.CUSTOMER_PHONE]),
+    service: row[QUEUE_COLUMNS.SERVICE] || '',
+    requestedStylist: String(row[QUEUE_COLUMNS.REQUESTED] || '').toLowerCase(),
+    stylist: String(row[QUEUE_COLUMNS.ASSIGNED] || '').toLowerCase(),
+    status: normalizeQueueStatus(row[QUEUE_COLUMNS.STATUS]),
+    startedAt: (started instanceof Date) ? started.toISOString() : (started || ''),
+    waitMinutes: (wait === '' || wait == null) ? null : Number(wait),
+    addedBy: String(row[QUEUE_COLUMNS.ADDED_BY] || '').toLowerCase(),
+    orderId: row[QUEUE_COLUMNS.ORDER_ID] || ''
+  };
+}
+
+/** Optional stylist email: '' stays '', anything else must be in "Nhân viên" */
+function optionalStylist(email) {
+  return email ? resolveStylist(email).email : '';
+}
+
+/**
+ * Per-day wait summary for walk-ins who were started: { date, served, left, averageWait, maxWait }.
+ * Bottom-up over the arrival-ordered sheet, stopping before `from`.
+ */
+function summarizeQueueWaits(values, from, to) {
+  var tz = Session.getScriptTimeZone();
+  var days = {};
+  for (var i = values.length - 1; i >= 1; i--) {
+    var arrived = values[i][QUEUE_COLUMNS.ARRIVED_AT];
+    if (!(arrived instanceof Date)) arrived = new Date(arrived);
+    if (isNaN(arrived.getTime())) continue;
+    if (arrived < from) break;
+    if (arrived >= to) continue;
+    var walkIn = rowToWalkIn(values[i]);
+    var key = Utilities.formatDate(arrived, tz, 'yyyy-MM-dd');
+    var day = days[key] || (days[key] = { date: key, served: 0, left: 0, totalWait: 0, maxWait: 0 });
+    if (walkIn.status === 'left') day.left++;
+    if (walkIn.waitMinutes !== null && (walkIn.status === 'started' || walkIn.status === 'done')) {
+      day.served++;
+      day.totalWait += walkIn.waitMinutes;
+      day.maxWait = Math.max(day.maxWait, walkIn.waitMinutes);
+    }
+  }
+  return Object.keys(days).sort().map(function(key) {
+    var day = days[key];
+    return {
+      date: day.date,
+      served: day.served,
+      left: day.left,
+      averageWait: day.served ? Math.round(day.totalWait / day.served) : 0,
+      maxWait: day.maxWait
+    };
+  });
+}
+
+/**
+ * Action "queue": today's walk-ins still waiting or in the chair (arrival order),
+ * today's wait summary and the staff list for assigning. Every employee sees the queue.
+ */
+function getQueue(params) {
+  var today = new Date();
+  today.setHours(0, 0, 0, 0);
+  var tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  var values = getQueueSheet().getDataRange().getValues();
+  var queue = [];
+  for (var i = values.length - 1; i >= 1; i--) {
+    var arrived = values[i][QUEUE_COLUMNS.ARRIVED_AT];
+    if (!(arrived instanceof Date)) arrived = new Date(arrived);
+    if (arrived < today) break;
+    var walkIn = rowToWalkIn(values[i]);
+    if (walkIn.status === 'waiting' || walkIn.status === 'started') queue.unshift(walkIn);
+  }
+  var summary = summarizeQueueWaits(values, today, tomorrow)[0] || { served: 0, left: 0, averageWait: 0, maxWait: 0 };
+  var stylists = getEmployees().map(function(emp) { return { email: emp.email, name: emp.name }; });
+  return { success: true, queue: queue, today: summary, stylists: stylists };
+}
+
+/** Action "queueStats": average/max wait per day between from and to (YYYY-MM-DD, inclusive; default last 7 days) */
+function getQueueStats(params) {
+  var to = params && params.to ? parseDateParam(params.to) : new Date();
+  to.setHours(0, 0, 0, 0);
+  to.setDate(to.getDate() + 1);
+  var from = params && params.from ? parseDateParam(params.from) : new Date(to.getTime() - 7 * 86400000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+    return { success: false, error: 'Khoảng ngày không hợp lệ' };
+  }
+  return { success: true, days: summarizeQueueWaits(getQueueSheet().getDataRange().getValues(), from, to) };
+}
+
+/** Action "addWalkIn": { customerName, customerPhone?, service?, requestedStylist? } */
+function addWalkIn(data) {
+  var lock = null;
+  try {
+    var name = Validator.validateCustomerName(data.customerName);
+    if (!name) return { success: false, error: 'Vui lòng nhập tên khách' };
+    var phone = Validator.validatePhone(data.customerPhone);
+    var service = data.service ? Validator.validateService(data.service) : '';
+    var requested = optionalStylist(data.requestedStylist);
+
+    lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    var row = [
+      'Q' + generateOrderId(),
+      new Date(),
+      name,
+      phone ? "'" + phone : '',
+      service,
+      requested,
+      // Asked for someone: they are the default assignee
+      requested,
+      QUEUE_STATUSES.waiting,
+      '',
+      '',
+      String((data && data._email) || '').toLowerCase(),
+      ''
+    ];
+    getQueueSheet().appendRow(row);
+    return { success: true, walkIn: rowToWalkIn(row) };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    if (lock) lock.releaseLock();
+  }
+}
+
+/**
+ * Change one queue row under the lock. update(walkIn, row) edits row in place and
+ * returns an error message to refuse; the whole row is written back.
+ */
+function updateWalkIn(data, update) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var sheet = getQueueSheet();
+    var values = sheet.getDataRange().getValues();
+    // Today's rows are at the bottom
+    for (var i = values.length - 1; i >= 1; i--) {
+      if (String(values[i][QUEUE_COLUMNS.ID]) !== String(data.id)) continue;
+      var row = values[i].slice(0, QUEUE_HEADERS.length);
+      var refusal = update(rowToWalkIn(row), row);
+      if (refusal) return { success: false, error: refusal };
+      sheet.getRange(i + 1, 1, 1, QUEUE_HEADERS.length).setValues([row]);
+      return { success: true, walkIn: rowToWalkIn(row) };
+    }
+    return { success: false, error: 'Không tìm thấy khách trong hàng chờ' };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Action "assignWalkIn": set (or clear) the stylist who will take a waiting customer */
+function assignWalkIn(data) {
+  return updateWalkIn(data, function(walkIn, row) {
+    if (walkIn.status !== 'waiting') return 'Khách không còn trong hàng chờ';
+    row[QUEUE_COLUMNS.ASSIGNED] = optionalStylist(data.stylist);
+  });
+}
+
+/** Action "startWalkIn": the customer sits down; records the wait. Stylist: given, assigned, else the caller */
+function startWalkIn(data) {
+  var caller = String((data && data._email) || '').toLowerCase();
+  return updateWalkIn(data, function(walkIn, row) {
+    if (walkIn.status !== 'waiting') return 'Khách không còn trong hàng chờ';
+    var given = optionalStylist(data.stylist);
+    var now = new Date();
+    var arrived = new Date(walkIn.arrivedAt);
+    row[QUEUE_COLUMNS.ASSIGNED] = given || walkIn.stylist || caller;
+    row[QUEUE_COLUMNS.STATUS] = QUEUE_STATUSES.started;
+    row[QUEUE_COLUMNS.STARTED_AT] = now;
+    row[QUEUE_COLUMNS.WAIT_MINUTES] = Math.max(0, Math.round((now - arrived) / 60000));
+  });
+}
+
+/** Action "removeWalkIn": the customer left without being served */
+function removeWalkIn(data) {
+  return updateWalkIn(data, function(walkIn, row) {
+    if (walkIn.status !== 'waiting') return 'Khách không còn trong hàng chờ';
+    row[QUEUE_COLUMNS.STATUS] = QUEUE_STATUSES.left;
+  });
+}
+
+/** Close a started walk-in with its order (called from createOrder, under its lock) */
+function completeWalkIn(queueId, orderId) {
+  var sheet = getQueueSheet();
+  var values = sheet.getDataRange().getValues();
+  for (var i = values.length - 1; i >= 1; i--) {
+    if (String(values[i][QUEUE_COLUMNS.ID]) !== String(queueId)) continue;
+    var status = normalizeQueueStatus(values[i][QUEUE_COLUMNS.STATUS]);
+    if (status !== 'started' && status !== 'waiting') return;
+    // Saved straight from the queue without "Bắt đầu": the wait ends now
+    if (status === 'waiting') {
+      var now = new Date();
+      sheet.getRange(i + 1, QUEUE_COLUMNS.STARTED_AT + 1, 1, 2)
+        .setValues([[now, Math.max(0, Math.round((now - new Date(values[i][QUEUE_COLUMNS.ARRIVED_AT])) / 60000))]]);
+    }
+    sheet.getRange(i + 1, QUEUE_COLUMNS.STATUS + 1).setValue(QUEUE_STATUSES.done);
+    sheet.getRange(i + 1, QUEUE_COLUMNS.ORDER_ID + 1).setValue(orderId);
+    return;
+  }
+}
+
+// Closing ("Chốt ca"): at the end of the day a manager counts the cash drawer by denomination and the
+// count is saved next to the day's totals, one row per day. A closed day is locked: its orders can no
+// longer be created, edited, deleted, restored or imported. Deleting the row in "Chốt ca" reopens the day.
+const CLOSING_SHEET_NAME = 'Chốt ca';
+const CLOSING_HEADERS = ['Ngày', 'Thời gian chốt', 'Người chốt', 'Số đơn', 'Doanh thu', 'Tip', 'Tiền đầu ca',
+  'Tiền mặt dự kiến', 'Tiền mặt đếm được', 'Chênh lệch', 'Chuyển khoản', 'Thẻ', 'Chưa ghi hình thức',
+  'Mệnh giá', 'Theo nhân viên', 'Ghi chú'];
+const CLOSING_COLUMNS = {
+  DAY: 0,            // A (yyyy-MM-dd, text)
+  CLOSED_AT: 1,      // B
+  CLOSED_BY: 2,      // C (email)
+  ORDERS: 3,         // D
+  REVENUE: 4,        // E (không gồm tip)
+  TIPS: 5,           // F
+  OPENING_CASH: 6,   // G
+  EXPECTED_CASH: 7,  // H (đầu ca + doanh thu tiền mặt + tip tiền mặt)
+  COUNTED_CASH: 8,   // I
+  DIFFERENCE: 9,     // J (đếm được - dự kiến; âm là thiếu)
+  TRANSFER: 10,      // K (doanh thu + tip)
+  CARD: 11,          // L (doanh thu + tip)
+  UNKNOWN: 12,       // M (đơn chưa ghi hình thức, doanh thu + tip)
+  DENOMINATIONS: 13, // N (JSON { "500000": số tờ, ... })
+  EMPLOYEES: 14,     // O (JSON, như "employees" của closingReport)
+  NOTES: 15          // P
+};
+// Vietnamese banknotes, largest first; closingReport sends the list to the cash count form
+const CASH_DENOMINATIONS = [500000, 200000, 100000, 50000, 20000, 10000, 5000, 2000, 1000, 500];
+
+/** Lấy sheet "Chốt ca" */
+function getClosingSheet() {
+  const ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+  let sheet = ss.getSheetByName(CLOSING_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CLOSING_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CLOSING_HEADERS.length).setValues([CLOSING_HEADERS]).setFontWeight('bold');
+    // Plain text day key, as in "Tổng hợp ngày"
+    sheet.getRange(1, CLOSING_COLUMNS.DAY + 1, sheet.getMaxRows(), 1).setNumberFormat('@');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** Closed days as { 'yyyy-MM-dd': sheet row number } */
+function getClosedDays() {
+  var sheet = getClosingSheet();
+  var lastRow = sheet.getLastRow();
+  var closed = {};
+  if (lastRow <= 1) return closed;
+  sheet.getRange(2, CLOSING_COLUMNS.DAY + 1, lastRow - 1, 1).getValues().forEach(function(cell, i) {
+    var key = summaryDayKey(cell[0]);
+    if (key) closed[key] = i + 2;
+  });
+  return closed;
+}
+
+/** Error message when the day of this order time is closed, else '' (closedDays: from getClosedDays, read if omitted) */
+function closedDayError(date, closedDays) {
+  var d = (date instanceof Date) ? date : new Date(date);
+  if (isNaN(d.getTime())) return '';
+  var key = orderDayKey(d);
+  if (!(closedDays || getClosedDays())[key]) return '';
+  return 'Ngày ' + key.split('-').reverse().join('/') + ' đã chốt ca, không thể thay đổi đơn';
+}
+
+/** A "Chốt ca" row in the API shape */
+function closingRowToRecord(row) {
+  var C = CLOSING_COLUMNS;
+  var closedAt = row[C.CLOSED_AT];
+  function parseJson(value, fallback) {
+    try { return value ? JSON.parse(value) : fallback; } catch (e) { return fallback; }
+  }
+  return {
+    date: summaryDayKey(row[C.DAY]),
+    closedAt: (closedAt instanceof Date) ? closedAt.toISOString() : closedAt,
+    closedBy: row[C.CLOSED_BY],
+    orders: Number(row[C.ORDERS]) || 0,
+    revenue: Number(row[C.REVENUE]) || 0,
+    tips: Number(row[C.TIPS]) || 0,
+    openingCash: Number(row[C.OPENING_CASH]) || 0,
+    expectedCash: Number(row[C.EXPECTED_CASH]) || 0,
+    countedCash: Number(row[C.COUNTED_CASH]) || 0,
+    difference: Number(row[C.DIFFERENCE]) || 0,
+    transfer: Number(row[C.TRANSFER]) || 0,
+    card: Number(row[C.CARD]) || 0,
+    unknown: Number(row[C.UNKNOWN]) || 0,
+    denominations: parseJson(row[C.DENOMINATIONS], {}),
+    employees: parseJson(row[C.EMPLOYEES], []),
+    notes: row[C.NOTES] || ''
+  };
+}
+
+/**
+ * The day's totals from "Tổng hợp ngày": { date, orders, revenue, tips, byPayment, employees, cashTaken }.
+ * employees: [{ email, name, orders, revenue, tips, byPayment }]; cashTaken is cash revenue + cash tips.
+ */
+function buildClosingTotals(dayKey) {
+  var byEmail = {};
+  var employees = [];
+  var totals = { date: dayKey, orders: 0, revenue: 0, tips: 0, byPayment: emptyPaymentBreakdown(), employees: employees, cashTaken: 0 };
+  readDailySummary(dayKey, dayKey).forEach(function(line) {
+    var method = line.paymentMethod || 'unknown';
+    if (!byEmail[line.email]) {
+      byEmail[line.email] = { email: line.email, name: line.name, orders: 0, revenue: 0, tips: 0, byPayment: emptyPaymentBreakdown() };
+      employees.push(byEmail[line.email]);
+    }
+    var emp = byEmail[line.email];
+    emp.orders += line.orders;
+    emp.revenue += line.revenue;
+    emp.tips += line.tip;
+    addToPaymentBreakdown(emp.byPayment, method, line.revenue, line.tip, line.orders);
+    totals.orders += line.orders;
+    totals.revenue += line.revenue;
+    totals.tips += line.tip;
+    addToPaymentBreakdown(totals.byPayment, method, line.revenue, line.tip, line.orders);
+  });
+  employees.sort(function(a, b) { return b.revenue - a.revenue; });
+  totals.cashTaken = totals.byPayment.cash.revenue + totals.byPayment.cash.tips;
+  return totals;
+}
+
+/** date param (YYYY-MM-DD, default today) → day key; throws for a bad or future date */
+function closingDayKey(params) {
+  var todayKey = orderDayKey(new Date());
+  var key = params && params.date ? Validator.validateDate(String(params.date)) : todayKey;
+  if (key > todayKey) throw new Error('Không thể chốt ca cho ngày trong tương lai');
+  return key;
+}
+
+/** Action "closingReport" (manager/owner): the day's totals for the closing screen, and its record once closed */
+function getClosingReport(params) {
+  if (!canManageOrders(params && params._role)) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+  var dayKey = closingDayKey(params);
+  var report = buildClosingTotals(dayKey);
+  var rowNumber = getClosedDays()[dayKey];
+  report.success = true;
+  report.denominations = CASH_DENOMINATIONS;
+  report.closing = rowNumber
+    ? closingRowToRecord(getClosingSheet().getRange(rowNumber, 1, 1, CLOSING_HEADERS.length).getValues()[0])
+    : null;
+  return report;
+}
+
+/** { "500000": count, ... } (JSON or object) → validated counts and their total */
+function parseCashCount(denominations) {
+  var counts = denominations;
+  if (typeof counts === 'string') {
+    try { counts = JSON.parse(counts || '{}'); } catch (e) { throw new Error('Số tờ tiền không hợp lệ'); }
+  }
+  if (!counts || typeof counts !== 'object') throw new Error('Số tờ tiền không hợp lệ');
+  var result = {};
+  var total = 0;
+  Object.keys(counts).forEach(function(key) {
+    var value = Number(key);
+    var count = Number(counts[key] || 0);
+    if (CASH_DENOMINATIONS.indexOf(value) < 0) throw new Error('Mệnh giá không hợp lệ: ' + key);
+    if (!(count >= 0) || Math.floor(count) !== count || count > 100000) throw new Error('Số tờ ' + value + 'đ không hợp lệ');
+    if (!count) return;
+    result[value] = count;
+    total += value * count;
+  });
+  return { counts: result, total: total };
+}
+
+/**
+ * Action "closeDay" (manager/owner): date (default today), denominations ({ "500000": count, ... }),
+ * openingCash (float left in the drawer at opening), notes. Saves the counted cash against the expected
+ * cash and locks the day; a day can be closed once.
+ */
+function closeDay(data) {
+  if (!canManageOrders(data && data._role)) {
+    return { success: false, error: 'Không đủ quyền' };
+  }
+  var lock = null;
+  try {
+    var dayKey = closingDayKey(data);
+    var cash = parseCashCount(data.denominations);
+    var openingCash = Validator.validateAmount(data.openingCash, 'Tiền đầu ca');
+    var notes = Validator.validateNotes(data.notes);
+    // The totals come from "Tổng hợp ngày", which is empty (or missing old orders) until then
+    if (getOrderSheetsSetup()) {
+      return { success: false, error: 'Chưa chuẩn bị dữ liệu (bấm “Chuẩn bị dữ liệu”), chưa chốt ca được' };
+    }
+
+    // Orders of the day cannot change while it is being closed
+    lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    if (getClosedDays()[dayKey]) return { success: false, error: 'Ngày này đã chốt ca' };
+
+    var totals = buildClosingTotals(dayKey);
+    var expectedCash = openingCash + totals.cashTaken;
+    var byPayment = totals.byPayment;
+    var C = CLOSING_COLUMNS;
+    var row = [];
+    row[C.DAY] = dayKey;
+    row[C.CLOSED_AT] = new Date();
+    row[C.CLOSED_BY] = String(data._email || '').toLowerCase();
+    row[C.ORDERS] = totals.orders;
+    row[C.REVENUE] = totals.revenue;
+    row[C.TIPS] = totals.tips;
+    row[C.OPENING_CASH] = openingCash;
+    row[C.EXPECTED_CASH] = expectedCash;
+    row[C.COUNTED_CASH] = cash.total;
+    row[C.DIFFERENCE] = cash.total - expectedCash;
+    row[C.TRANSFER] = byPayment.transfer.revenue + byPayment.transfer.tips;
+    row[C.CARD] = byPayment.card.revenue + byPayment.card.tips;
+    row[C.UNKNOWN] = byPayment.unknown.revenue + byPayment.unknown.tips;
+    row[C.DENOMINATIONS] = JSON.stringify(cash.counts);
+    row[C.EMPLOYEES] = JSON.stringify(totals.employees);
+    row[C.NOTES] = notes;
+    getClosingSheet().appendRow(row);
+
+    var record = closingRowToRecord(row);
+    writeAuditLog(data, 'closeDay', '', null, record);
+    return { success: true, closing: record };
+  } catch (error) {
+    return { success: false, error: error.message || error.toString() };
+  } finally {
+    if (lock) lock.releaseLock();
+  }
 }
 
 /** Generate unique order ID */
@@ -558,7 +3589,7 @@ function createResponse(data) {
 /** Handle CORS preflight */
 // doOptions removed (Apps Script uses doGet/doPost)
 
-/** Test helper */
+/** Test helper: makes sure this month's sheet exists; moving old orders is setupOrderSheets' job */
 function testAPI() {
-  initializeSheet();
+  getOrderSheet(orderMonthKey(new Date()), true);
 }
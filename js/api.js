@@ -87,7 +87,9 @@ async function postForm(endpoint, payload) {
     const url = endpoint.startsWith('http') ? endpoint : API_CONFIG.baseURL + endpoint;
     const idToken = getIdToken();
     const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
-    const formParams = { ...(payload || {}), origin, ...(idToken ? { idToken } : {}) };
+    // appVersion/origin are recorded in the server audit log ("Nhật ký")
+    const appVersion = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.APP_VERSION) || '';
+    const formParams = { ...(payload || {}), origin, appVersion, ...(idToken ? { idToken } : {}) };
     const body = new URLSearchParams(formParams).toString();
     const options = {
         method: 'POST',
@@ -123,9 +125,10 @@ async function postForm(endpoint, payload) {
         } catch (_) { return { data: text, success: true }; }
     } catch (err) {
         // Fallback one attempt with no-cors for GAS
+        // The response is opaque: callers that write must confirm it landed (see confirmOrderCreated)
         try {
             await fetch(url, { ...options, mode: 'no-cors' });
-            return { success: true, message: 'Request sent (no-cors)' };
+            return { success: true, unconfirmed: true, message: 'Request sent (no-cors)' };
         } catch (_) {
             throw err;
         }
@@ -224,9 +227,9 @@ async function apiCall(endpoint, method = 'GET', data = null, retryCount = 0) {
                     ...options,
                     mode: 'no-cors'
                 });
-                // With no-cors, we can't read the response, but assume success
+                // With no-cors, we can't read the response; flag it so writes can be confirmed
                 console.log('Request sent (no-cors mode)');
-                return { success: true, message: 'Request sent successfully' };
+                return { success: true, unconfirmed: true, message: 'Request sent successfully' };
             } catch (noCorsError) {
                 console.error('No-cors mode also failed:', noCorsError);
             }
@@ -239,8 +242,8 @@ async function apiCall(endpoint, method = 'GET', data = null, retryCount = 0) {
             if (retryCount === 0 && isGas && isNonGet) {
                 console.log('Retrying Apps Script POST with no-cors mode...');
                 await fetch(url, { ...options, mode: 'no-cors' });
-                console.log('Request sent (no-cors assumed success)');
-                return { success: true, message: 'Request sent successfully (no-cors)' };
+                console.log('Request sent (no-cors, unconfirmed)');
+                return { success: true, unconfirmed: true, message: 'Request sent successfully (no-cors)' };
             }
         } catch (noCorsError) {
             console.error('No-cors retry failed:', noCorsError);
@@ -257,19 +260,41 @@ async function apiCall(endpoint, method = 'GET', data = null, retryCount = 0) {
     }
 }
 
+// Form body for the create action (also stored as-is in the offline outbox)
+// idempotencyKey = client order id, so retries/replays never create a second row
+function buildCreateOrderPayload(orderData) {
+    return {
+        action: 'create',
+        idempotencyKey: orderData.id,
+        // When the order was taken: a replay from the outbox is filed on that day, not the replay day
+        timestamp: orderData.timestamp || new Date().toISOString(),
+        employee: orderData.employee,
+        service: orderData.service,
+        price: orderData.price,
+        notes: orderData.notes,
+        // Line items travel as JSON in the form body; without them service/price is the single item
+        ...(orderData.items && orderData.items.length ? { items: JSON.stringify(orderData.items) } : {}),
+        discount: orderData.discount || 0,
+        tip: orderData.tip || 0,
+        paymentMethod: orderData.paymentMethod || '',
+        customerPhone: orderData.customerPhone || '',
+        customerName: orderData.customerName || '',
+        ...(orderData.reward ? { reward: orderData.reward } : {}),
+        ...(orderData.appointmentId ? { appointmentId: orderData.appointmentId } : {}),
+        ...(orderData.queueId ? { queueId: orderData.queueId } : {}),
+        createdBy: orderData.employee
+    };
+}
+
 // Create a new order
 window.createOrder = async function(orderData) {
     console.log('Creating order:', orderData);
     
     try {
-        const response = await postForm('', {
-            action: 'create',
-            employee: orderData.employee,
-            service: orderData.service,
-            price: orderData.price,
-            notes: orderData.notes,
-            createdBy: orderData.employee
-        });
+        let response = await postForm('', buildCreateOrderPayload(orderData));
+        if (response && response.unconfirmed && orderData.id) {
+            response = await confirmOrderCreated(orderData.id);
+        }
         
         console.log('Order created successfully:', response);
         return response;
@@ -280,7 +305,67 @@ window.createOrder = async function(orderData) {
     }
 };
 
-// Get orders with optional filters
+// An opaque no-cors create may or may not have landed: look the order up by its key.
+// Throws when it can't be found, so the caller can queue it (the key makes a replay safe).
+async function confirmOrderCreated(orderId, attempts = 3) {
+    for (let i = 0; i < attempts; i++) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        try {
+            const res = await window.getOrderById(orderId);
+            if (res && res.order) return { success: true, confirmed: true, order: res.order };
+        } catch (err) {
+            console.warn('Order confirmation attempt failed:', err?.message);
+        }
+    }
+    throw new Error('Không xác nhận được đơn đã lưu');
+}
+
+// An opaque no-cors update/delete/restore may or may not have landed: read the order back until
+// landed(order) agrees (order is null once it is gone). Returns the confirmed reply with the order
+// as the server now has it, or the unconfirmed response when it never agrees; never throws.
+async function confirmOrderWrite(orderId, landed, response, attempts = 3) {
+    for (let i = 0; i < attempts; i++) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        try {
+            const res = await window.getOrderById(orderId);
+            const order = (res && res.order) || null;
+            // Anything but a clean "not found" is an unreadable reply, not proof the order is gone
+            if (!order && !(res && res.error === 'Order not found')) continue;
+            if (landed(order)) return { success: true, confirmed: true, order };
+        } catch (err) {
+            console.warn('Order write confirmation attempt failed:', err?.message);
+        }
+    }
+    return response;
+}
+
+// Whether a read-back order carries the fields an update sent (the server trims names and
+// strips <>"' from notes; the price is its own to compute, rewards included)
+function orderMatchesChanges(order, changes) {
+    if (!order) return false;
+    const text = value => String(value ?? '').trim();
+    if (Array.isArray(changes.items)) {
+        const lines = items => JSON.stringify((items || []).map(item => [text(item.service), Number(item.quantity || 1)]));
+        if (lines(order.items) !== lines(changes.items)) return false;
+    }
+    if ('discount' in changes && Number(order.discount || 0) !== Number(changes.discount || 0)) return false;
+    if ('tip' in changes && Number(order.tip || 0) !== Number(changes.tip || 0)) return false;
+    if ('paymentMethod' in changes && text(order.paymentMethod) !== text(changes.paymentMethod)) return false;
+    if ('customerPhone' in changes && text(order.customerPhone) !== text(changes.customerPhone)) return false;
+    if ('notes' in changes && text(order.notes) !== text(changes.notes).replace(/[<>"']/g, '')) return false;
+    return true;
+}
+
+// Get a single order by ID (JSONP: readable even when POST falls back to no-cors)
+window.getOrderById = async function(orderId) {
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'order', id: orderId, origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Get orders, newest first: filters { from, to } (YYYY-MM-DD) or { date }, employee, limit, cursor.
+// The response's cursor (null on the last page) fetches the next, older page.
 window.getOrders = async function(filters = {}) {
     console.log('Getting orders (POST form):', filters);
     const payload = { action: 'orders', ...(filters || {}) };
@@ -301,15 +386,39 @@ window.getOrders = async function(filters = {}) {
     return jsonpGet(queryParams);
 };
 
+// Update an order (server-side); only sent fields are changed
+window.updateOrder = async function(orderId, changes) {
+    console.log('Updating order:', orderId, changes);
+    
+    try {
+        const body = { action: 'update', id: orderId, ...(changes || {}) };
+        if (Array.isArray(body.items)) body.items = JSON.stringify(body.items);
+        let response = await postForm('', body);
+        if (response && response.unconfirmed) {
+            response = await confirmOrderWrite(orderId, order => orderMatchesChanges(order, changes), response);
+        }
+        
+        console.log('Order updated successfully:', response);
+        return response;
+        
+    } catch (error) {
+        console.error('Failed to update order:', error);
+        throw error;
+    }
+};
+
 // Delete an order (server-side)
 window.deleteOrder = async function(orderId) {
     console.log('Deleting order:', orderId);
     
     try {
-        const response = await postForm('', {
+        let response = await postForm('', {
             action: 'delete',
             id: orderId
         });
+        if (response && response.unconfirmed) {
+            response = await confirmOrderWrite(orderId, order => !order, response);
+        }
         
         console.log('Order deleted successfully:', response);
         return response;
@@ -320,22 +429,408 @@ window.deleteOrder = async function(orderId) {
     }
 };
 
-// Get statistics
-window.getStats = async function() {
+// Restore an order from the trash sheet (undo delete)
+window.restoreOrder = async function(orderId) {
+    console.log('Restoring order:', orderId);
+    
+    try {
+        let response = await postForm('', {
+            action: 'restore',
+            id: orderId
+        });
+        if (response && response.unconfirmed) {
+            response = await confirmOrderWrite(orderId, order => !!order, response);
+        }
+        
+        console.log('Order restored successfully:', response);
+        return response;
+        
+    } catch (error) {
+        console.error('Failed to restore order:', error);
+        throw error;
+    }
+};
+
+// Bulk import (manager/owner): rows as built by js/import.js, at most 50 per call.
+// dryRun only validates; the response lists accepted, rejected and duplicate rows by line
+window.importOrders = async function(rows, dryRun) {
+    console.log(`Importing ${rows.length} orders${dryRun ? ' (dry run)' : ''}`);
+    try {
+        let response = await postForm('', {
+            action: 'importOrders',
+            rows: JSON.stringify(rows),
+            dryRun: dryRun ? 'true' : 'false'
+        });
+        if (response && response.unconfirmed) {
+            // A dry run's report can't be read back; a write can be checked by looking its IDs up
+            if (dryRun) throw new Error('Không đọc được kết quả kiểm tra, vui lòng thử lại');
+            response = await confirmImportedRows(rows);
+        }
+        console.log('Import response:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to import orders:', error);
+        throw error;
+    }
+};
+
+// An opaque no-cors import batch: ask (JSONP) which of its IDs are now in the sheets.
+// Rows not found are reported as rejected so the user re-runs the dry run (their IDs are stable).
+async function confirmImportedRows(rows) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const months = [...new Set(rows.map(row => toDateKey(row.timestamp).slice(0, 7)))];
+    const res = await jsonpGet({
+        action: 'importedIds',
+        ids: rows.map(row => row.id).join(','),
+        months: months.join(','),
+        origin,
+        ...(idToken ? { idToken } : {})
+    });
+    if (!res || res.success === false || !Array.isArray(res.ids)) throw new Error((res && res.error) || 'Không xác nhận được lô đã nhập');
+    const found = new Set(res.ids);
+    return {
+        success: true,
+        confirmed: true,
+        imported: rows.filter(row => found.has(row.id)).length,
+        duplicates: [],
+        rejected: rows.filter(row => !found.has(row.id))
+            .map(row => ({ line: row.line, error: 'Không xác nhận được đã ghi, hãy bấm “Kiểm tra” lại' }))
+    };
+}
+
+// Reports for one month { month: 'YYYY-MM', employee? }: days, services, hours (orders per hour), totals
+window.getReportData = async function(filters = {}) {
+    const payload = { action: 'reports', ...(filters || {}) };
+    try {
+        const res = await postForm('', payload);
+        if (res && Array.isArray(res.days)) return res;
+        if (res && res.error) return res;
+        console.warn('POST reports response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST reports failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'reports', origin, ...(idToken ? { idToken } : {}), ...(filters || {}) };
+    return jsonpGet(queryParams);
+};
+
+// Recompute the "Tổng hợp ngày" sheet from the orders (manager/owner); { success, orders, rows }
+window.rebuildDailySummary = async function() {
+    console.log('Rebuilding daily summary...');
+    try {
+        const response = await postForm('', { action: 'rebuildDailySummary' });
+        console.log('Rebuild response:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to rebuild daily summary:', error);
+        throw error;
+    }
+};
+
+// One-off after upgrading (manager/owner): split the old order sheet by month, build "Tổng hợp ngày";
+// { success, migrated, skipped, orders }
+window.setupOrderSheets = async function() {
+    console.log('Setting up order sheets...');
+    try {
+        const response = await postForm('', { action: 'setupOrderSheets' });
+        console.log('Setup response:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to set up order sheets:', error);
+        throw error;
+    }
+};
+
+// Closing screen ("Chốt ca", managers): the day's totals by employee and payment method, plus its closing record
+window.getClosingReport = async function(filters = {}) {
+    const payload = { action: 'closingReport', ...(filters || {}) };
+    try {
+        const res = await postForm('', payload);
+        if (res && Array.isArray(res.employees)) return res;
+        if (res && res.error) return res;
+        console.warn('POST closing report response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST closing report failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'closingReport', origin, ...(idToken ? { idToken } : {}), ...(filters || {}) };
+    return jsonpGet(queryParams);
+};
+
+// Close a day: { date, denominations: { 500000: count, ... }, openingCash, notes }; its orders are locked afterwards
+window.closeDay = async function(data) {
+    console.log('Closing day...', data.date);
+    try {
+        const response = await postForm('', {
+            action: 'closeDay',
+            date: data.date,
+            denominations: JSON.stringify(data.denominations || {}),
+            openingCash: data.openingCash || 0,
+            notes: data.notes || ''
+        });
+        console.log('Close day response:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to close day:', error);
+        throw error;
+    }
+};
+
+// Caller profile: { email, name, role, employees? } (role drives manager-only views)
+window.getProfile = async function() {
+    console.log('Getting profile (POST form)...');
+    try {
+        const res = await postForm('', { action: 'me' });
+        if (res && res.role) return res;
+        console.warn('POST profile response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST profile failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'me', origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Read the audit log (owner only): filters { from, to, employee, limit }
+window.getAuditLog = async function(filters = {}) {
+    console.log('Getting audit log (POST form):', filters);
+    const payload = { action: 'auditLog', ...(filters || {}) };
+    try {
+        const res = await postForm('', payload);
+        if (res && Array.isArray(res.entries)) return res;
+        if (res && res.error) return res;
+        console.warn('POST audit log response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST audit log failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'auditLog', origin, ...(idToken ? { idToken } : {}), ...(filters || {}) };
+    return jsonpGet(queryParams);
+};
+
+// Per-employee order count/revenue for today, this week and this month (manager/owner only)
+window.getEmployeeStats = async function() {
+    console.log('Getting employee statistics (POST form)...');
+    try {
+        const res = await postForm('', { action: 'employeeStats' });
+        if (res && Array.isArray(res.employees)) return res;
+        if (res && res.error) return res;
+        console.warn('POST employee stats response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST employee stats failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'employeeStats', origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Service catalog from the "Dịch vụ" sheet
+window.getServices = async function() {
+    console.log('Getting services (POST form)...');
+    try {
+        const res = await postForm('', { action: 'services' });
+        if (res && Array.isArray(res.services)) return res;
+        console.warn('POST services response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST services failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'services', origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Customer autocomplete: phone digits or part of the name
+window.searchCustomers = async function(q) {
+    try {
+        const res = await postForm('', { action: 'customers', q });
+        if (res && Array.isArray(res.customers)) return res;
+        if (res && res.error) return res;
+        console.warn('POST customers response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST customers failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'customers', q, origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Customer record + past orders (newest first), total spent and visit count
+window.getCustomerHistory = async function(phone) {
+    console.log('Getting customer history (POST form):', phone);
+    try {
+        const res = await postForm('', { action: 'customerHistory', phone });
+        if (res && (res.customer || res.error)) return res;
+        console.warn('POST customer history response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST customer history failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'customerHistory', phone, origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Loyalty rewards from the "Ưu đãi" sheet
+window.getRewards = async function() {
+    try {
+        const res = await postForm('', { action: 'rewards' });
+        if (res && Array.isArray(res.rewards)) return res;
+        console.warn('POST rewards response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST rewards failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'rewards', origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Edit a customer's name/notes: changes { name?, notes? }
+window.updateCustomer = async function(phone, changes) {
+    console.log('Updating customer:', phone, changes);
+    try {
+        const response = await postForm('', { action: 'updateCustomer', phone, ...(changes || {}) });
+        console.log('Customer updated:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to update customer:', error);
+        throw error;
+    }
+};
+
+// Appointments between filters.from and filters.to (YYYY-MM-DD), optional filters.stylist
+window.getAppointments = async function(filters = {}) {
+    console.log('Getting appointments (POST form):', filters);
+    const payload = { action: 'appointments', ...(filters || {}) };
+    try {
+        const res = await postForm('', payload);
+        if (res && Array.isArray(res.appointments)) return res;
+        if (res && res.error) return res;
+        console.warn('POST appointments response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST appointments failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'appointments', origin, ...(idToken ? { idToken } : {}), ...(filters || {}) };
+    return jsonpGet(queryParams);
+};
+
+// Book: { start (ISO), duration, stylist, service, customerPhone, customerName, notes }
+window.createAppointment = async function(appointment) {
+    console.log('Creating appointment:', appointment);
+    try {
+        const response = await postForm('', { action: 'createAppointment', ...(appointment || {}) });
+        console.log('Appointment created:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to create appointment:', error);
+        throw error;
+    }
+};
+
+// Move: changes { start?, duration?, stylist? }
+window.moveAppointment = async function(appointmentId, changes) {
+    console.log('Moving appointment:', appointmentId, changes);
+    try {
+        const response = await postForm('', { action: 'moveAppointment', id: appointmentId, ...(changes || {}) });
+        console.log('Appointment moved:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to move appointment:', error);
+        throw error;
+    }
+};
+
+window.cancelAppointment = async function(appointmentId) {
+    console.log('Cancelling appointment:', appointmentId);
+    try {
+        const response = await postForm('', { action: 'cancelAppointment', id: appointmentId });
+        console.log('Appointment cancelled:', response);
+        return response;
+    } catch (error) {
+        console.error('Failed to cancel appointment:', error);
+        throw error;
+    }
+};
+
+// Walk-in queue: today's waiting/started customers, wait summary and staff list
+window.getQueue = async function() {
+    try {
+        const res = await postForm('', { action: 'queue' });
+        if (res && Array.isArray(res.queue)) return res;
+        if (res && res.error) return res;
+        console.warn('POST queue response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST queue failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'queue', origin, ...(idToken ? { idToken } : {}) };
+    return jsonpGet(queryParams);
+};
+
+// Average/max wait per day: filters { from, to } (YYYY-MM-DD), default the last 7 days
+window.getQueueStats = async function(filters = {}) {
+    const payload = { action: 'queueStats', ...(filters || {}) };
+    try {
+        const res = await postForm('', payload);
+        if (res && Array.isArray(res.days)) return res;
+        if (res && res.error) return res;
+        console.warn('POST queue stats response invalid, falling back to JSONP');
+    } catch (err) {
+        console.warn('POST queue stats failed, fallback to JSONP:', err?.message);
+    }
+    const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
+    const idToken = getIdToken();
+    const queryParams = { action: 'queueStats', origin, ...(idToken ? { idToken } : {}), ...(filters || {}) };
+    return jsonpGet(queryParams);
+};
+
+// Queue writes: addWalkIn { customerName, customerPhone, service, requestedStylist },
+// assignWalkIn / startWalkIn { id, stylist }, removeWalkIn { id }
+async function postQueueAction(action, payload) {
+    console.log(`Queue ${action}:`, payload);
+    try {
+        const response = await postForm('', { action, ...(payload || {}) });
+        console.log(`Queue ${action} done:`, response);
+        return response;
+    } catch (error) {
+        console.error(`Queue ${action} failed:`, error);
+        throw error;
+    }
+}
+window.addWalkIn = (walkIn) => postQueueAction('addWalkIn', walkIn);
+window.assignWalkIn = (id, stylist) => postQueueAction('assignWalkIn', { id, stylist });
+window.startWalkIn = (id, stylist) => postQueueAction('startWalkIn', { id, stylist });
+window.removeWalkIn = (id) => postQueueAction('removeWalkIn', { id });
+
+// Get statistics; filters: { period: 'today'|'week'|'month'|'year'|'custom', from?, to? } (YYYY-MM-DD for custom)
+window.getStats = async function(filters = {}) {
     console.log('Getting statistics (POST form)...');
     try {
-        const res = await postForm('', { action: 'stats' });
+        const res = await postForm('', { action: 'stats', ...(filters || {}) });
         if (res && (typeof res.todayCount !== 'undefined')) {
             console.log('Statistics retrieved via POST:', res);
             return res;
         }
+        if (res && res.error) return res;
         console.warn('POST stats response invalid, falling back to JSONP');
     } catch (err) {
         console.warn('POST stats failed, fallback to JSONP:', err?.message);
     }
     const origin = (typeof window !== 'undefined' && window.location && window.location.origin) ? window.location.origin : '';
     const idToken = getIdToken();
-    const queryParams = { action: 'stats', origin, ...(idToken ? { idToken } : {}) };
+    const queryParams = { action: 'stats', origin, ...(idToken ? { idToken } : {}), ...(filters || {}) };
     return jsonpGet(queryParams);
 };
 
@@ -366,4 +861,4 @@ if (typeof window !== 'undefined') {
 }
 
 console.log('API module loaded successfully');
-console.log('Available API functions: createOrder, getOrders, deleteOrder, getStats, healthCheck');
+console.log('Available API functions: createOrder, getOrderById, getOrders, updateOrder, deleteOrder, restoreOrder, importOrders, rebuildDailySummary, setupOrderSheets, getClosingReport, closeDay, getStats, getEmployeeStats, getReportData, getServices, searchCustomers, getCustomerHistory, updateCustomer, getRewards, getAppointments, createAppointment, moveAppointment, cancelAppointment, getQueue, getQueueStats, addWalkIn, assignWalkIn, startWalkIn, removeWalkIn, getProfile, getAuditLog, healthCheck');
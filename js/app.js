@@ -87,7 +87,29 @@ const APP_STATE = {
         todayRevenue: 0,
         monthRevenue: 0
     },
-    isOnline: navigator.onLine
+    isOnline: navigator.onLine,
+    // Orders waiting in the offline outbox (not yet on the server)
+    pendingOrders: [],
+    // Managers: setup left after an upgrade ({ migrate, summary }) or null, from the `me` action
+    setup: null,
+    // The server had more orders in the list's range than were loaded (see ORDERS_MAX_PAGES)
+    ordersTruncated: false,
+    // Role from the "Vai trò" column (staff | manager | owner), returned by the `me` action
+    role: 'staff',
+    employees: [],
+    // Managers: whose orders the list shows ('mine', 'all' or an employee email)
+    employeeScope: 'mine',
+    // Stats cards: 'today', 'week', 'month', 'year' or 'custom' (statsRange = { from, to } YYYY-MM-DD)
+    statsPeriod: 'today',
+    statsRange: null,
+    // Visible screen: 'orders', 'schedule', 'queue', 'history' or a manager view such as 'dashboard'
+    view: 'orders',
+    // Active services from the "Dịch vụ" sheet ({ name, emoji, category, defaultPrice })
+    services: [],
+    // Lines added with "+ Thêm dịch vụ vào đơn" and not saved yet ({ service, quantity, unitPrice } in VND)
+    draftItems: [],
+    // Where the order form was prefilled from ({ appointmentId } or { queueId }); marked done when the order is saved
+    orderLink: null
 };
 
 // DOM Elements
@@ -100,9 +122,9 @@ function bootstrapApp() {
 
     try {
         initializeElements();
-        // Remove search UI for simplified app
-        removeSearchUI();
         setupEventListeners();
+        // Last known catalog (or the config fallback) until the server answers
+        renderServiceButtons(loadCachedServices());
 
         // Delay to ensure all modules are loaded
         setTimeout(() => {
@@ -132,30 +154,6 @@ if (document.readyState === 'loading') {
     setTimeout(bootstrapApp, 0);
 }
 
-// Remove search and filter UI elements (keep app simple)
-function removeSearchUI() {
-    try {
-        // Remove advanced search toggle button
-        document.getElementById('advancedSearchToggle')?.remove();
-
-        // Remove search input and its container
-        const searchInput = document.getElementById('searchInput');
-        if (searchInput) {
-            const wrapper = searchInput.closest('.mb-4') || searchInput.parentElement?.parentElement || searchInput.parentElement;
-            wrapper?.remove();
-        }
-
-        // Remove advanced search panel and search stats
-        document.getElementById('advancedSearchPanel')?.remove();
-        document.getElementById('searchStats')?.remove();
-
-        // Remove clear button if present
-        document.getElementById('clearSearch')?.remove();
-    } catch (err) {
-        console.warn('Search UI cleanup warning:', err);
-    }
-}
-
 // Initialize DOM elements
 function initializeElements() {
     elements = {
@@ -169,6 +167,9 @@ function initializeElements() {
         logoutBtn: document.getElementById('logoutBtn'),
         userEmail: document.getElementById('userEmail'),
         accountEmail: document.getElementById('accountEmail'),
+        accountRole: document.getElementById('accountRole'),
+        employeeScope: document.getElementById('employeeScope'),
+        viewTabs: document.getElementById('viewTabs'),
         
         // Form elements
         orderForm: document.getElementById('orderForm'),
@@ -178,22 +179,49 @@ function initializeElements() {
         priceInput: document.getElementById('price'),
         pricePreview: document.getElementById('pricePreview'),
         notesInput: document.getElementById('notes'),
+        orderItems: document.getElementById('orderItems'),
+        addItemBtn: document.getElementById('addItemBtn'),
+        discountInput: document.getElementById('discount'),
+        tipInput: document.getElementById('tip'),
+        orderTotal: document.getElementById('orderTotal'),
         
         // Statistics
-        todayCount: document.getElementById('todayCount'),
-        todayRevenue: document.getElementById('todayRevenue'),
-        monthRevenue: document.getElementById('monthRevenue'),
+        statsPeriods: document.getElementById('statsPeriods'),
+        statsCustomRange: document.getElementById('statsCustomRange'),
+        statsCount: document.getElementById('statsCount'),
+        statsRevenue: document.getElementById('statsRevenue'),
+        statsAverage: document.getElementById('statsAverage'),
+        statsCountChange: document.getElementById('statsCountChange'),
+        statsRevenueChange: document.getElementById('statsRevenueChange'),
+        statsAverageChange: document.getElementById('statsAverageChange'),
+        statsCommission: document.getElementById('statsCommission'),
+        statsTips: document.getElementById('statsTips'),
+        paymentBreakdown: document.getElementById('paymentBreakdown'),
         
         // Orders list
         ordersList: document.getElementById('ordersList'),
         refreshBtn: document.getElementById('refreshBtn'),
+        pendingBadge: document.getElementById('pendingBadge'),
         
         // Other
+        setupBanner: document.getElementById('setupBanner'),
+        setupBannerText: document.getElementById('setupBannerText'),
+        setupBannerBtn: document.getElementById('setupBannerBtn'),
         currentDate: document.getElementById('currentDate'),
         loadingOverlay: document.getElementById('loadingOverlay'),
         toast: document.getElementById('toast'),
         toastMessage: document.getElementById('toastMessage'),
-        toastIcon: document.getElementById('toastIcon')
+        toastIcon: document.getElementById('toastIcon'),
+        toastAction: document.getElementById('toastAction'),
+        qrModal: document.getElementById('qrModal'),
+        qrModalCode: document.getElementById('qrModalCode'),
+        qrModalAmount: document.getElementById('qrModalAmount'),
+        qrModalPurpose: document.getElementById('qrModalPurpose'),
+        qrModalAccount: document.getElementById('qrModalAccount'),
+        qrModalClose: document.getElementById('qrModalClose'),
+        orderLinkNote: document.getElementById('orderLinkNote'),
+        orderLinkText: document.getElementById('orderLinkText'),
+        orderLinkClear: document.getElementById('orderLinkClear')
     };
 }
 
@@ -206,20 +234,68 @@ function setupEventListeners() {
     // Form events
     elements.orderForm?.addEventListener('submit', handleOrderSubmit);
     elements.refreshBtn?.addEventListener('click', refreshOrders);
-    
-    // Service buttons
-    const serviceButtons = document.querySelectorAll('.service-btn');
-    serviceButtons.forEach(btn => {
-        btn.addEventListener('click', handleServiceButtonClick);
+    elements.employeeScope?.addEventListener('change', (e) => {
+        APP_STATE.employeeScope = e.target.value;
+        refreshOrders();
     });
+    elements.statsPeriods?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-period]');
+        if (btn) selectStatsPeriod(btn.dataset.period);
+    });
+    elements.statsCustomRange?.addEventListener('submit', handleStatsRangeSubmit);
+    elements.viewTabs?.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-view-target]');
+        if (tab) showView(tab.dataset.viewTarget);
+    });
+    elements.setupBannerBtn?.addEventListener('click', handleSetupClick);
+
+    // Customer button on order cards (today's list and history share renderOrderCard)
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest('.order-card [data-phone]');
+        if (btn) openCustomerHistory(btn.dataset.phone);
+    });
+    
+    // Service buttons (rendered from the catalog, so delegate)
+    elements.serviceButtons?.addEventListener('click', handleServiceButtonClick);
     
     // Price formatting
     elements.priceInput?.addEventListener('input', handlePriceInput);
+
+    // VietQR modal: close button or a tap on the backdrop
+    elements.qrModalClose?.addEventListener('click', hidePaymentQR);
+    elements.qrModal?.addEventListener('click', (e) => {
+        if (e.target === elements.qrModal) hidePaymentQR();
+    });
+
+    // Prefilled from an appointment / walk-in: ✕ keeps the form but drops the link
+    elements.orderLinkClear?.addEventListener('click', clearOrderLink);
+
+    // Multi-service orders: line items, discount and tip
+    elements.addItemBtn?.addEventListener('click', handleAddItemClick);
+    elements.orderItems?.addEventListener('click', handleOrderItemsClick);
+    [elements.discountInput, elements.tipInput].forEach(input => {
+        input?.addEventListener('input', (e) => {
+            e.target.value = e.target.value.replace(/[^0-9]/g, '');
+            updateOrderTotal();
+        });
+    });
+
+    // Connectivity: replay the offline outbox when the network returns
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', function(event) {
+            if (event.data && event.data.type === 'OUTBOX_REPLAYED') {
+                handleOutboxReplayed(event.data.result);
+            }
+        });
+    }
 }
 
 // Handle service button click
 function handleServiceButtonClick(e) {
-    const button = e.currentTarget;
+    const button = e.target.closest('.service-btn');
+    if (!button) return;
     const service = button.dataset.service;
     
     // Remove selected class from all buttons
@@ -243,6 +319,59 @@ function handleServiceButtonClick(e) {
         elements.otherServiceInput.required = false;
         elements.otherServiceInput.value = '';
     }
+
+    // Prefill the catalog's default price when no price has been typed yet
+    const defaultPrice = Number(button.dataset.defaultPrice) || 0;
+    if (defaultPrice > 0 && !elements.priceInput.value) {
+        setQuickPrice(Math.round(defaultPrice / 1000));
+    }
+}
+
+// Fallback catalog: cached copy of the last server response, else APP_CONFIG.DEFAULT_SERVICES
+function loadCachedServices() {
+    try {
+        const cached = JSON.parse(localStorage.getItem('services') || 'null');
+        if (Array.isArray(cached) && cached.length) return cached;
+    } catch (_) {}
+    return (APP_CONFIG && APP_CONFIG.DEFAULT_SERVICES) || [];
+}
+
+// Fetch the "Dịch vụ" catalog and re-render the buttons
+async function loadServices() {
+    if (typeof window.getServices !== 'function') return;
+    try {
+        const res = await window.getServices();
+        if (!res || !Array.isArray(res.services) || res.services.length === 0) return;
+        localStorage.setItem('services', JSON.stringify(res.services));
+        renderServiceButtons(res.services);
+    } catch (err) {
+        console.warn('Service catalog load failed:', err?.message);
+    }
+}
+
+// Build #serviceButtons from catalog data, always ending with "Khác"
+function renderServiceButtons(services) {
+    APP_STATE.services = services || [];
+    if (!elements.serviceButtons) return;
+    const selected = elements.serviceInput?.value;
+    const buttonClass = 'service-btn p-3 bg-white border-2 border-gray-300 rounded-lg hover:border-purple-500 transition-all text-center';
+    const buttons = APP_STATE.services.map(svc => `
+        <button type="button" class="${buttonClass}" data-service="${svc.name}" data-default-price="${svc.defaultPrice || ''}">
+            <div class="text-2xl mb-1">${svc.emoji || '✂️'}</div>
+            <div class="text-xs font-medium">${svc.name}</div>
+        </button>`);
+    buttons.push(`
+        <button type="button" class="${buttonClass}" data-service="other">
+            <div class="text-2xl mb-1">⋯</div>
+            <div class="text-xs font-medium">Khác</div>
+        </button>`);
+    elements.serviceButtons.innerHTML = buttons.join('');
+    // Keep the current choice highlighted across a re-render
+    if (selected) {
+        elements.serviceButtons.querySelectorAll('.service-btn').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.service === selected);
+        });
+    }
 }
 
 // Handle price input formatting
@@ -267,58 +396,167 @@ function handlePriceInput(e) {
     } else {
         elements.pricePreview.classList.add('hidden');
     }
+    updateOrderTotal();
+}
+
+// Service + price currently picked on the form as an item (null when nothing is picked)
+function readSelectedItem() {
+    const serviceValue = elements.serviceInput.value;
+    const service = serviceValue === 'other' ? elements.otherServiceInput.value : serviceValue;
+    const priceInThousands = parseInt(elements.priceInput.value.replace(/\D/g, ''));
+    if (!service && !priceInThousands) return null;
+    return {
+        service: ClientValidator.validateService(service),
+        quantity: 1,
+        unitPrice: ClientValidator.validatePrice(priceInThousands) * 1000
+    };
+}
+
+// Reset the service buttons and price after an item is added or the order is saved
+function clearServiceSelection() {
+    elements.serviceInput.value = '';
+    elements.priceInput.value = '';
+    elements.pricePreview.classList.add('hidden');
+    elements.otherServiceInput.value = '';
+    elements.otherServiceInput.classList.add('hidden');
+    elements.otherServiceInput.required = false;
+    document.querySelectorAll('.service-btn').forEach(btn => {
+        btn.classList.remove('selected');
+    });
+}
+
+// "+ Thêm dịch vụ vào đơn": move the current pick into the line list
+function handleAddItemClick() {
+    try {
+        const item = readSelectedItem();
+        if (!item) throw new Error('Vui lòng chọn dịch vụ và nhập giá');
+        // Same service at the same price: bump the quantity instead of adding a line
+        const same = APP_STATE.draftItems.find(it => it.service === item.service && it.unitPrice === item.unitPrice);
+        if (same) {
+            same.quantity = ClientValidator.validateQuantity(same.quantity + 1);
+        } else {
+            ClientValidator.validateItems(APP_STATE.draftItems.concat([item]));
+            APP_STATE.draftItems.push(item);
+        }
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    clearServiceSelection();
+    renderDraftItems();
+}
+
+// −/+/✕ buttons on the line list
+function handleOrderItemsClick(e) {
+    const button = e.target.closest('[data-item-action]');
+    if (!button) return;
+    const index = parseInt(button.dataset.index);
+    const item = APP_STATE.draftItems[index];
+    if (!item) return;
+
+    const action = button.dataset.itemAction;
+    if (action === 'remove' || (action === 'decrease' && item.quantity <= 1)) {
+        APP_STATE.draftItems.splice(index, 1);
+    } else if (action === 'decrease') {
+        item.quantity--;
+    } else if (action === 'increase' && item.quantity < 99) {
+        item.quantity++;
+    }
+    renderDraftItems();
+}
+
+function renderDraftItems() {
+    const list = elements.orderItems;
+    if (!list) return;
+    const items = APP_STATE.draftItems;
+    list.classList.toggle('hidden', items.length === 0);
+    // With lines in the list, the price box is only needed for one more service
+    elements.priceInput.required = items.length === 0;
+
+    const buttonClass = 'w-7 h-7 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg transition';
+    list.innerHTML = items.map((item, index) => `
+        <div class="flex items-center justify-between bg-gray-50 rounded-lg px-3 py-2">
+            <div class="flex-1 text-sm">
+                <span class="font-medium text-gray-800">${item.service}</span>
+                <span class="text-gray-500">× ${item.quantity}</span>
+                <span class="text-green-600 ml-1">${formatCurrency(item.unitPrice * item.quantity)}</span>
+            </div>
+            <div class="flex items-center space-x-1">
+                <button type="button" class="${buttonClass}" data-item-action="decrease" data-index="${index}">−</button>
+                <button type="button" class="${buttonClass}" data-item-action="increase" data-index="${index}">+</button>
+                <button type="button" class="w-7 h-7 text-sm text-red-500 hover:bg-red-50 rounded-lg transition" data-item-action="remove" data-index="${index}" title="Bỏ dịch vụ">✕</button>
+            </div>
+        </div>
+    `).join('');
+    updateOrderTotal();
+}
+
+// Running total under the form once the order has more than a single price
+function updateOrderTotal() {
+    const totalEl = elements.orderTotal;
+    if (!totalEl) return;
+    let items = APP_STATE.draftItems;
+    try {
+        const selected = readSelectedItem();
+        if (selected) items = items.concat([selected]);
+    } catch (_) {
+        // Half-filled pick: total the lines only
+    }
+    const discount = (parseInt(elements.discountInput?.value) || 0) * 1000;
+    const tip = (parseInt(elements.tipInput?.value) || 0) * 1000;
+    // Estimate only: the server recomputes the reward discount against the customer's balance
+    const reward = typeof window.estimateRewardDiscount === 'function' ? window.estimateRewardDiscount(items, discount) : null;
+    const rewardDiscount = reward ? reward.discount : 0;
+    const show = items.length > 1 || discount > 0 || tip > 0 || !!reward;
+    totalEl.classList.toggle('hidden', !show);
+    if (!show) return;
+    const parts = [`Tổng: ${formatCurrency(Math.max(0, orderSubtotal(items) - discount - rewardDiscount))}`];
+    if (discount) parts.push(`đã giảm ${formatCurrency(discount)}`);
+    if (reward) parts.push(`ưu đãi “${reward.name}” −${formatCurrency(rewardDiscount)}`);
+    if (tip) parts.push(`tip ${formatCurrency(tip)}`);
+    totalEl.textContent = parts.join(' · ');
 }
 
 // Handle order form submission
 async function handleOrderSubmit(e) {
     e.preventDefault();
     
-    // Get form data
-    const serviceValue = elements.serviceInput.value;
-    const service = serviceValue === 'other' 
-        ? elements.otherServiceInput.value 
-        : serviceValue;
-    
-    // Get price in thousands and convert to actual amount
-    const priceInThousands = parseInt(elements.priceInput.value.replace(/\D/g, ''));
-    const price = priceInThousands * 1000; // Convert to actual VND
     const notes = elements.notesInput.value.trim();
+    const customerName = elements.orderForm.elements.customerName?.value.trim() || '';
+    let items;
+    let discount;
+    let tip;
+    let customerPhone;
     
     // Client-side validation
     try {
-        // Validate using ClientValidator if available
-        if (typeof ClientValidator !== 'undefined') {
-            ClientValidator.validateService(service);
-            ClientValidator.validatePrice(priceInThousands);
-            ClientValidator.validateNotes(notes);
-        } else {
-            // Fallback validation
-            if (!service) {
-                showToast('Vui lòng chọn dịch vụ', 'error');
-                return;
-            }
-            
-            if (!priceInThousands || priceInThousands <= 0) {
-                showToast('Vui lòng nhập giá tiền hợp lệ', 'error');
-                return;
-            }
-            
-            if (priceInThousands > 50000) {
-                showToast('Giá tiền không được vượt quá 50 triệu', 'error');
-                return;
-            }
-        }
+        customerPhone = ClientValidator.validatePhone(elements.orderForm.elements.customerPhone?.value);
+        // Lines added with "+ Thêm dịch vụ vào đơn", plus the current pick if filled in
+        const selected = readSelectedItem();
+        items = APP_STATE.draftItems.map(item => ({ ...item })).concat(selected ? [selected] : []);
+        discount = ClientValidator.validateAmount(elements.discountInput?.value, 'Giảm giá') * 1000;
+        tip = ClientValidator.validateAmount(elements.tipInput?.value, 'Tip') * 1000;
+        ClientValidator.validateItems(items, discount);
+        ClientValidator.validateNotes(notes);
     } catch (validationError) {
         showToast(validationError.message, 'error');
         return;
     }
     
-    // Create order object
+    // Create order object: service/price are the summary and revenue (tip excluded), as stored in the sheet
     const order = {
         id: generateOrderId(),
         timestamp: new Date().toISOString(),
-        service: service,
-        price: price,
+        service: summarizeOrderItems(items),
+        price: orderSubtotal(items) - discount,
+        items: items,
+        discount: discount,
+        tip: tip,
+        paymentMethod: elements.orderForm.elements.paymentMethod?.value || 'cash',
+        customerPhone: customerPhone,
+        customerName: customerPhone ? customerName : '',
+        reward: customerPhone ? (elements.orderForm.elements.reward?.value || '') : '',
+        ...(APP_STATE.orderLink || {}),
         notes: notes,
         employee: APP_STATE.user?.email || 'unknown'
     };
@@ -332,12 +570,11 @@ async function handleOrderSubmit(e) {
         
         // Clear form
         elements.orderForm.reset();
-        elements.otherServiceInput.classList.add('hidden');
-        elements.otherServiceInput.required = false;
-        // Clear service button selection
-        document.querySelectorAll('.service-btn').forEach(btn => {
-            btn.classList.remove('selected');
-        });
+        clearServiceSelection();
+        APP_STATE.draftItems = [];
+        renderDraftItems();
+        if (typeof window.resetCustomerFields === 'function') window.resetCustomerFields();
+        clearOrderLink();
         
         // Update UI:
         // - If backend returned the saved order with a real ID, add immediately.
@@ -348,6 +585,8 @@ async function handleOrderSubmit(e) {
                     ...savedOrder,
                     timestamp: normalizeTimestamp(savedOrder.timestamp || savedOrder.date || new Date())
                 };
+                // Outbox orders are already tracked in APP_STATE.pendingOrders
+                if (!normalizedSaved.pending) APP_STATE.orders.unshift(normalizedSaved);
                 addOrderToList(normalizedSaved);
             } else if (typeof refreshOrders === 'function') {
                 await refreshOrders();
@@ -359,116 +598,266 @@ async function handleOrderSubmit(e) {
         // Keep UI responsive: avoid auto-refresh overwriting the new item
         // Users can tap refresh if needed
         
-        showToast('Đã lưu đơn hàng thành công!', 'success');
+        if (savedOrder && savedOrder.loyalty) {
+            const loyalty = savedOrder.loyalty;
+            const change = [
+                loyalty.redeemed ? `đổi “${loyalty.reward}” −${loyalty.redeemed} điểm` : '',
+                loyalty.earned ? `+${loyalty.earned} điểm` : ''
+            ].filter(Boolean).join(', ');
+            showToast(`Đã lưu đơn hàng! ${change ? change + ' · ' : ''}Khách có ${loyalty.points} điểm`, 'success');
+        } else if (!savedOrder || !savedOrder.pending) {
+            showToast('Đã lưu đơn hàng thành công!', 'success');
+        }
+        // Bank transfer: show the VietQR code with the amount and reference filled in
+        if (order.paymentMethod === 'transfer') showPaymentQR(savedOrder || order);
     } catch (error) {
         console.error('Error saving order:', error);
-        showToast('Có lỗi xảy ra. Vui lòng thử lại.', 'error');
+        showToast('Không thể lưu đơn. Vui lòng thử lại.', 'error');
     } finally {
         showLoading(false);
     }
 }
 
-// Save order to Google Sheets via API
-// Legacy offline save (unused in realtime mode)
-async function saveOrderLegacyOffline(order) {
-    console.log('📥 Saving order to backend...');
-    
+/**
+ * Open the orders screen with service/customer/notes filled in from another screen.
+ * link ({ appointmentId } or { queueId }) goes out with the order so the server can close the source.
+ */
+function prefillOrderForm(fields, link, label) {
+    const form = elements.orderForm;
+    if (!form) return;
+    showView('orders');
+
+    const buttons = Array.from(elements.serviceButtons?.querySelectorAll('.service-btn') || []);
+    if (fields.service) {
+        const match = buttons.find(btn => btn.dataset.service === fields.service);
+        if (match) {
+            match.click();
+        } else {
+            buttons.find(btn => btn.dataset.service === 'other')?.click();
+            elements.otherServiceInput.value = fields.service;
+        }
+    }
+    if (fields.customerPhone) {
+        form.elements.customerPhone.value = fields.customerPhone;
+        // Let the customer module look the phone up (points, history button)
+        form.elements.customerPhone.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    if (fields.customerName) form.elements.customerName.value = fields.customerName;
+    if (fields.notes && !elements.notesInput.value) elements.notesInput.value = fields.notes;
+
+    APP_STATE.orderLink = link || null;
+    if (elements.orderLinkText) elements.orderLinkText.textContent = label || '';
+    elements.orderLinkNote?.classList.toggle('hidden', !link);
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function clearOrderLink() {
+    APP_STATE.orderLink = null;
+    elements.orderLinkNote?.classList.add('hidden');
+}
+
+// Queue an order in the offline outbox (IndexedDB); sw.js replays it when back online
+async function saveOrderOffline(order) {
+    if (typeof OrderOutbox === 'undefined') throw new Error('Offline outbox not available');
+
+    await rememberOutboxAuth();
+    const pendingOrder = { ...order, employeeName: '', pending: true };
+    await OrderOutbox.add(pendingOrder, buildCreateOrderPayload(order));
+
+    APP_STATE.pendingOrders.unshift(pendingOrder);
+    updatePendingBadge();
+    requestOutboxSync();
+    return pendingOrder;
+}
+window.saveOrderOffline = saveOrderOffline;
+
+// Give the outbox what it needs to replay without the page (API URL + current idToken)
+async function rememberOutboxAuth() {
+    if (typeof OrderOutbox === 'undefined') return;
+    const idToken = (typeof getIdToken === 'function') ? getIdToken() : APP_STATE.user?.idToken;
+    await OrderOutbox.setMeta('auth', {
+        apiUrl: APP_CONFIG.API_BASE_URL,
+        idToken: idToken || null,
+        origin: window.location.origin,
+        appVersion: APP_CONFIG.APP_VERSION
+    });
+}
+
+// Load queued orders so they show up (with a badge) after a reload
+async function loadPendingOrders() {
+    if (typeof OrderOutbox === 'undefined') return;
     try {
-        // Check if API is available
-        if (typeof window.createOrder === 'function' && 
-            APP_CONFIG && APP_CONFIG.API_BASE_URL && 
-            !APP_CONFIG.API_BASE_URL.includes('DEMO_ID')) {
-            
-            console.log('⚙️ Using Google Sheets API');
-            
-            // Call real API with timeout
-            const response = await Promise.race([
-                window.createOrder({
-                    employee: order.employee,
-                    service: order.service,
-                    price: order.price,
-                    notes: order.notes
-                }),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('API timeout after 10s')), 10000)
-                )
-            ]);
-            
-            if (response && (response.success || response.id)) {
-                console.log('✅ Order saved to Google Sheets:', response);
-                
-                // Also save locally for immediate UI update
-                APP_STATE.orders.unshift(order);
-                // No offline storage in realtime mode
-                
-                // Refresh stats from server
-                setTimeout(() => {
-                    refreshStatsFromAPI();
-                }, 1000);
-                
-                showToast('✅ Đã lưu và đồng bộ thành công!', 'success');
-                return order;
+        const entries = await OrderOutbox.list();
+        APP_STATE.pendingOrders = entries
+            .map(entry => ({ ...entry.order, pending: true, rejected: entry.rejected ? entry.lastError || 'API error' : '' }))
+            .reverse();
+    } catch (err) {
+        console.warn('Cannot read offline outbox:', err);
+        APP_STATE.pendingOrders = [];
+    }
+    updatePendingBadge();
+    displayOrders();
+}
+
+// Ask the Service Worker to replay the outbox; replay in the page if there is no SW
+async function requestOutboxSync() {
+    if (typeof OrderOutbox === 'undefined' || !APP_STATE.pendingOrders.some(o => !o.rejected)) return;
+    if (!navigator.onLine) return;
+    try {
+        await rememberOutboxAuth();
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const reg = await navigator.serviceWorker.ready;
+            if (reg.sync && typeof reg.sync.register === 'function') {
+                await reg.sync.register(OrderOutbox.SYNC_TAG);
             } else {
-                throw new Error('Invalid API response');
+                navigator.serviceWorker.controller.postMessage({ type: 'REPLAY_OUTBOX' });
             }
-            
-        } else {
-            console.log('📋 Using local storage (API not configured)');
-            
-            // Fallback to localStorage
-            await new Promise(resolve => setTimeout(resolve, 300));
-            APP_STATE.orders.unshift(order);
-            // No offline storage in realtime mode
-            
-            // removed: offline/local save toast
-            return order;
+            return;
         }
-        
-    } catch (error) {
-        console.error('❌ Error saving to API:', error.message);
-        
-        // Always fallback to localStorage - never fail completely
-        APP_STATE.orders.unshift(order);
-        // No offline storage in realtime mode
-        
-        // Show appropriate message based on error
-        showToast('Không thể tải dữ liệu từ máy chủ. Vui lòng thử lại.', 'error');
-        if (false && error.message.includes('timeout')) {
-            showToast('⚠️ API chậm, đã lưu local. Tự động đồng bộ sau.', 'warning');
-        } else if (error.message.includes('CORS') || error.message.includes('network')) {
-            showToast('📏 Mạng có vấn đề, đã lưu local.', 'warning');
-        } else if (false) {
-            // removed: offline mode toast
-        }
-        
-        return order;
+        handleOutboxReplayed(await OrderOutbox.replay());
+    } catch (err) {
+        console.warn('Outbox sync request failed:', err);
     }
 }
 
-// Add order to list UI
-function addOrderToList(order) {
+// Apply a replay result (from the SW message or an in-page replay).
+// Synced orders leave the pending list; rejected ones stay, tagged with the reason, until the user
+// re-enters them and deletes the queued copy
+function handleOutboxReplayed(result) {
+    if (!result) return;
+    const synced = result.synced || [];
+    const failed = result.failed || [];
+    if (synced.length === 0 && failed.length === 0) return;
+
+    const syncedIds = synced.map(r => r.orderId);
+    APP_STATE.pendingOrders = APP_STATE.pendingOrders
+        .filter(o => !syncedIds.includes(o.id))
+        .map(o => {
+            const rejection = failed.find(r => r.orderId === o.id);
+            return rejection ? { ...o, rejected: rejection.error } : o;
+        });
+    updatePendingBadge();
+
+    if (synced.length) {
+        showToast(`Đã đồng bộ ${synced.length} đơn chờ`, 'success');
+    }
+    if (failed.length) {
+        showToast(`${failed.length} đơn chờ bị từ chối (${failed[0].error}). Vui lòng nhập lại rồi xóa đơn lỗi.`, 'error');
+    }
+    refreshOrders();
+}
+
+function isPendingOrder(orderId) {
+    return APP_STATE.pendingOrders.some(o => o.id === orderId);
+}
+window.isPendingOrder = isPendingOrder;
+
+async function discardPendingOrder(orderId) {
+    await OrderOutbox.removeByOrderId(orderId);
+    APP_STATE.pendingOrders = APP_STATE.pendingOrders.filter(o => o.id !== orderId);
+    updatePendingBadge();
+    displayOrders();
+}
+window.discardPendingOrder = discardPendingOrder;
+
+// Pending-count badge next to the orders list title
+function updatePendingBadge() {
+    const badge = elements.pendingBadge;
+    if (!badge) return;
+    const count = APP_STATE.pendingOrders.filter(o => !o.rejected).length;
+    badge.textContent = `⏳ ${count} chờ đồng bộ`;
+    badge.classList.toggle('hidden', count === 0);
+}
+
+// Render one order card (used for list inserts and in-place updates).
+// readOnly drops the QR/edit/delete buttons (history screen: those act on today's list)
+function renderOrderCard(order, readOnly) {
     const shortId = order && order.id ? String(order.id).slice(-4) : '----';
-    const orderHtml = `
-        <div class="order-card bg-gray-50 rounded-lg p-4 order-item" data-order-id="${order?.id || ''}">
+    return `
+        <div class="order-card bg-gray-50 rounded-lg p-4 order-item" data-order-id="${escapeHtml(order?.id)}">
             <div class="flex justify-between items-start">
                 <div class="flex-1">
                     <div class="flex items-center space-x-2 mb-1">
                         <span class="text-xs text-gray-500">${formatTime(order?.timestamp)}</span>
                         <span class="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full">#${shortId}</span>
+                        ${order?.pending && !order.rejected ? '<span class="pending-tag text-xs bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full">⏳ Chưa đồng bộ</span>' : ''}
+                        ${order?.rejected ? '<span class="pending-tag text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded-full">⚠️ Bị từ chối</span>' : ''}
+                        ${order?.locked ? '<span class="text-xs bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full" title="Ngày đã chốt ca">🔒 Đã chốt</span>' : ''}
                     </div>
-                    <div class="font-medium text-gray-800">${order?.service || '—'}</div>
+                    <div class="font-medium text-gray-800">${escapeHtml(order?.service) || '—'}</div>
                     <div class="text-green-600 font-semibold">${formatCurrency(order?.price || 0)}</div>
-                    ${order?.employeeName ? `<div class="text-sm text-gray-600 mt-1">👤 ${order.employeeName}</div>` : ''}
-                    ${order?.notes ? `<div class="text-sm text-gray-500 mt-1">${order.notes}</div>` : ''}
+                    ${order?.discount || order?.tip || order?.paymentMethod ? `<div class="text-xs text-gray-500">${[
+                        PAYMENT_METHOD_LABELS[order.paymentMethod] || '',
+                        order.discount ? `Đã giảm ${formatCurrency(order.discount)}` : '',
+                        order.tip ? `Tip ${formatCurrency(order.tip)}` : ''
+                    ].filter(Boolean).join(' · ')}</div>` : ''}
+                    ${order?.customerPhone ? `<button type="button" data-phone="${escapeHtml(order.customerPhone)}" class="text-sm text-purple-600 hover:underline mt-1">🙋 ${escapeHtml(order.customerName || order.customerPhone)}</button>` : ''}
+                    ${order?.employeeName ? `<div class="text-sm text-gray-600 mt-1">👤 ${escapeHtml(order.employeeName)}</div>` : ''}
+                    ${order?.notes ? `<div class="text-sm text-gray-500 mt-1">${escapeHtml(order.notes)}</div>` : ''}
+                    ${order?.rejected ? `<div class="text-sm text-red-600 mt-1">Máy chủ không nhận đơn: ${escapeHtml(order.rejected)}. Nhập lại đơn rồi xóa bản này.</div>` : ''}
                 </div>
-                <button onclick="onDeleteOrderClick('${order?.id || ''}')" class="text-red-500 hover:bg-red-50 p-2 rounded-lg transition">
-                    <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
-                    </svg>
-                </button>
+                ${readOnly ? '' : `<div class="flex items-center">
+                    ${order?.paymentMethod === 'transfer' && isVietQREnabled() ? `
+                    <button onclick="onShowQrClick('${order?.id || ''}')" class="text-blue-600 hover:bg-blue-50 p-2 rounded-lg transition" title="Mã QR chuyển khoản">
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z"></path>
+                        </svg>
+                    </button>` : ''}
+                    ${order?.pending || order?.locked ? '' : `
+                    <button onclick="onEditOrderClick('${order?.id || ''}')" class="text-purple-600 hover:bg-purple-50 p-2 rounded-lg transition" title="Sửa">
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+                        </svg>
+                    </button>`}
+                    ${order?.locked ? '' : `
+                    <button onclick="onDeleteOrderClick('${order?.id || ''}')" class="text-red-500 hover:bg-red-50 p-2 rounded-lg transition" title="Xóa">
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                        </svg>
+                    </button>`}
+                </div>`}
             </div>
         </div>
     `;
+}
+
+// VietQR is on once the salon's bank account is set in APP_CONFIG.VIETQR
+function isVietQREnabled() {
+    const cfg = APP_CONFIG && APP_CONFIG.VIETQR;
+    return !!(cfg && cfg.BANK_BIN && cfg.ACCOUNT_NO && typeof VietQR !== 'undefined' && typeof QRCode !== 'undefined');
+}
+
+// Transfer QR for an order: amount = revenue + tip, content = order reference
+function showPaymentQR(order) {
+    if (!order || !isVietQREnabled()) return;
+    const cfg = APP_CONFIG.VIETQR;
+    const amount = (order.price || 0) + (order.tip || 0);
+    try {
+        const purpose = VietQR.orderPurpose(order.id, cfg.PURPOSE_PREFIX);
+        const payload = VietQR.buildPayload({ bankBin: cfg.BANK_BIN, accountNo: cfg.ACCOUNT_NO, amount, purpose });
+        elements.qrModalCode.innerHTML = QRCode.toSvg(payload, { className: 'w-full h-full' });
+        elements.qrModalAmount.textContent = formatCurrency(amount);
+        elements.qrModalPurpose.textContent = `Nội dung: ${purpose}`;
+        elements.qrModalAccount.textContent = [cfg.ACCOUNT_NAME, cfg.ACCOUNT_NO].filter(Boolean).join(' · ');
+        elements.qrModal.classList.remove('hidden');
+    } catch (err) {
+        console.error('VietQR error:', err);
+        showToast(err.message || 'Không tạo được mã QR', 'error');
+    }
+}
+
+function hidePaymentQR() {
+    elements.qrModal?.classList.add('hidden');
+}
+
+window.onShowQrClick = function(orderId) {
+    const order = findOrder(orderId);
+    if (order) showPaymentQR(order);
+};
+
+// Add order to list UI
+function addOrderToList(order) {
+    const orderHtml = renderOrderCard(order);
     
     // Remove empty state if exists
     const emptyState = elements.ordersList.querySelector('.text-center');
@@ -480,6 +869,159 @@ function addOrderToList(order) {
     elements.ordersList.insertAdjacentHTML('afterbegin', orderHtml);
 }
 
+// Find a loaded order by ID (server list first, then outbox)
+function findOrder(orderId) {
+    return APP_STATE.orders.find(o => String(o.id) === String(orderId)) ||
+        APP_STATE.pendingOrders.find(o => String(o.id) === String(orderId)) ||
+        null;
+}
+
+// Swap a card for its re-rendered version, keeping its position
+function replaceOrderCard(order) {
+    const card = elements.ordersList.querySelector(`[data-order-id="${order.id}"]`);
+    if (!card) return;
+    card.insertAdjacentHTML('beforebegin', renderOrderCard(order));
+    card.remove();
+}
+
+// Open the inline editor on an order card
+window.onEditOrderClick = function(orderId) {
+    const order = findOrder(orderId);
+    const card = elements.ordersList.querySelector(`[data-order-id="${orderId}"]`);
+    if (!order || !card) {
+        showToast('Không tìm thấy đơn hàng', 'error');
+        return;
+    }
+
+    const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500';
+    const services = APP_STATE.services.map(svc => svc.name);
+    card.innerHTML = `
+        <form class="order-edit-form space-y-2">
+            <div class="text-xs text-gray-500">Sửa đơn #${String(order.id).slice(-4)}</div>
+            <div class="grid grid-cols-2 gap-2">
+                <input name="customerPhone" type="tel" inputmode="tel" class="${inputClass}" placeholder="SĐT khách">
+                <input name="customerName" class="${inputClass}" placeholder="Tên khách">
+            </div>
+            <div class="edit-items space-y-2"></div>
+            <datalist id="editServiceOptions">${services.map(sv => `<option value="${sv}"></option>`).join('')}</datalist>
+            <button type="button" data-action="add-line" class="text-xs font-medium text-purple-600 hover:bg-purple-50 px-2 py-1 rounded-lg transition">+ Thêm dịch vụ</button>
+            <select name="paymentMethod" class="${inputClass}">
+                <option value="">Chưa ghi hình thức thanh toán</option>
+                ${Object.keys(PAYMENT_METHOD_LABELS).map(key => `<option value="${key}">${PAYMENT_METHOD_LABELS[key]}</option>`).join('')}
+            </select>
+            <div class="grid grid-cols-2 gap-2">
+                <input name="discount" inputmode="numeric" class="${inputClass}" placeholder="Giảm giá (nghìn)">
+                <input name="tip" inputmode="numeric" class="${inputClass}" placeholder="Tip (nghìn)">
+            </div>
+            <textarea name="notes" rows="2" class="${inputClass} resize-none" placeholder="Ghi chú"></textarea>
+            <div class="flex justify-end space-x-2">
+                <button type="button" data-action="cancel" class="px-3 py-1.5 text-sm bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition">Hủy</button>
+                <button type="submit" class="px-3 py-1.5 text-sm bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition">Lưu</button>
+            </div>
+        </form>
+    `;
+
+    const form = card.querySelector('form');
+    const lines = form.querySelector('.edit-items');
+    const addLine = (item) => {
+        lines.insertAdjacentHTML('beforeend', `
+            <div class="edit-item flex space-x-2">
+                <input data-field="service" list="editServiceOptions" class="${inputClass} flex-1" placeholder="Dịch vụ" required>
+                <input data-field="quantity" inputmode="numeric" class="${inputClass} w-14 text-center" placeholder="SL">
+                <input data-field="unitPrice" inputmode="numeric" class="${inputClass} w-24" placeholder="Giá (nghìn)" required>
+                <button type="button" data-action="remove-line" class="px-2 text-red-500 hover:bg-red-50 rounded-lg transition" title="Bỏ dịch vụ">✕</button>
+            </div>
+        `);
+        // Fill values through properties so quotes can't break the markup
+        const row = lines.lastElementChild;
+        row.querySelector('[data-field="service"]').value = item.service || '';
+        row.querySelector('[data-field="quantity"]').value = item.quantity || 1;
+        row.querySelector('[data-field="unitPrice"]').value = item.unitPrice ? Math.round(item.unitPrice / 1000) : '';
+    };
+    const items = order.items && order.items.length
+        ? order.items
+        : [{ service: order.service, quantity: 1, unitPrice: order.price }];
+    items.forEach(addLine);
+
+    form.elements.discount.value = order.discount ? Math.round(order.discount / 1000) : '';
+    form.elements.tip.value = order.tip ? Math.round(order.tip / 1000) : '';
+    form.elements.notes.value = order.notes || '';
+    form.elements.paymentMethod.value = order.paymentMethod || '';
+    form.elements.customerPhone.value = order.customerPhone || '';
+    form.elements.customerName.value = order.customerName || '';
+    form.addEventListener('input', (e) => {
+        if (e.target.inputMode === 'numeric') e.target.value = e.target.value.replace(/[^0-9]/g, '');
+    });
+    form.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'cancel') replaceOrderCard(order);
+        if (button.dataset.action === 'add-line') addLine({ quantity: 1 });
+        // Keep at least one line
+        if (button.dataset.action === 'remove-line' && lines.children.length > 1) button.closest('.edit-item').remove();
+    });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitOrderEdit(order, form);
+    });
+    lines.querySelector('[data-field="service"]').focus();
+};
+
+// Validate the inline editor and save through the update action
+async function submitOrderEdit(order, form) {
+    const notes = form.elements.notes.value.trim();
+    const customerName = form.elements.customerName.value.trim();
+    let items;
+    let discount;
+    let tip;
+    let customerPhone;
+
+    try {
+        customerPhone = ClientValidator.validatePhone(form.elements.customerPhone.value);
+        items = Array.from(form.querySelectorAll('.edit-item')).map(row => ({
+            service: ClientValidator.validateService(row.querySelector('[data-field="service"]').value),
+            quantity: ClientValidator.validateQuantity(row.querySelector('[data-field="quantity"]').value || 1),
+            unitPrice: ClientValidator.validatePrice(parseInt(row.querySelector('[data-field="unitPrice"]').value)) * 1000
+        }));
+        discount = ClientValidator.validateAmount(form.elements.discount.value, 'Giảm giá') * 1000;
+        tip = ClientValidator.validateAmount(form.elements.tip.value, 'Tip') * 1000;
+        ClientValidator.validateItems(items, discount);
+        ClientValidator.validateNotes(notes);
+    } catch (validationError) {
+        showToast(validationError.message, 'error');
+        return;
+    }
+
+    try {
+        const updated = await updateOrderRealtime(order.id, {
+            items: items,
+            discount: discount,
+            tip: tip,
+            paymentMethod: form.elements.paymentMethod.value,
+            customerPhone: customerPhone,
+            customerName: customerPhone ? customerName : '',
+            notes: notes
+        });
+        const merged = {
+            ...order,
+            service: updated.service,
+            price: updated.price,
+            notes: updated.notes,
+            items: updated.items,
+            discount: updated.discount,
+            tip: updated.tip,
+            paymentMethod: updated.paymentMethod,
+            customerPhone: updated.customerPhone,
+            customerName: updated.customerName
+        };
+        const index = APP_STATE.orders.findIndex(o => String(o.id) === String(order.id));
+        if (index >= 0) APP_STATE.orders[index] = merged;
+        replaceOrderCard(merged);
+    } catch (_) {
+        // updateOrderRealtime already told the user; keep the editor open
+    }
+}
+
 // Delete order
 // Deprecated local-only delete (not used in realtime mode)
 window._deleteOrderLocal = async function(orderId) {
@@ -524,8 +1066,33 @@ window._deleteOrderLocal = async function(orderId) {
 };
 
 // Refresh orders list from API or localStorage
+// Pages of 100 the main list follows for "Tuần này"/"Tháng này"; longer ranges belong in "Lịch sử"
+const ORDERS_MAX_PAGES = 10;
+let ordersRequestId = 0;
+
+// Every page of the range (up to ORDERS_MAX_PAGES), each under its own timeout; "Tất cả" stays one page
+async function fetchListOrders(filters, followCursor) {
+    const orders = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const response = await Promise.race([
+            window.getOrders({ ...filters, ...(cursor ? { cursor } : {}) }),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('API timeout')), 8000)
+            )
+        ]);
+        if (!response || !Array.isArray(response.orders)) return null;
+        orders.push(...response.orders.map(normalizeApiOrder));
+        cursor = response.cursor || null;
+        pages++;
+    } while (cursor && followCursor && pages < ORDERS_MAX_PAGES);
+    return { orders, truncated: !!cursor };
+}
+
 async function refreshOrders() {
     showLoading(true);
+    const requestId = ++ordersRequestId;
     
     try {
         // Try to load from API first
@@ -535,35 +1102,21 @@ async function refreshOrders() {
             
             console.log('📥 Loading orders from API...');
             
-            // Add timeout for API call
-            const todayIso = new Date().toISOString();
-            const currentUserEmail = (APP_STATE && APP_STATE.user && APP_STATE.user.email) ? APP_STATE.user.email : undefined;
-            const filters = Object.assign({ date: todayIso, limit: 100 }, currentUserEmail ? { employee: currentUserEmail } : {});
-            const response = await Promise.race([
-                window.getOrders(filters),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('API timeout')), 8000)
-                )
-            ]);
+            // Date preset from the search panel (today by default); "Tất cả" = newest page
+            const range = typeof getSearchDateRange === 'function'
+                ? getSearchDateRange()
+                : { from: toDateKey(new Date()), to: toDateKey(new Date()) };
+            const employeeFilter = getEmployeeFilter();
+            const filters = Object.assign({ limit: 100 }, range || {}, employeeFilter ? { employee: employeeFilter } : {});
+            const result = await fetchListOrders(filters, !!range);
+            // A newer refresh (preset or scope changed meanwhile) owns the list
+            if (requestId !== ordersRequestId) return;
             
-            if (response && response.orders && Array.isArray(response.orders)) {
-                // Transform API data if needed
-                const apiOrders = response.orders.map(order => ({
-                    id: order.id || generateOrderId(),
-                    timestamp: normalizeTimestamp(order.timestamp || order.date || ''),
-                    service: order.service || 'Unknown Service',
-                    price: parsePrice(order.price),
-                    notes: order.notes || '',
-                    employee: order.employee || 'unknown',
-                    employeeName: order.employeeName || ''
-                }));
-                
-                // Client-side filter: only by today to ensure visibility
-                const todayKey = toDateKey(new Date());
-                const filtered = apiOrders.filter(o => toDateKey(o.timestamp) === todayKey);
-                APP_STATE.orders = apiOrders;
+            if (result) {
+                APP_STATE.orders = result.orders;
+                APP_STATE.ordersTruncated = result.truncated;
                 // No offline storage in realtime mode
-                console.log(`✅ Loaded ${apiOrders.length} orders from API`);
+                console.log(`✅ Loaded ${result.orders.length} orders from API${result.truncated ? ' (more on the server)' : ''}`);
                 
             } else {
                 console.warn('⚠️ API response invalid');
@@ -603,16 +1156,40 @@ async function refreshOrders() {
             // removed: offline/local data toast
         }
     } finally {
-        showLoading(false);
+        if (requestId === ordersRequestId) showLoading(false);
     }
 }
 
+// Shape an order from getOrders for rendering
+function normalizeApiOrder(order) {
+    return {
+        id: order.id || generateOrderId(),
+        timestamp: normalizeTimestamp(order.timestamp || order.date || ''),
+        service: order.service || 'Unknown Service',
+        price: parsePrice(order.price),
+        notes: order.notes || '',
+        items: Array.isArray(order.items) ? order.items : [],
+        discount: parsePrice(order.discount),
+        tip: parsePrice(order.tip),
+        paymentMethod: order.paymentMethod || '',
+        customerPhone: order.customerPhone || '',
+        customerName: order.customerName || '',
+        employee: order.employee || 'unknown',
+        employeeName: order.employeeName || '',
+        // Day closed ("Chốt ca"): no edit/delete
+        locked: order.locked === true
+    };
+}
+
 // Load orders from localStorage
 // Offline storage disabled: keep orders empty if API fails
 function loadOrdersFromLocalStorage() {
     // APP_STATE.orders left unchanged on invalid response
 }
 
+// Bumped per stats call so a slow answer for another period is dropped
+let statsRequestId = 0;
+
 // Refresh statistics from API
 async function refreshStatsFromAPI() {
     try {
@@ -622,13 +1199,18 @@ async function refreshStatsFromAPI() {
             
             console.log('📈 Loading stats from API...');
             
-            const response = await window.getStats();
+            const requestId = ++statsRequestId;
+            const period = APP_STATE.statsPeriod;
+            const response = await window.getStats(getStatsPeriodParams());
+            if (requestId !== statsRequestId) return;
             
-            if (response) {
+            if (response && response.error) {
+                showToast(response.error, 'error');
+            } else if (response) {
                 // Update UI with server stats
-                elements.todayCount.textContent = response.todayCount || 0;
-                elements.todayRevenue.textContent = formatCurrency(response.todayRevenue || 0, true);
-                elements.monthRevenue.textContent = formatCurrency(response.monthRevenue || 0, true);
+                renderStatsCards(response.period || {}, response.change || {}, response.previous);
+                // Cash drawer check: by payment method for today or this month
+                renderPaymentBreakdown(period === 'today' ? response.todayByPayment : period === 'month' ? response.monthByPayment : null);
                 
                 console.log('✅ Stats updated from API:', response);
             }
@@ -640,18 +1222,128 @@ async function refreshStatsFromAPI() {
     }
 }
 
+// Card labels and the "vs previous period" line for each stats period
+const STATS_PERIOD_NAMES = {
+    today: { current: 'hôm nay', previous: 'hôm qua' },
+    week: { current: 'tuần này', previous: 'tuần trước' },
+    month: { current: 'tháng này', previous: 'tháng trước' },
+    year: { current: 'năm nay', previous: 'năm trước' },
+    custom: { current: 'trong kỳ', previous: 'kỳ trước' }
+};
+
+// Params for the stats action: the selected period, plus from/to for a custom range
+function getStatsPeriodParams() {
+    const period = APP_STATE.statsPeriod;
+    if (period === 'custom' && APP_STATE.statsRange) return { period, ...APP_STATE.statsRange };
+    return { period };
+}
+
+// "19/10" from a YYYY-MM-DD key
+function formatDayKey(key) {
+    const [, month, day] = String(key).split('-');
+    return `${day}/${month}`;
+}
+
+function selectStatsPeriod(period) {
+    const form = elements.statsCustomRange;
+    if (period === 'custom') {
+        // Custom range loads on "Xem"; start from this month so far
+        if (form && !form.elements.from.value) {
+            const now = new Date();
+            form.elements.from.value = APP_STATE.statsRange?.from || toDateKey(new Date(now.getFullYear(), now.getMonth(), 1));
+            form.elements.to.value = APP_STATE.statsRange?.to || toDateKey(now);
+        }
+        form?.classList.remove('hidden');
+        renderStatsPeriodButtons('custom');
+        return;
+    }
+    form?.classList.add('hidden');
+    APP_STATE.statsPeriod = period;
+    renderStatsPeriodButtons(period);
+    refreshStatsFromAPI();
+}
+
+function handleStatsRangeSubmit(e) {
+    e.preventDefault();
+    const from = e.target.elements.from.value;
+    const to = e.target.elements.to.value;
+    if (!from || !to || from > to) {
+        showToast('Khoảng ngày không hợp lệ', 'error');
+        return;
+    }
+    APP_STATE.statsPeriod = 'custom';
+    APP_STATE.statsRange = { from, to };
+    renderStatsPeriodButtons('custom');
+    refreshStatsFromAPI();
+}
+
+function renderStatsPeriodButtons(selected) {
+    elements.statsPeriods?.querySelectorAll('[data-period]').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.period === selected);
+    });
+    const range = APP_STATE.statsRange;
+    const name = APP_STATE.statsPeriod === 'custom' && range
+        ? `${formatDayKey(range.from)}–${formatDayKey(range.to)}`
+        : STATS_PERIOD_NAMES[APP_STATE.statsPeriod].current;
+    document.querySelectorAll('#statsBelowForm .stats-period-name').forEach(el => { el.textContent = name; });
+}
+
+// totals: { orders, revenue, average, tips?, commission? }; change: percent per field (null = nothing to compare)
+function renderStatsCards(totals, change, previous) {
+    elements.statsCount.textContent = totals.orders || 0;
+    elements.statsRevenue.textContent = formatCurrency(totals.revenue || 0, true);
+    elements.statsAverage.textContent = formatCurrency(totals.average || 0, true);
+    // Tips are not revenue: shown on their own under the revenue
+    if (elements.statsTips) {
+        elements.statsTips.textContent = `Tip: ${formatCurrency(totals.tips || 0, true)}`;
+        elements.statsTips.classList.toggle('hidden', !totals.tips);
+    }
+    // Running commission from the "Hoa hồng" rules (own orders, or the manager's scope)
+    if (elements.statsCommission) {
+        elements.statsCommission.textContent = `Hoa hồng: ${formatCurrency(totals.commission || 0, true)}`;
+        elements.statsCommission.classList.toggle('hidden', typeof totals.commission === 'undefined');
+    }
+    renderStatsChange(elements.statsCountChange, change.orders, previous, previous && previous.orders);
+    renderStatsChange(elements.statsRevenueChange, change.revenue, previous, previous && formatCurrency(previous.revenue, true));
+    renderStatsChange(elements.statsAverageChange, change.average, previous, previous && formatCurrency(previous.average, true));
+}
+
+// "▲ 12,5% so với tháng trước"; the tooltip gives the compared stretch, which stops at the same time of day
+function renderStatsChange(el, percent, previous, previousValue) {
+    if (!el) return;
+    el.classList.toggle('hidden', percent == null);
+    if (percent == null) return;
+    const arrow = percent > 0 ? '▲' : percent < 0 ? '▼' : '=';
+    el.textContent = `${arrow} ${Math.abs(percent).toLocaleString('vi-VN')}% so với ${STATS_PERIOD_NAMES[APP_STATE.statsPeriod].previous}`;
+    el.classList.toggle('text-green-600', percent > 0);
+    el.classList.toggle('text-red-600', percent < 0);
+    el.classList.toggle('text-gray-500', percent === 0);
+    const days = previous.from === previous.to ? formatDayKey(previous.from) : `${formatDayKey(previous.from)}–${formatDayKey(previous.to)}`;
+    const until = new Date(previous.until);
+    const cutOff = until.getHours() || until.getMinutes() ? ` (đến ${formatTime(until)})` : '';
+    el.title = `${days}${cutOff}: ${previousValue}`;
+}
+
 // Display all orders
 function displayOrders() {
-    // Filter today's orders using robust date key
+    // Unsynced outbox orders are shown alongside server orders
+    const allOrders = APP_STATE.orders.concat(APP_STATE.pendingOrders);
+
+    // Search panel: date preset, text, service/employee filters and sort (today, newest first by default)
     const todayKey = toDateKey(new Date());
-    const todayOrders = APP_STATE.orders.filter(order => toDateKey(order.timestamp) === todayKey);
+    const searching = typeof applyOrderSearch === 'function';
+    const matches = searching
+        ? applyOrderSearch(allOrders)
+        : allOrders.filter(order => toDateKey(order.timestamp) === todayKey);
 
-    let listToShow = todayOrders;
+    let listToShow = matches;
     let note = '';
-    if (todayOrders.length === 0 && APP_STATE.orders.length > 0) {
+    if (matches.length === 0 && allOrders.length > 0 && !(searching && isSearchActive())) {
         // Fallback: show newest recent orders when today has none
-        listToShow = [...APP_STATE.orders].sort((a,b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
-        note = '<div class="text-xs text-gray-500 mb-2">Hiển thị đơn gần đây (không có đơn hôm nay)</div>';
+        listToShow = [...allOrders].sort((a,b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
+        note = '<div class="text-xs text-gray-500 mb-2">Hiển thị đơn gần đây (không có đơn hôm nay). Xem ngày khác ở tab “Lịch sử”.</div>';
+    } else if (APP_STATE.ordersTruncated) {
+        note = `<div class="text-xs text-amber-700 mb-2">Chỉ tải ${APP_STATE.orders.length} đơn mới nhất của khoảng này; danh sách và bộ lọc chưa gồm các đơn cũ hơn. Xem đầy đủ ở tab “Lịch sử”.</div>`;
     }
 
     if (listToShow.length === 0) {
@@ -660,41 +1352,178 @@ function displayOrders() {
                 <svg class="w-16 h-16 mx-auto text-gray-300 mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
                 </svg>
-                <p>Chưa có đơn hàng để hiển thị</p>
+                <p>${searching && isSearchActive() ? 'Không có đơn phù hợp' : 'Chưa có đơn hàng để hiển thị'}</p>
             </div>
         `;
         return;
     }
 
-    // Clear list and add orders
-    elements.ordersList.innerHTML = note;
-    listToShow.forEach(order => addOrderToList(order));
+    // Already in display order: first in the list = top of the screen
+    elements.ordersList.innerHTML = note + listToShow.map(order => renderOrderCard(order)).join('');
 }
 
-// Update statistics
+// Update statistics from the loaded orders (when the stats call fails): no comparison
 function updateStatistics() {
-    const todayKey = toDateKey(new Date());
-    const current = new Date();
-    const currentMonth = current.getMonth();
-    const currentYear = current.getFullYear();
-    
-    // Calculate today's stats
-    const todayOrders = APP_STATE.orders.filter(order => toDateKey(order.timestamp) === todayKey);
-    
-    const todayRevenue = todayOrders.reduce((sum, order) => sum + order.price, 0);
-    
-    // Calculate month's stats
-    const monthOrders = APP_STATE.orders.filter(order => {
-        const d = new Date(order.timestamp);
-        return !isNaN(d.getTime()) && d.getMonth() === currentMonth && d.getFullYear() === currentYear;
+    const { from, to } = getLocalStatsRange();
+    const orders = APP_STATE.orders.filter(order => {
+        const key = toDateKey(order.timestamp);
+        return key && key >= from && key <= to;
     });
-    
-    const monthRevenue = monthOrders.reduce((sum, order) => sum + order.price, 0);
+    const revenue = orders.reduce((sum, order) => sum + order.price, 0);
     
     // Update UI
-    elements.todayCount.textContent = todayOrders.length;
-    elements.todayRevenue.textContent = formatCurrency(todayRevenue, true);
-    elements.monthRevenue.textContent = formatCurrency(monthRevenue, true);
+    renderStatsCards({ orders: orders.length, revenue, average: orders.length ? Math.round(revenue / orders.length) : 0 }, {}, null);
+}
+
+// First and last day (YYYY-MM-DD) of the selected stats period; weeks start on Monday like the backend
+function getLocalStatsRange() {
+    const now = new Date();
+    const today = toDateKey(now);
+    switch (APP_STATE.statsPeriod) {
+        case 'week':
+            return { from: toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (now.getDay() + 6) % 7)), to: today };
+        case 'month':
+            return { from: toDateKey(new Date(now.getFullYear(), now.getMonth(), 1)), to: today };
+        case 'year':
+            return { from: toDateKey(new Date(now.getFullYear(), 0, 1)), to: today };
+        case 'custom':
+            if (APP_STATE.statsRange) return APP_STATE.statsRange;
+            return { from: today, to: today };
+        default:
+            return { from: today, to: today };
+    }
+}
+
+// Roles allowed to see and change every employee's orders (mirrors Code.gs)
+function canManageOrders(role) {
+    return role === 'manager' || role === 'owner';
+}
+
+// Employee filter for order queries: own email, or the manager's chosen scope
+function getEmployeeFilter() {
+    const ownEmail = APP_STATE.user?.email;
+    if (!canManageOrders(APP_STATE.role) || APP_STATE.employeeScope === 'mine') return ownEmail;
+    return APP_STATE.employeeScope;
+}
+
+// Fetch the caller's role after login and unlock manager views
+async function loadProfile() {
+    if (typeof window.getProfile !== 'function') return;
+    try {
+        const profile = await window.getProfile();
+        if (!profile || !profile.role) return;
+        const roleChanged = profile.role !== APP_STATE.role;
+        APP_STATE.role = profile.role;
+        APP_STATE.employees = Array.isArray(profile.employees) ? profile.employees : [];
+        APP_STATE.setup = profile.setup || null;
+        renderSetupBanner();
+        if (APP_STATE.user) {
+            APP_STATE.user.role = profile.role;
+            localStorage.setItem('user', JSON.stringify(APP_STATE.user));
+        }
+        applyRoleUI();
+        if (roleChanged && !canManageOrders(APP_STATE.role) && APP_STATE.employeeScope !== 'mine') {
+            APP_STATE.employeeScope = 'mine';
+            refreshOrders();
+        }
+    } catch (err) {
+        console.warn('Profile load failed:', err?.message);
+    }
+}
+
+// Old orders and stats stay incomplete until a manager runs the setup once
+function renderSetupBanner() {
+    const banner = elements.setupBanner;
+    if (!banner) return;
+    const setup = APP_STATE.setup;
+    banner.classList.toggle('hidden', !setup);
+    if (!setup) return;
+    elements.setupBannerText.textContent = setup.migrate
+        ? 'Đơn cũ vẫn nằm ở sheet “Đơn hàng” chung nên chưa hiện trong danh sách và thống kê. Bấm để chuyển sang sheet theo tháng và tính bảng tổng hợp (có thể mất vài phút).'
+        : 'Chưa có bảng “Tổng hợp ngày” nên thống kê và báo cáo đang trống. Bấm để tính từ toàn bộ đơn hàng.';
+}
+
+async function handleSetupClick(e) {
+    if (typeof window.setupOrderSheets !== 'function') return;
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+        const res = await window.setupOrderSheets();
+        if (!res || res.success === false) throw new Error((res && res.error) || 'API error');
+        APP_STATE.setup = null;
+        renderSetupBanner();
+        showToast(res.migrated ? `Đã chuyển ${res.migrated} đơn cũ` : 'Đã tính bảng tổng hợp', 'success');
+        refreshOrders();
+    } catch (err) {
+        console.error('Order sheet setup failed:', err);
+        showToast(err.message || 'Không chuẩn bị được dữ liệu', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// Show/hide role-gated controls
+function applyRoleUI() {
+    const labels = { staff: 'Nhân viên', manager: 'Quản lý', owner: 'Chủ tiệm' };
+    if (elements.accountRole) {
+        elements.accountRole.textContent = labels[APP_STATE.role] || labels.staff;
+    }
+
+    const isManager = canManageOrders(APP_STATE.role);
+    applyViewTabs(isManager);
+
+    const scopeSelect = elements.employeeScope;
+    if (!scopeSelect) return;
+    scopeSelect.classList.toggle('hidden', !isManager);
+    if (!isManager) return;
+
+    const options = [
+        '<option value="mine">Đơn của tôi</option>',
+        '<option value="all">Tất cả nhân viên</option>'
+    ].concat(APP_STATE.employees
+        .filter(emp => emp.email !== String(APP_STATE.user?.email || '').toLowerCase())
+        .map(emp => `<option value="${emp.email}">${emp.name || emp.email}</option>`));
+    scopeSelect.innerHTML = options.join('');
+    scopeSelect.value = APP_STATE.employeeScope;
+}
+
+// Manager-only tabs; the tab bar itself only shows when there is more than one tab
+function applyViewTabs(isManager) {
+    if (!elements.viewTabs) return;
+    const tabs = elements.viewTabs.querySelectorAll('[data-view-target]');
+    let visible = 0;
+    tabs.forEach(tab => {
+        const allowed = tab.dataset.requiresRole !== 'manager' || isManager;
+        tab.classList.toggle('hidden', !allowed);
+        if (allowed) visible++;
+    });
+    elements.viewTabs.classList.toggle('hidden', visible < 2);
+    // Lost access to the current view (e.g. role changed): go back to orders
+    const current = elements.viewTabs.querySelector(`[data-view-target="${APP_STATE.view}"]`);
+    if (!current || current.classList.contains('hidden')) showView('orders');
+}
+
+// Data to (re)load when a view opens; each lives in its own module
+const VIEW_LOADERS = {
+    schedule: 'loadSchedule',
+    queue: 'loadQueue',
+    history: 'loadHistory',
+    reports: 'loadReports',
+    closing: 'loadClosing',
+    dashboard: 'loadDashboard'
+};
+
+// Switch between the orders screen and the other views ([data-view] sections)
+function showView(name) {
+    APP_STATE.view = name;
+    document.querySelectorAll('[data-view]').forEach(section => {
+        section.classList.toggle('hidden', section.dataset.view !== name);
+    });
+    elements.viewTabs?.querySelectorAll('[data-view-target]').forEach(tab => {
+        tab.classList.toggle('selected', tab.dataset.viewTarget === name);
+    });
+    const loader = VIEW_LOADERS[name] && window[VIEW_LOADERS[name]];
+    if (typeof loader === 'function') loader();
 }
 
 // Simple auth initialization
@@ -713,7 +1542,10 @@ function initializeAuth() {
             onLoginSuccess: (user) => {
                 console.log('🎉 Login success:', user.email);
                 APP_STATE.user = user;
+                // Last known role until the server confirms it
+                APP_STATE.role = user.role || 'staff';
                 showMainApp();
+                loadProfile();
                 showToast(`Xin chào ${user.name || user.email}!`, 'success');
             },
             onLoginError: (error) => {
@@ -724,6 +1556,10 @@ function initializeAuth() {
             onLogout: () => {
                 console.log('💪 User logged out');
                 APP_STATE.user = null;
+                APP_STATE.role = 'staff';
+                APP_STATE.employees = [];
+                APP_STATE.employeeScope = 'mine';
+                showView('orders');
                 showLoginScreen();
                 showToast('Đã đăng xuất', 'info');
             }
@@ -774,6 +1610,7 @@ function showMainApp() {
         elements.userEmail.textContent = APP_STATE.user.email;
         if (elements.accountEmail) elements.accountEmail.textContent = APP_STATE.user.email;
     }
+    applyRoleUI();
     
     // Show app status to user
     const hasRealAPI = APP_CONFIG && APP_CONFIG.API_BASE_URL && 
@@ -786,6 +1623,9 @@ function showMainApp() {
         // removed: offline mode toast
     }
     
+    loadServices();
+    // Show unsynced outbox orders right away, then try to flush them
+    loadPendingOrders().then(requestOutboxSync);
     refreshOrders();
     
     // Build filter options after orders are loaded
@@ -843,6 +1683,7 @@ function handleOnline() {
     APP_STATE.isOnline = true;
     showToast('Đã kết nối mạng', 'success');
     // Sync pending data if any
+    requestOutboxSync();
 }
 
 // Handle offline status
@@ -861,10 +1702,46 @@ window.setQuickPrice = function(priceInThousands) {
 
 
 // Utility Functions
+
+// Payment method keys used by the API (Code.gs PAYMENT_METHODS)
+const PAYMENT_METHOD_LABELS = {
+    cash: '💵 Tiền mặt',
+    transfer: '🏦 Chuyển khoản',
+    card: '💳 Thẻ'
+};
+
+// "💵 1.2Tr · 🏦 500k" line under the stats cards; tips are included since they sit in the same drawer/account
+function renderPaymentBreakdown(byPayment) {
+    const el = elements.paymentBreakdown;
+    if (!el) return;
+    const parts = byPayment ? Object.keys(PAYMENT_METHOD_LABELS)
+        .filter(key => byPayment[key] && byPayment[key].count > 0)
+        .map(key => `${PAYMENT_METHOD_LABELS[key]}: ${formatCurrency(byPayment[key].revenue + byPayment[key].tips, true)}`) : [];
+    el.textContent = parts.join(' · ');
+    el.classList.toggle('hidden', parts.length === 0);
+}
+
+// Sum of quantity × unit price (VND)
+function orderSubtotal(items) {
+    return (items || []).reduce((sum, item) => sum + (item.quantity || 1) * (item.unitPrice || 0), 0);
+}
+
+// "Cắt tóc, Nhuộm x2" — same summary the backend stores in the Dịch vụ column
+function summarizeOrderItems(items) {
+    return (items || []).map(item => item.quantity > 1 ? `${item.service} x${item.quantity}` : item.service).join(', ');
+}
+
 function generateOrderId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// Free text (service, names, notes, server messages) before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
 function formatTime(timestamp) {
     const date = new Date(timestamp);
     if (isNaN(date.getTime())) return '--:--';
@@ -886,50 +1763,47 @@ function formatCurrency(amount, short = false) {
 
 // Normalize various timestamp formats to local ISO-like string (YYYY-MM-DDTHH:mm:ss, no Z)
 function normalizeTimestamp(input) {
-    if (!input) return formatLocalISO(new Date());
-    if (input instanceof Date) return formatLocalISO(new Date(input.getTime()));
-    if (typeof input === 'number') return formatLocalISO(new Date(input));
+    return formatLocalISO(parseTimestamp(input) || new Date());
+}
+
+// Parse the timestamp formats normalizeTimestamp accepts; null when blank or not understood
+function parseTimestamp(input) {
+    if (!input) return null;
+    if (input instanceof Date) return isNaN(input.getTime()) ? null : new Date(input.getTime());
+    if (typeof input === 'number') return new Date(input);
 
     const s = String(input).trim();
     // Already ISO-like
     if (/\d{4}-\d{2}-\d{2}T/.test(s)) {
         const d = new Date(s);
-        return isNaN(d.getTime()) ? formatLocalISO(new Date()) : formatLocalISO(d);
+        return isNaN(d.getTime()) ? null : d;
     }
     // Match dd/MM/yyyy or dd-MM-yyyy with optional time HH:mm[:ss]
     const m = s.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})(?:[\s,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
     if (m) {
-        let [, dd, MM, yyyy, hh, mm, ss] = m;
-        if (yyyy.length === 2) yyyy = '20' + yyyy;
-        const d = new Date(
-            parseInt(yyyy, 10),
-            parseInt(MM, 10) - 1,
-            parseInt(dd, 10),
-            parseInt(hh || '0', 10),
-            parseInt(mm || '0', 10),
-            parseInt(ss || '0', 10)
-        );
-        return isNaN(d.getTime()) ? formatLocalISO(new Date()) : formatLocalISO(d);
+        const [, dd, MM, yyyy, hh, mm, ss] = m;
+        return buildLocalDate(yyyy, MM, dd, hh, mm, ss);
     }
     // Match time-first formats: HH:mm[:ss] dd/MM/yyyy or dd-MM-yyyy
     const t = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?[\s,]+(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})$/);
     if (t) {
-        let [, hh, mm, ss, dd, MM, yyyy] = t;
-        if (yyyy.length === 2) yyyy = '20' + yyyy;
-        const d = new Date(
-            parseInt(yyyy, 10),
-            parseInt(MM, 10) - 1,
-            parseInt(dd, 10),
-            parseInt(hh || '0', 10),
-            parseInt(mm || '0', 10),
-            parseInt(ss || '0', 10)
-        );
-        return isNaN(d.getTime()) ? formatLocalISO(new Date()) : formatLocalISO(d);
+        const [, hh, mm, ss, dd, MM, yyyy] = t;
+        return buildLocalDate(yyyy, MM, dd, hh, mm, ss);
     }
 
     // Fallback: let Date try to parse
     const d2 = new Date(s);
-    return isNaN(d2.getTime()) ? formatLocalISO(new Date()) : formatLocalISO(d2);
+    return isNaN(d2.getTime()) ? null : d2;
+}
+
+// Local date from matched text parts; null for impossible dates such as 31/02
+function buildLocalDate(yyyy, MM, dd, hh, mm, ss) {
+    const year = parseInt(yyyy.length === 2 ? '20' + yyyy : yyyy, 10);
+    const month = parseInt(MM, 10) - 1;
+    const day = parseInt(dd, 10);
+    const d = new Date(year, month, day, parseInt(hh || '0', 10), parseInt(mm || '0', 10), parseInt(ss || '0', 10));
+    if (isNaN(d.getTime()) || d.getFullYear() !== year || d.getMonth() !== month || d.getDate() !== day) return null;
+    return d;
 }
 
 // Build a YYYY-MM-DD key in local time for day comparisons
@@ -1047,20 +1921,35 @@ function showToast(message, type = 'info') {
 })();
 
 // Force emoji icons for toast (final override)
+// options: { actionLabel, onAction, duration } adds a button (e.g. "Hoàn tác") to the toast
 (function forceEmojiToast(){
     try {
         const previous = window.showToast;
-        window.showToast = function(message, type = 'info') {
+        let hideTimer = null;
+        window.showToast = function(message, type = 'info', options = {}) {
             const icons = { success: '✅', error: '❌', warning: '⚠️', info: 'ℹ️' };
             try {
+                const hide = () => {
+                    clearTimeout(hideTimer);
+                    elements.toast.classList.remove('toast-show');
+                    setTimeout(() => { elements.toast.classList.add('hidden'); }, 320);
+                };
                 elements.toastIcon.textContent = icons[type] || '';
                 elements.toastMessage.textContent = message;
+                if (elements.toastAction) {
+                    const hasAction = !!(options && options.actionLabel);
+                    elements.toastAction.textContent = hasAction ? options.actionLabel : '';
+                    elements.toastAction.classList.toggle('hidden', !hasAction);
+                    elements.toastAction.onclick = hasAction ? function() {
+                        hide();
+                        if (typeof options.onAction === 'function') options.onAction();
+                    } : null;
+                }
                 elements.toast.classList.remove('hidden');
                 elements.toast.classList.add('toast-show');
-                setTimeout(() => {
-                    elements.toast.classList.remove('toast-show');
-                    setTimeout(() => { elements.toast.classList.add('hidden'); }, 320);
-                }, 3000);
+                // A newer toast restarts the timer instead of being hidden by the older one
+                clearTimeout(hideTimer);
+                hideTimer = setTimeout(hide, (options && options.duration) || 3000);
             } catch (e) {
                 if (typeof previous === 'function') return previous(message, type);
             }
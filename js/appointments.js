@@ -0,0 +1,332 @@
+'use strict';
+
+// Appointments: day/week schedule, booking/moving/cancelling, and turning a booking into an order
+const SCHEDULE_STATE = {
+    mode: 'day',
+    // Any day inside the shown day/week
+    date: new Date(),
+    stylist: '',
+    appointments: [],
+    stylists: [],
+    loading: false
+};
+
+const APPOINTMENT_STATUS_LABELS = {
+    booked: 'Đã đặt',
+    cancelled: 'Đã hủy',
+    done: 'Đã làm'
+};
+
+// { from, to } as YYYY-MM-DD for the shown day, or Monday-Sunday of the shown week
+function scheduleRange() {
+    const start = new Date(SCHEDULE_STATE.date);
+    start.setHours(0, 0, 0, 0);
+    if (SCHEDULE_STATE.mode === 'day') return { from: toDateKey(start), to: toDateKey(start), start };
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    const end = new Date(start);
+    end.setDate(end.getDate() + 6);
+    return { from: toDateKey(start), to: toDateKey(end), start };
+}
+
+function formatScheduleDay(date) {
+    return date.toLocaleDateString('vi-VN', { weekday: 'long', day: '2-digit', month: '2-digit' });
+}
+
+function stylistName(email) {
+    const match = SCHEDULE_STATE.stylists.find(s => s.email === email);
+    return (match && match.name) || email;
+}
+
+// Fetch the shown range and render it
+window.loadSchedule = async function() {
+    if (SCHEDULE_STATE.loading || typeof window.getAppointments !== 'function') return;
+    const list = document.getElementById('scheduleList');
+    const range = scheduleRange();
+    SCHEDULE_STATE.loading = true;
+    renderScheduleLabel();
+    try {
+        const res = await window.getAppointments({
+            from: range.from,
+            to: range.to,
+            ...(SCHEDULE_STATE.stylist ? { stylist: SCHEDULE_STATE.stylist } : {})
+        });
+        if (!res || res.error || res.success === false) {
+            throw new Error((res && res.error) || 'API error');
+        }
+        SCHEDULE_STATE.appointments = res.appointments || [];
+        SCHEDULE_STATE.stylists = res.stylists || SCHEDULE_STATE.stylists;
+        renderStylistOptions();
+        renderSchedule();
+    } catch (err) {
+        console.error('Failed to load appointments:', err);
+        if (list) list.innerHTML = '<p class="text-center py-8 text-gray-500">Không tải được lịch hẹn</p>';
+        if (typeof window.showToast === 'function') showToast('Không tải được lịch hẹn', 'error');
+    } finally {
+        SCHEDULE_STATE.loading = false;
+    }
+};
+
+function renderScheduleLabel() {
+    const label = document.getElementById('scheduleDateLabel');
+    const range = scheduleRange();
+    if (label) {
+        label.textContent = SCHEDULE_STATE.mode === 'day'
+            ? formatScheduleDay(range.start)
+            : `${new Date(`${range.from}T00:00:00`).toLocaleDateString('vi-VN')} – ${new Date(`${range.to}T00:00:00`).toLocaleDateString('vi-VN')}`;
+    }
+    document.querySelectorAll('#scheduleModes [data-mode]').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.mode === SCHEDULE_STATE.mode);
+    });
+}
+
+// Stylist filter + the booking form's stylist picker
+function renderStylistOptions() {
+    const options = SCHEDULE_STATE.stylists
+        .map(s => `<option value="${s.email}">${s.name || s.email}</option>`)
+        .join('');
+    const filter = document.getElementById('scheduleStylist');
+    if (filter) {
+        filter.innerHTML = '<option value="">Tất cả thợ</option>' + options;
+        filter.value = SCHEDULE_STATE.stylist;
+    }
+    const form = document.getElementById('appointmentForm');
+    if (form) form.elements.stylist.innerHTML = options;
+}
+
+function renderAppointmentRow(appt, showStylist) {
+    const booked = appt.status === 'booked';
+    const customer = appt.customerName || appt.customerPhone;
+    return `
+        <div class="flex items-start justify-between py-2 ${booked ? '' : 'opacity-60'}">
+            <div class="min-w-0">
+                <div class="text-sm font-medium text-gray-800">
+                    ${formatTime(appt.start)}–${formatTime(appt.end)} · ${appt.service}
+                </div>
+                <div class="text-xs text-gray-500">
+                    ${[showStylist ? `✂️ ${appt.stylistName || stylistName(appt.stylist)}` : '', customer ? `🙋 ${customer}` : '', appt.notes]
+                        .filter(Boolean).join(' · ')}
+                </div>
+            </div>
+            <div class="flex items-center space-x-1 shrink-0">
+                ${booked ? `
+                <button type="button" data-action="order" data-id="${appt.id}" class="px-2 py-1 text-xs bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition">Tạo đơn</button>
+                <button type="button" data-action="move" data-id="${appt.id}" class="px-2 py-1 text-xs text-purple-600 hover:bg-purple-50 rounded-lg transition">Dời</button>
+                <button type="button" data-action="cancel" data-id="${appt.id}" class="px-2 py-1 text-xs text-red-500 hover:bg-red-50 rounded-lg transition">Hủy</button>
+                ` : `<span class="text-xs text-gray-500">${APPOINTMENT_STATUS_LABELS[appt.status] || ''}</span>`}
+            </div>
+        </div>`;
+}
+
+function renderSchedule() {
+    const list = document.getElementById('scheduleList');
+    if (!list) return;
+    renderScheduleLabel();
+    const appointments = SCHEDULE_STATE.appointments;
+
+    if (SCHEDULE_STATE.mode === 'day') {
+        if (appointments.length === 0) {
+            list.innerHTML = '<p class="text-center py-8 text-gray-500">Chưa có lịch hẹn</p>';
+            return;
+        }
+        // One block per stylist, in the order of the "Nhân viên" sheet
+        const byStylist = {};
+        appointments.forEach(appt => {
+            (byStylist[appt.stylist] = byStylist[appt.stylist] || []).push(appt);
+        });
+        const order = SCHEDULE_STATE.stylists.map(s => s.email).filter(email => byStylist[email])
+            .concat(Object.keys(byStylist).filter(email => !SCHEDULE_STATE.stylists.some(s => s.email === email)));
+        list.innerHTML = order.map(email => `
+            <div class="mb-4">
+                <h3 class="text-sm font-semibold text-gray-700 mb-1">✂️ ${stylistName(email)}</h3>
+                <div class="divide-y divide-gray-100">
+                    ${byStylist[email].map(appt => renderAppointmentRow(appt, false)).join('')}
+                </div>
+            </div>
+        `).join('');
+        return;
+    }
+
+    // Week: one block per day, Monday to Sunday; tapping a day opens it
+    const start = scheduleRange().start;
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+        const day = new Date(start);
+        day.setDate(start.getDate() + i);
+        const key = toDateKey(day);
+        days.push({ day, key, items: appointments.filter(appt => toDateKey(appt.start) === key) });
+    }
+    list.innerHTML = days.map(({ day, key, items }) => `
+        <div class="mb-3">
+            <button type="button" data-action="open-day" data-day="${key}" class="w-full flex justify-between text-sm font-semibold text-gray-700 hover:text-purple-600">
+                <span>${formatScheduleDay(day)}</span>
+                <span class="text-xs font-normal text-gray-500">${items.length ? `${items.length} hẹn` : 'Trống'}</span>
+            </button>
+            <div class="divide-y divide-gray-100">
+                ${items.map(appt => renderAppointmentRow(appt, true)).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function findAppointment(id) {
+    return SCHEDULE_STATE.appointments.find(appt => String(appt.id) === String(id));
+}
+
+// Booking form: empty for a new booking, or the time/length/stylist of appt when moving it
+function openAppointmentForm(appt) {
+    const modal = document.getElementById('appointmentModal');
+    const form = document.getElementById('appointmentForm');
+    if (!modal || !form) return;
+    form.reset();
+    renderStylistOptions();
+    const services = (typeof APP_STATE !== 'undefined' && APP_STATE.services) || [];
+    document.getElementById('appointmentServiceOptions').innerHTML = services
+        .map(svc => `<option value="${svc.name}"></option>`).join('');
+
+    const moving = !!appt;
+    document.getElementById('appointmentModalTitle').textContent = moving ? `Dời lịch: ${appt.service}` : 'Đặt lịch hẹn';
+    form.querySelector('[data-booking-only]').classList.toggle('hidden', moving);
+    form.elements.service.required = !moving;
+    form.elements.id.value = moving ? appt.id : '';
+
+    let start;
+    if (moving) {
+        start = new Date(appt.start);
+    } else {
+        // Next half hour on the shown day
+        start = new Date(SCHEDULE_STATE.date);
+        const now = new Date();
+        start.setHours(now.getHours(), now.getMinutes() < 30 ? 30 : 60, 0, 0);
+    }
+    form.elements.date.value = toDateKey(start);
+    form.elements.time.value = `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`;
+    if (moving) form.elements.duration.value = String(appt.duration);
+    const me = (typeof APP_STATE !== 'undefined' && APP_STATE.user && APP_STATE.user.email) || '';
+    form.elements.stylist.value = moving ? appt.stylist : (SCHEDULE_STATE.stylist || String(me).toLowerCase());
+    modal.classList.remove('hidden');
+}
+
+function hideAppointmentForm() {
+    document.getElementById('appointmentModal')?.classList.add('hidden');
+}
+
+async function submitAppointmentForm(form) {
+    const start = new Date(`${form.elements.date.value}T${form.elements.time.value}`);
+    if (isNaN(start.getTime())) {
+        showToast('Vui lòng chọn ngày giờ hẹn', 'error');
+        return;
+    }
+    const id = form.elements.id.value;
+    const slot = {
+        start: start.toISOString(),
+        duration: form.elements.duration.value,
+        stylist: form.elements.stylist.value
+    };
+
+    let payload;
+    try {
+        payload = id ? slot : {
+            ...slot,
+            service: ClientValidator.validateService(form.elements.service.value),
+            customerPhone: ClientValidator.validatePhone(form.elements.customerPhone.value),
+            customerName: form.elements.customerName.value.trim(),
+            notes: ClientValidator.validateNotes(form.elements.notes.value)
+        };
+    } catch (validationError) {
+        showToast(validationError.message, 'error');
+        return;
+    }
+
+    showLoading(true);
+    try {
+        const res = id ? await window.moveAppointment(id, payload) : await window.createAppointment(payload);
+        // Overlaps come back as errors with the clashing slot in the message
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        showToast(id ? 'Đã dời lịch hẹn' : 'Đã đặt lịch hẹn', 'success');
+        hideAppointmentForm();
+        SCHEDULE_STATE.date = start;
+        await window.loadSchedule();
+    } catch (err) {
+        showToast(err.message || 'Không thể lưu lịch hẹn', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function onCancelAppointment(appt) {
+    if (!confirm(`Hủy lịch hẹn ${formatTime(appt.start)} · ${appt.service}?`)) return;
+    showLoading(true);
+    try {
+        const res = await window.cancelAppointment(appt.id);
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        showToast('Đã hủy lịch hẹn', 'success');
+        await window.loadSchedule();
+    } catch (err) {
+        showToast(err.message || 'Không thể hủy lịch hẹn', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Switch to the orders screen with the booking's service and customer filled in
+window.prefillOrderFromAppointment = function(appt) {
+    if (!appt) return;
+    prefillOrderForm(appt, { appointmentId: appt.id }, `📅 Từ lịch hẹn ${formatTime(appt.start)} · ${appt.service}`);
+
+    // Orders belong to whoever saves them
+    const me = String((APP_STATE.user && APP_STATE.user.email) || '').toLowerCase();
+    if (appt.stylist && appt.stylist !== me) {
+        showToast(`Lịch hẹn của ${appt.stylistName || appt.stylist}: đơn sẽ ghi cho bạn`, 'warning');
+    }
+};
+
+function shiftSchedule(direction) {
+    const date = new Date(SCHEDULE_STATE.date);
+    date.setDate(date.getDate() + direction * (SCHEDULE_STATE.mode === 'week' ? 7 : 1));
+    SCHEDULE_STATE.date = date;
+    window.loadSchedule();
+}
+
+document.getElementById('scheduleModes')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-mode]');
+    if (!btn || btn.dataset.mode === SCHEDULE_STATE.mode) return;
+    SCHEDULE_STATE.mode = btn.dataset.mode;
+    window.loadSchedule();
+});
+document.getElementById('schedulePrev')?.addEventListener('click', () => shiftSchedule(-1));
+document.getElementById('scheduleNext')?.addEventListener('click', () => shiftSchedule(1));
+document.getElementById('scheduleToday')?.addEventListener('click', () => {
+    SCHEDULE_STATE.date = new Date();
+    window.loadSchedule();
+});
+document.getElementById('scheduleStylist')?.addEventListener('change', (e) => {
+    SCHEDULE_STATE.stylist = e.target.value;
+    window.loadSchedule();
+});
+document.getElementById('scheduleRefreshBtn')?.addEventListener('click', () => window.loadSchedule());
+document.getElementById('scheduleAddBtn')?.addEventListener('click', () => openAppointmentForm(null));
+document.getElementById('scheduleList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'open-day') {
+        SCHEDULE_STATE.mode = 'day';
+        SCHEDULE_STATE.date = new Date(`${btn.dataset.day}T00:00:00`);
+        window.loadSchedule();
+        return;
+    }
+    const appt = findAppointment(btn.dataset.id);
+    if (!appt) return;
+    if (btn.dataset.action === 'order') window.prefillOrderFromAppointment(appt);
+    if (btn.dataset.action === 'move') openAppointmentForm(appt);
+    if (btn.dataset.action === 'cancel') onCancelAppointment(appt);
+});
+document.getElementById('appointmentForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitAppointmentForm(e.target);
+});
+document.getElementById('appointmentModalClose')?.addEventListener('click', hideAppointmentForm);
+document.getElementById('appointmentModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'appointmentModal') hideAppointmentForm();
+});
+
+console.log('Appointments module loaded');
@@ -0,0 +1,174 @@
+// Minimal canvas charts for the reports screen: line, vertical bars and donut
+// Drawn by hand (no chart library) so reports work without a CDN, like the QR and XLSX code
+'use strict';
+
+const Charts = (function() {
+    const FONT = '11px system-ui, -apple-system, "Segoe UI", sans-serif';
+    const GRID_COLOR = '#e5e7eb';
+    const TEXT_COLOR = '#6b7280';
+    const DEFAULT_COLOR = '#9333ea'; // Tailwind purple-600, the app's accent
+    const PALETTE = ['#9333ea', '#ec4899', '#f59e0b', '#10b981', '#3b82f6', '#ef4444', '#14b8a6', '#a855f7', '#84cc16', '#64748b'];
+
+    // Backing store sized for the device pixel ratio; drawing code then works in CSS pixels
+    function setup(canvas, height) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || (canvas.parentElement && canvas.parentElement.clientWidth) || 300;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.height = `${height}px`;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = FONT;
+        return { ctx, width, height };
+    }
+
+    // Axis top rounded up to 1, 2, 2.5 or 5 × 10^n so gridline labels stay readable
+    function niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(m => m * magnitude >= value);
+        return step * magnitude;
+    }
+
+    // Y gridlines and labels (0 to max in 4 steps); returns the plot area
+    function drawAxes(ctx, width, height, max, formatValue) {
+        const steps = 4;
+        const labels = [];
+        for (let i = 0; i <= steps; i++) labels.push(formatValue(max * i / steps));
+        const left = Math.ceil(Math.max(...labels.map(label => ctx.measureText(label).width))) + 8;
+        const area = { left, top: 8, width: width - left - 8, height: height - 8 - 20 };
+
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        labels.forEach((label, i) => {
+            const y = Math.round(area.top + area.height * (1 - i / steps)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.left + area.width, y);
+            ctx.stroke();
+            ctx.fillText(label, area.left - 6, y);
+        });
+        return area;
+    }
+
+    // X labels centred under each slot, thinned out so they don't overlap
+    function drawXLabels(ctx, area, labels, xOf) {
+        const widest = Math.max(...labels.map(label => ctx.measureText(String(label)).width), 1);
+        const every = Math.max(1, Math.ceil(labels.length / Math.max(1, Math.floor(area.width / (widest + 8)))));
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        labels.forEach((label, i) => {
+            if (i % every === 0) ctx.fillText(String(label), xOf(i), area.top + area.height + 6);
+        });
+    }
+
+    /** Line with a shaded area. options: { height, color, formatValue } */
+    function line(canvas, values, labels, options = {}) {
+        const { ctx, width, height } = setup(canvas, options.height || 200);
+        const formatValue = options.formatValue || String;
+        const color = options.color || DEFAULT_COLOR;
+        const max = niceMax(Math.max(...values, 0));
+        const area = drawAxes(ctx, width, height, max, formatValue);
+        const xOf = i => area.left + (values.length > 1 ? area.width * i / (values.length - 1) : area.width / 2);
+        const yOf = v => area.top + area.height * (1 - v / max);
+
+        ctx.beginPath();
+        values.forEach((v, i) => (i ? ctx.lineTo(xOf(i), yOf(v)) : ctx.moveTo(xOf(i), yOf(v))));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+        ctx.lineTo(xOf(values.length - 1), area.top + area.height);
+        ctx.lineTo(xOf(0), area.top + area.height);
+        ctx.closePath();
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        values.forEach((v, i) => {
+            ctx.beginPath();
+            ctx.arc(xOf(i), yOf(v), v ? 2.5 : 1.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        drawXLabels(ctx, area, labels, xOf);
+    }
+
+    /** Vertical bars, one per label. options: { height, color, formatValue } */
+    function bars(canvas, values, labels, options = {}) {
+        const { ctx, width, height } = setup(canvas, options.height || 180);
+        const formatValue = options.formatValue || String;
+        const max = niceMax(Math.max(...values, 0));
+        const area = drawAxes(ctx, width, height, max, formatValue);
+        const slot = area.width / Math.max(values.length, 1);
+        const barWidth = Math.max(2, slot * 0.7);
+
+        ctx.fillStyle = options.color || DEFAULT_COLOR;
+        values.forEach((v, i) => {
+            const barHeight = area.height * v / max;
+            ctx.fillRect(area.left + slot * i + (slot - barWidth) / 2, area.top + area.height - barHeight, barWidth, barHeight);
+        });
+        drawXLabels(ctx, area, labels, i => area.left + slot * i + slot / 2);
+    }
+
+    /**
+     * Donut of slices [{ label, value }] with the total in the middle.
+     * Returns the colour of each slice (same order) for the caller's legend.
+     * options: { height, centerLabel }
+     */
+    function donut(canvas, slices, options = {}) {
+        const { ctx, width, height } = setup(canvas, options.height || 200);
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        const colors = slices.map((slice, i) => PALETTE[i % PALETTE.length]);
+        const cx = width / 2;
+        const cy = height / 2;
+        const radius = Math.min(width, height) / 2 - 4;
+
+        if (total > 0) {
+            let angle = -Math.PI / 2;
+            slices.forEach((slice, i) => {
+                const sweep = Math.PI * 2 * slice.value / total;
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.arc(cx, cy, radius, angle, angle + sweep);
+                ctx.closePath();
+                ctx.fillStyle = colors[i];
+                ctx.fill();
+                angle += sweep;
+            });
+        } else {
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+            ctx.fillStyle = GRID_COLOR;
+            ctx.fill();
+        }
+        // Punch the hole
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.6, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+
+        if (options.centerLabel) {
+            ctx.fillStyle = '#1f2937';
+            ctx.font = `600 14px ${FONT.split('px ')[1]}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(options.centerLabel, cx, cy);
+        }
+        return colors;
+    }
+
+    return {
+        line,
+        bars,
+        donut,
+        niceMax
+    };
+})();
+
+window.Charts = Charts;
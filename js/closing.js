@@ -0,0 +1,240 @@
+'use strict';
+
+// Closing ("Chốt ca", managers): the day's totals by employee and payment method, and the cash drawer
+// counted by denomination against the expected cash. Saving it ("closeDay") locks the day's orders.
+const CLOSING_STATE = {
+    date: '',
+    data: null,
+    // Counts typed so far per day ({ '2026-10-19': { 500000: 2, ... } }), kept across reloads of the report
+    counts: {},
+    openingCash: {},
+    // Bumped per fetch so a slow response for another day is dropped
+    requestId: 0
+};
+
+// Opening the tab: today unless another day was picked
+window.loadClosing = function() {
+    fetchClosing(CLOSING_STATE.date || toDateKey(new Date()));
+};
+
+async function fetchClosing(date) {
+    if (typeof window.getClosingReport !== 'function') return;
+    const requestId = ++CLOSING_STATE.requestId;
+    CLOSING_STATE.date = date;
+    const input = document.getElementById('closingDate');
+    if (input) {
+        input.value = date;
+        input.max = toDateKey(new Date());
+    }
+    const status = document.getElementById('closingStatus');
+    if (status) status.textContent = 'Đang tải...';
+    try {
+        const res = await window.getClosingReport({ date });
+        if (requestId !== CLOSING_STATE.requestId) return;
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        CLOSING_STATE.data = res;
+        if (status) status.textContent = '';
+        renderClosing();
+    } catch (err) {
+        if (requestId !== CLOSING_STATE.requestId) return;
+        console.error('Failed to load closing report:', err);
+        if (status) status.textContent = '';
+        showToast(err.message || 'Không tải được số liệu chốt ca', 'error');
+    }
+}
+
+function renderClosing() {
+    const data = CLOSING_STATE.data;
+    if (!data) return;
+    const closing = data.closing;
+
+    const banner = document.getElementById('closingClosed');
+    if (banner) {
+        banner.classList.toggle('hidden', !closing);
+        if (closing) {
+            banner.textContent = `🔒 Đã chốt lúc ${formatTime(closing.closedAt)} bởi ${closing.closedBy}. Đơn của ngày này không sửa, xóa hay thêm được nữa.`;
+        }
+    }
+
+    const summary = document.getElementById('closingSummary');
+    if (summary) {
+        summary.innerHTML = [
+            ['Số đơn', data.orders, 'text-blue-600'],
+            ['Doanh thu', formatCurrency(data.revenue), 'text-green-600'],
+            ['Tip', formatCurrency(data.tips), 'text-amber-600']
+        ].map(([label, value, color]) => `
+            <div class="bg-gray-50 rounded-lg p-3 text-center">
+                <div class="text-xs text-gray-500">${label}</div>
+                <div class="text-lg font-bold ${color}">${value}</div>
+            </div>`).join('');
+    }
+
+    // Revenue + tips per method: what should be in the drawer, the bank account and the card terminal
+    const payments = document.getElementById('closingPayments');
+    if (payments) {
+        const methods = Object.keys(PAYMENT_METHOD_LABELS).concat(data.byPayment.unknown.count ? ['unknown'] : []);
+        payments.innerHTML = methods.map(key => {
+            const bucket = data.byPayment[key];
+            return `
+            <div class="bg-gray-50 rounded-lg p-3">
+                <div class="text-xs text-gray-500">${PAYMENT_METHOD_LABELS[key] || '❔ Chưa ghi'} · ${bucket.count} đơn</div>
+                <div class="font-semibold text-gray-800">${formatCurrency(bucket.revenue + bucket.tips)}</div>
+                ${bucket.tips ? `<div class="text-xs text-gray-500">gồm tip ${formatCurrency(bucket.tips)}</div>` : ''}
+            </div>`;
+        }).join('');
+    }
+
+    renderClosingEmployees(closing ? closing.employees : data.employees);
+    renderClosingCashForm();
+}
+
+function renderClosingEmployees(employees) {
+    const box = document.getElementById('closingEmployees');
+    if (!box) return;
+    if (!employees.length) {
+        box.innerHTML = '<p class="text-center py-4 text-gray-500">Chưa có đơn nào trong ngày</p>';
+        return;
+    }
+    const methodTotal = (emp, key) => emp.byPayment[key].revenue + emp.byPayment[key].tips;
+    box.innerHTML = `
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-gray-500 border-b">
+                    <th class="py-2 font-medium">Nhân viên</th>
+                    <th class="py-2 font-medium text-right">Đơn</th>
+                    <th class="py-2 font-medium text-right">Doanh thu</th>
+                    <th class="py-2 font-medium text-right">Tip</th>
+                    <th class="py-2 font-medium text-right">Tiền mặt</th>
+                    <th class="py-2 font-medium text-right">Chuyển khoản</th>
+                    <th class="py-2 font-medium text-right">Thẻ</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${employees.map(emp => `
+                <tr class="border-b border-gray-100">
+                    <td class="py-2 text-gray-800">${emp.name || emp.email}</td>
+                    <td class="py-2 text-right">${emp.orders}</td>
+                    <td class="py-2 text-right text-green-600 font-semibold">${formatCurrency(emp.revenue)}</td>
+                    <td class="py-2 text-right text-gray-600">${formatCurrency(emp.tips)}</td>
+                    <td class="py-2 text-right text-gray-600">${formatCurrency(methodTotal(emp, 'cash'))}</td>
+                    <td class="py-2 text-right text-gray-600">${formatCurrency(methodTotal(emp, 'transfer'))}</td>
+                    <td class="py-2 text-right text-gray-600">${formatCurrency(methodTotal(emp, 'card'))}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// One row per banknote; a closed day shows what was counted, read-only
+function renderClosingCashForm() {
+    const data = CLOSING_STATE.data;
+    const form = document.getElementById('closingForm');
+    const list = document.getElementById('closingDenominations');
+    if (!form || !list) return;
+    const closing = data.closing;
+    const counts = closing ? closing.denominations : (CLOSING_STATE.counts[data.date] || {});
+
+    list.innerHTML = data.denominations.map(value => `
+        <div class="flex items-center gap-2 text-sm">
+            <span class="w-24 text-right font-medium text-gray-700">${formatCurrency(value)}</span>
+            <span class="text-gray-400">×</span>
+            <input type="number" min="0" step="1" inputmode="numeric" data-denomination="${value}" value="${counts[value] || ''}"
+                class="w-20 px-2 py-1 border border-gray-300 rounded-lg disabled:bg-gray-100" ${closing ? 'disabled' : ''}>
+            <span class="flex-1 text-right text-gray-600" data-subtotal="${value}"></span>
+        </div>`).join('');
+
+    form.elements.openingCash.value = closing ? closing.openingCash : (CLOSING_STATE.openingCash[data.date] || '');
+    form.elements.notes.value = closing ? closing.notes : form.elements.notes.value;
+    [form.elements.openingCash, form.elements.notes, form.elements.closingSubmit].forEach(el => { el.disabled = !!closing; });
+    form.elements.closingSubmit.classList.toggle('hidden', !!closing);
+    updateClosingCash();
+}
+
+// Counted cash from the form: { counts: { 500000: 2, ... }, total }
+function readClosingCount() {
+    const counts = {};
+    let total = 0;
+    document.querySelectorAll('#closingDenominations [data-denomination]').forEach(input => {
+        const count = Math.max(0, Math.floor(Number(input.value) || 0));
+        if (!count) return;
+        counts[input.dataset.denomination] = count;
+        total += Number(input.dataset.denomination) * count;
+    });
+    return { counts, total };
+}
+
+// Subtotals, counted vs expected cash and the difference (negative = short)
+function updateClosingCash() {
+    const data = CLOSING_STATE.data;
+    const form = document.getElementById('closingForm');
+    const box = document.getElementById('closingCashSummary');
+    if (!data || !form || !box) return;
+    const { counts, total } = readClosingCount();
+    document.querySelectorAll('#closingDenominations [data-subtotal]').forEach(el => {
+        const count = counts[el.dataset.subtotal] || 0;
+        el.textContent = count ? formatCurrency(count * Number(el.dataset.subtotal)) : '';
+    });
+
+    const closing = data.closing;
+    const openingCash = Math.max(0, Number(form.elements.openingCash.value) || 0);
+    // A closed day shows the amounts saved at closing, not a recount
+    const counted = closing ? closing.countedCash : total;
+    const expected = closing ? closing.expectedCash : openingCash + data.cashTaken;
+    const difference = counted - expected;
+    const differenceLabel = difference === 0 ? 'Khớp' : difference < 0 ? `Thiếu ${formatCurrency(-difference)}` : `Thừa ${formatCurrency(difference)}`;
+    const differenceColor = difference === 0 ? 'text-green-600' : difference < 0 ? 'text-red-600' : 'text-amber-600';
+    box.innerHTML = `
+        <div class="flex justify-between"><span class="text-gray-600">Tiền mặt đếm được</span><span class="font-semibold">${formatCurrency(counted)}</span></div>
+        <div class="flex justify-between"><span class="text-gray-600">Tiền mặt dự kiến (đầu ca + thu tiền mặt)</span><span class="font-semibold">${formatCurrency(expected)}</span></div>
+        <div class="flex justify-between border-t pt-1 mt-1"><span class="text-gray-600">Chênh lệch</span><span class="font-bold ${differenceColor}">${differenceLabel}</span></div>
+    `;
+}
+
+async function handleClosingSubmit(e) {
+    e.preventDefault();
+    const data = CLOSING_STATE.data;
+    if (!data || data.closing || typeof window.closeDay !== 'function') return;
+    const form = e.target;
+    const { counts, total } = readClosingCount();
+    const [year, month, day] = data.date.split('-');
+    const warning = total ? '' : '\nChưa nhập số tờ tiền nào.';
+    if (!confirm(`Chốt ca ngày ${day}/${month}/${year}? Sau khi chốt, đơn của ngày này không thể thêm, sửa hay xóa.${warning}`)) return;
+
+    const btn = form.elements.closingSubmit;
+    btn.disabled = true;
+    try {
+        const res = await window.closeDay({
+            date: data.date,
+            denominations: counts,
+            openingCash: Math.max(0, Number(form.elements.openingCash.value) || 0),
+            notes: form.elements.notes.value.trim()
+        });
+        if (!res || res.success === false) throw new Error((res && res.error) || 'API error');
+        delete CLOSING_STATE.counts[data.date];
+        delete CLOSING_STATE.openingCash[data.date];
+        form.elements.notes.value = '';
+        showToast('Đã chốt ca', 'success');
+        fetchClosing(data.date);
+        // Today's list shows the lock on its orders
+        if (data.date === toDateKey(new Date()) && typeof refreshOrders === 'function') refreshOrders();
+    } catch (err) {
+        console.error('Failed to close day:', err);
+        showToast(err.message || 'Không chốt ca được', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+document.getElementById('closingDate')?.addEventListener('change', (e) => {
+    if (e.target.value) fetchClosing(e.target.value);
+});
+document.getElementById('closingRefreshBtn')?.addEventListener('click', () => window.loadClosing());
+document.getElementById('closingForm')?.addEventListener('input', (e) => {
+    const date = CLOSING_STATE.date;
+    if (e.target.dataset.denomination) CLOSING_STATE.counts[date] = readClosingCount().counts;
+    if (e.target.name === 'openingCash') CLOSING_STATE.openingCash[date] = e.target.value;
+    updateClosingCash();
+});
+document.getElementById('closingForm')?.addEventListener('submit', handleClosingSubmit);
+
+console.log('Closing module loaded');
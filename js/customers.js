@@ -0,0 +1,289 @@
+'use strict';
+
+// Customer lookup on the order form + visit history modal ("Khách hàng" sheet)
+const CUSTOMER_STATE = {
+    suggestions: [],
+    searchTimer: null,
+    // Ignore answers to searches the user has already typed past
+    searchSeq: 0,
+    current: null,
+    // Customer identified on the order form (known points), and the reward catalog once loaded
+    formCustomer: null,
+    rewards: null
+};
+
+const CUSTOMER_SEARCH_DELAY_MS = 300;
+const CUSTOMER_MIN_QUERY = 3;
+
+function customerElements() {
+    return {
+        phone: document.getElementById('customerPhone'),
+        name: document.getElementById('customerName'),
+        suggestions: document.getElementById('customerSuggestions'),
+        historyBtn: document.getElementById('customerHistoryBtn'),
+        points: document.getElementById('customerPoints'),
+        rewardPicker: document.getElementById('rewardPicker'),
+        rewardSelect: document.getElementById('rewardSelect'),
+        modal: document.getElementById('customerModal'),
+        modalName: document.getElementById('customerModalName'),
+        modalPhone: document.getElementById('customerModalPhone'),
+        modalSummary: document.getElementById('customerModalSummary'),
+        modalNotes: document.getElementById('customerModalNotes'),
+        modalOrders: document.getElementById('customerModalOrders'),
+        modalPoints: document.getElementById('customerModalPoints')
+    };
+}
+
+function hideCustomerSuggestions() {
+    const els = customerElements();
+    CUSTOMER_STATE.suggestions = [];
+    els.suggestions?.classList.add('hidden');
+}
+
+function renderCustomerSuggestions(customers) {
+    const els = customerElements();
+    if (!els.suggestions) return;
+    CUSTOMER_STATE.suggestions = customers;
+    if (customers.length === 0) {
+        els.suggestions.classList.add('hidden');
+        return;
+    }
+    els.suggestions.innerHTML = customers.map((c, index) => `
+        <button type="button" data-index="${index}" class="block w-full text-left px-3 py-2 hover:bg-purple-50 border-b border-gray-100 last:border-0">
+            <div class="text-sm font-medium text-gray-800">${escapeHtml(c.name || 'Khách chưa có tên')}</div>
+            <div class="text-xs text-gray-500">${escapeHtml(c.phone)}${c.lastVisit ? ` · ghé ${new Date(c.lastVisit).toLocaleDateString('vi-VN')}` : ''}${c.points ? ` · ${c.points} điểm` : ''}</div>
+        </button>
+    `).join('');
+    els.suggestions.classList.remove('hidden');
+}
+
+// Debounced autocomplete from either input (digits → phone search, text → name search)
+function scheduleCustomerSearch(query) {
+    clearTimeout(CUSTOMER_STATE.searchTimer);
+    const q = String(query || '').trim();
+    if (q.length < CUSTOMER_MIN_QUERY || typeof window.searchCustomers !== 'function') {
+        hideCustomerSuggestions();
+        return;
+    }
+    CUSTOMER_STATE.searchTimer = setTimeout(async () => {
+        const seq = ++CUSTOMER_STATE.searchSeq;
+        try {
+            const res = await window.searchCustomers(q);
+            if (seq !== CUSTOMER_STATE.searchSeq) return;
+            const customers = (res && Array.isArray(res.customers)) ? res.customers : [];
+            renderCustomerSuggestions(customers);
+            // A fully typed phone that matches a customer identifies them (points, rewards)
+            const typed = normalizePhoneInput(customerElements().phone?.value);
+            const exact = customers.find(c => c.phone === typed);
+            if (exact) setFormCustomer(exact);
+        } catch (err) {
+            console.warn('Customer search failed:', err?.message);
+        }
+    }, CUSTOMER_SEARCH_DELAY_MS);
+}
+
+function updateCustomerHistoryButton() {
+    const els = customerElements();
+    const phone = normalizePhoneInput(els.phone?.value);
+    els.historyBtn?.classList.toggle('hidden', !/^0\d{9,10}$/.test(phone));
+}
+
+// Reward catalog ("Ưu đãi" sheet), fetched once per session
+async function loadRewards() {
+    if (CUSTOMER_STATE.rewards || typeof window.getRewards !== 'function') return CUSTOMER_STATE.rewards || [];
+    try {
+        const res = await window.getRewards();
+        if (res && Array.isArray(res.rewards)) CUSTOMER_STATE.rewards = res.rewards;
+    } catch (err) {
+        console.warn('Failed to load rewards:', err?.message);
+    }
+    return CUSTOMER_STATE.rewards || [];
+}
+
+// Show the customer's points and the rewards they can afford (null clears both)
+async function setFormCustomer(customer) {
+    const els = customerElements();
+    CUSTOMER_STATE.formCustomer = customer;
+    const points = customer ? (customer.points || 0) : 0;
+    els.points?.classList.toggle('hidden', !customer);
+    if (els.points) els.points.textContent = customer ? `⭐ ${points} điểm` : '';
+
+    const rewards = customer ? (await loadRewards()).filter(r => r.cost <= points) : [];
+    // The form may have moved on while the catalog loaded
+    if (CUSTOMER_STATE.formCustomer !== customer) return;
+    if (els.rewardSelect) {
+        els.rewardSelect.innerHTML = '<option value="">Không đổi</option>' +
+            rewards.map(r => `<option value="${escapeHtml(r.name)}">${escapeHtml(r.name)} (${r.cost} điểm)</option>`).join('');
+    }
+    els.rewardPicker?.classList.toggle('hidden', rewards.length === 0);
+    if (typeof updateOrderTotal === 'function') updateOrderTotal();
+}
+
+/**
+ * Client-side estimate of the selected reward's discount, mirroring calculateRewardDiscount in Code.gs:
+ * a reward tied to a service covers one unit of it, otherwise the whole order. Null when none applies.
+ */
+window.estimateRewardDiscount = function(items, discount) {
+    const name = customerElements().rewardSelect?.value;
+    const reward = name && (CUSTOMER_STATE.rewards || []).find(r => r.name === name);
+    if (!reward || !CUSTOMER_STATE.formCustomer) return null;
+    const subtotal = orderSubtotal(items);
+    let base = subtotal;
+    if (reward.service) {
+        const key = reward.service.trim().toLowerCase();
+        const prices = items.filter(item => String(item.service).trim().toLowerCase() === key).map(item => item.unitPrice);
+        if (prices.length === 0) return { name: reward.name, discount: 0 };
+        base = Math.max(...prices);
+    }
+    const value = Math.round(base * reward.percent / 100) + reward.amount;
+    return { name: reward.name, discount: Math.min(value, Math.max(subtotal - (discount || 0), 0)) };
+};
+
+function pickCustomerSuggestion(index) {
+    const customer = CUSTOMER_STATE.suggestions[index];
+    const els = customerElements();
+    if (!customer || !els.phone) return;
+    els.phone.value = customer.phone;
+    if (els.name) els.name.value = customer.name || '';
+    hideCustomerSuggestions();
+    updateCustomerHistoryButton();
+    setFormCustomer(customer);
+    // Notes such as a dye formula are worth a glance before starting
+    if (customer.notes && typeof window.showToast === 'function') showToast(`Ghi chú: ${customer.notes}`, 'info');
+}
+
+// Called after an order is saved (form.reset() already cleared the inputs)
+window.resetCustomerFields = function() {
+    hideCustomerSuggestions();
+    updateCustomerHistoryButton();
+    setFormCustomer(null);
+};
+
+// Open the history modal for a phone number
+window.openCustomerHistory = async function(phone) {
+    const els = customerElements();
+    if (!els.modal || !phone || typeof window.getCustomerHistory !== 'function') return;
+
+    CUSTOMER_STATE.current = null;
+    els.modalName.textContent = 'Đang tải...';
+    els.modalPhone.textContent = phone;
+    els.modalSummary.innerHTML = '';
+    els.modalNotes.value = '';
+    els.modalOrders.innerHTML = '';
+    if (els.modalPoints) els.modalPoints.innerHTML = '';
+    els.modal.classList.remove('hidden');
+
+    try {
+        const res = await window.getCustomerHistory(phone);
+        if (!res || res.error || res.success === false || !res.customer) {
+            throw new Error((res && res.error) || 'API error');
+        }
+        CUSTOMER_STATE.current = res.customer;
+        renderCustomerHistory(res);
+    } catch (err) {
+        console.error('Failed to load customer history:', err);
+        els.modalName.textContent = err.message === 'Không tìm thấy khách hàng' ? 'Khách mới' : 'Không tải được lịch sử';
+    }
+};
+
+function renderCustomerHistory(res) {
+    const els = customerElements();
+    const customer = res.customer;
+    els.modalName.textContent = customer.name || 'Khách chưa có tên';
+    els.modalPhone.textContent = customer.phone;
+    els.modalNotes.value = customer.notes || '';
+
+    const lastVisit = customer.lastVisit ? new Date(customer.lastVisit).toLocaleDateString('vi-VN') : '—';
+    els.modalSummary.innerHTML = [
+        ['Số lần ghé', res.visitCount || 0],
+        ['Tổng chi', formatCurrency(res.totalSpent || 0)],
+        ['Lần gần nhất', lastVisit],
+        ['Điểm tích lũy', customer.points || 0]
+    ].map(([label, value]) => `
+        <div class="bg-gray-50 rounded-lg p-2">
+            <div class="text-xs text-gray-500">${label}</div>
+            <div class="text-sm font-semibold text-gray-800">${value}</div>
+        </div>
+    `).join('');
+
+    const orders = res.orders || [];
+    els.modalOrders.innerHTML = orders.length === 0
+        ? '<p class="text-center py-4 text-sm text-gray-500">Chưa có đơn nào</p>'
+        : orders.map(order => `
+            <div class="bg-gray-50 rounded-lg p-3">
+                <div class="flex justify-between text-xs text-gray-500">
+                    <span>${new Date(order.timestamp).toLocaleDateString('vi-VN')} ${formatTime(order.timestamp)}</span>
+                    <span>${escapeHtml(order.employeeName || order.employee)}</span>
+                </div>
+                <div class="text-sm font-medium text-gray-800">${escapeHtml(order.service) || '—'}</div>
+                <div class="text-sm text-green-600 font-semibold">${formatCurrency(parsePrice(order.price))}</div>
+                ${order.notes ? `<div class="text-xs text-gray-500 mt-1">${escapeHtml(order.notes)}</div>` : ''}
+            </div>
+        `).join('');
+
+    const ledger = res.pointsLedger || [];
+    if (els.modalPoints) {
+        els.modalPoints.innerHTML = ledger.length === 0
+            ? '<p class="text-center py-4 text-sm text-gray-500">Chưa có điểm</p>'
+            : ledger.map(entry => `
+                <div class="flex justify-between py-1.5">
+                    <span class="text-gray-600">${new Date(entry.timestamp).toLocaleDateString('vi-VN')} · ${escapeHtml(entry.reason)}</span>
+                    <span class="${entry.points < 0 ? 'text-red-500' : 'text-green-600'} font-medium">${entry.points > 0 ? '+' : ''}${entry.points}</span>
+                </div>
+            `).join('');
+    }
+}
+
+function hideCustomerHistory() {
+    customerElements().modal?.classList.add('hidden');
+    CUSTOMER_STATE.current = null;
+}
+
+async function saveCustomerNotes() {
+    const els = customerElements();
+    const customer = CUSTOMER_STATE.current;
+    if (!customer || typeof window.updateCustomer !== 'function') return;
+    try {
+        const notes = ClientValidator.validateNotes(els.modalNotes.value);
+        const res = await window.updateCustomer(customer.phone, { notes });
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        customer.notes = notes;
+        showToast('Đã lưu ghi chú khách', 'success');
+    } catch (err) {
+        console.error('Failed to save customer notes:', err);
+        showToast(err.message || 'Không thể lưu ghi chú', 'error');
+    }
+}
+
+(function bindCustomerUI() {
+    const els = customerElements();
+    els.phone?.addEventListener('input', () => {
+        updateCustomerHistoryButton();
+        if (CUSTOMER_STATE.formCustomer && CUSTOMER_STATE.formCustomer.phone !== normalizePhoneInput(els.phone.value)) {
+            setFormCustomer(null);
+        }
+        scheduleCustomerSearch(els.phone.value.replace(/[^0-9+]/g, ''));
+    });
+    els.name?.addEventListener('input', () => scheduleCustomerSearch(els.name.value));
+    els.rewardSelect?.addEventListener('change', () => {
+        if (typeof updateOrderTotal === 'function') updateOrderTotal();
+    });
+    els.suggestions?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-index]');
+        if (btn) pickCustomerSuggestion(Number(btn.dataset.index));
+    });
+    // Close the dropdown when tapping elsewhere
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#customerSuggestions, #customerPhone, #customerName')) hideCustomerSuggestions();
+    });
+    els.historyBtn?.addEventListener('click', () => {
+        window.openCustomerHistory(normalizePhoneInput(els.phone.value));
+    });
+    document.getElementById('customerModalClose')?.addEventListener('click', hideCustomerHistory);
+    document.getElementById('customerModalSave')?.addEventListener('click', saveCustomerNotes);
+    els.modal?.addEventListener('click', (e) => {
+        if (e.target === els.modal) hideCustomerHistory();
+    });
+})();
+
+console.log('Customers module loaded');
@@ -0,0 +1,124 @@
+'use strict';
+
+// Manager dashboard: per-employee order count / revenue / average ticket
+const DASHBOARD_STATE = {
+    period: 'today',
+    data: null,
+    loading: false
+};
+
+const DASHBOARD_PERIOD_LABELS = {
+    today: 'hôm nay',
+    week: 'tuần này',
+    month: 'tháng này'
+};
+
+// Fetch employeeStats from the API and render the current period
+window.loadDashboard = async function() {
+    if (DASHBOARD_STATE.loading || typeof window.getEmployeeStats !== 'function') return;
+    const table = document.getElementById('dashboardTable');
+    DASHBOARD_STATE.loading = true;
+    if (table && !DASHBOARD_STATE.data) {
+        table.innerHTML = '<p class="text-center py-8 text-gray-500">Đang tải...</p>';
+    }
+    try {
+        const res = await window.getEmployeeStats();
+        if (!res || res.error || res.success === false) {
+            throw new Error((res && res.error) || 'API error');
+        }
+        DASHBOARD_STATE.data = res;
+        renderDashboard();
+    } catch (err) {
+        console.error('Failed to load employee stats:', err);
+        if (table && !DASHBOARD_STATE.data) {
+            table.innerHTML = '<p class="text-center py-8 text-gray-500">Không tải được thống kê</p>';
+        }
+        if (typeof window.showToast === 'function') showToast('Không tải được thống kê nhân viên', 'error');
+    } finally {
+        DASHBOARD_STATE.loading = false;
+    }
+};
+
+function renderDashboard() {
+    const table = document.getElementById('dashboardTable');
+    const data = DASHBOARD_STATE.data;
+    if (!table || !data) return;
+
+    const period = DASHBOARD_STATE.period;
+    document.querySelectorAll('#dashboardPeriods .period-btn').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.period === period);
+    });
+
+    // Busiest employees first; ties keep the sheet order
+    const rows = (data.employees || [])
+        .map(emp => ({ emp, stats: emp[period] || { count: 0, revenue: 0, average: 0 } }))
+        .sort((a, b) => b.stats.revenue - a.stats.revenue);
+
+    if (rows.length === 0) {
+        table.innerHTML = '<p class="text-center py-8 text-gray-500">Chưa có nhân viên nào</p>';
+        return;
+    }
+
+    const totals = (data.totals && data.totals[period]) || { count: 0, revenue: 0, average: 0 };
+    table.innerHTML = `
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-gray-500 border-b">
+                    <th class="py-2 font-medium">Nhân viên</th>
+                    <th class="py-2 font-medium text-right">Đơn</th>
+                    <th class="py-2 font-medium text-right">Doanh thu</th>
+                    <th class="py-2 font-medium text-right">TB/đơn</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(({ emp, stats }) => `
+                <tr class="border-b border-gray-100">
+                    <td class="py-2">
+                        <div class="font-medium text-gray-800">${emp.name || emp.email}</div>
+                        ${emp.name ? `<div class="text-xs text-gray-500">${emp.email}</div>` : ''}
+                    </td>
+                    <td class="py-2 text-right">${stats.count}</td>
+                    <td class="py-2 text-right text-green-600 font-semibold">${formatCurrency(stats.revenue)}</td>
+                    <td class="py-2 text-right text-gray-600">${formatCurrency(stats.average)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr class="font-semibold text-gray-800">
+                    <td class="py-2">Tổng ${DASHBOARD_PERIOD_LABELS[period] || ''}</td>
+                    <td class="py-2 text-right">${totals.count}</td>
+                    <td class="py-2 text-right text-green-600">${formatCurrency(totals.revenue)}</td>
+                    <td class="py-2 text-right text-gray-600">${formatCurrency(totals.average)}</td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+document.getElementById('dashboardPeriods')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-period]');
+    if (!btn) return;
+    DASHBOARD_STATE.period = btn.dataset.period;
+    renderDashboard();
+});
+document.getElementById('dashboardRefreshBtn')?.addEventListener('click', () => window.loadDashboard());
+// Stats come from the "Tổng hợp ngày" sheet; after orders were edited by hand in the sheet it needs recomputing
+document.getElementById('dashboardRebuildBtn')?.addEventListener('click', async (e) => {
+    if (typeof window.rebuildDailySummary !== 'function') return;
+    if (!confirm('Tính lại bảng tổng hợp từ toàn bộ đơn hàng? Việc này có thể mất vài chục giây.')) return;
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+        const res = await window.rebuildDailySummary();
+        if (!res || res.success === false) throw new Error((res && res.error) || 'API error');
+        showToast(`Đã tính lại từ ${res.orders} đơn`, 'success');
+        window.loadDashboard();
+        if (typeof refreshStatsFromAPI === 'function') refreshStatsFromAPI();
+    } catch (err) {
+        console.error('Failed to rebuild daily summary:', err);
+        showToast(err.message || 'Không tính lại được tổng hợp', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+console.log('Dashboard module loaded');
@@ -0,0 +1,184 @@
+'use strict';
+
+// Order export for the accountant: every order in the history screen's range and filter,
+// as CSV (UTF-8, opens in Excel) or XLSX, optionally with per-employee/per-service totals
+
+// [header, column width in characters]
+const EXPORT_COLUMNS = [
+    ['Mã đơn', 16],
+    ['Ngày', 12],
+    ['Giờ', 8],
+    ['Nhân viên', 20],
+    ['Dịch vụ', 32],
+    ['Khách hàng', 20],
+    ['SĐT khách', 14],
+    ['Thanh toán', 14],
+    ['Giảm giá', 14],
+    ['Doanh thu', 14],
+    ['Tip', 12],
+    ['Ghi chú', 40]
+];
+
+// Fetch every page of the range (the screen may only have loaded the first few)
+async function fetchOrdersForExport(filters) {
+    const orders = [];
+    let cursor = null;
+    do {
+        const res = await window.getOrders({ ...filters, ...(cursor ? { cursor } : {}) });
+        if (!res || res.error || !Array.isArray(res.orders)) throw new Error((res && res.error) || 'API error');
+        orders.push(...res.orders.map(normalizeApiOrder));
+        cursor = res.cursor || null;
+    } while (cursor);
+    return orders;
+}
+
+function money(amount) {
+    return { money: Number(amount) || 0 };
+}
+
+// Per-service lines come from the order items, before the order-level discount
+function summarizeByService(orders) {
+    const byService = new Map();
+    orders.forEach(order => {
+        const lines = order.items.length
+            ? order.items.map(item => ({ service: item.service, quantity: item.quantity || 1, total: (item.quantity || 1) * (item.unitPrice || 0) }))
+            : [{ service: order.service, quantity: 1, total: order.price + (order.discount || 0) }];
+        lines.forEach(line => {
+            const entry = byService.get(line.service) || { count: 0, total: 0 };
+            entry.count += line.quantity;
+            entry.total += line.total;
+            byService.set(line.service, entry);
+        });
+    });
+    return Array.from(byService).sort((a, b) => b[1].total - a[1].total);
+}
+
+function summarizeByEmployee(orders) {
+    const byEmployee = new Map();
+    orders.forEach(order => {
+        const name = order.employeeName || order.employee;
+        const entry = byEmployee.get(name) || { count: 0, revenue: 0, tip: 0 };
+        entry.count++;
+        entry.revenue += order.price;
+        entry.tip += order.tip || 0;
+        byEmployee.set(name, entry);
+    });
+    return Array.from(byEmployee).sort((a, b) => b[1].revenue - a[1].revenue);
+}
+
+/** Rows ({ cells, bold }) shared by both formats; money cells are { money } */
+function buildExportRows(orders, options) {
+    const rows = [
+        { cells: [options.title], bold: true },
+        { cells: [] },
+        { cells: EXPORT_COLUMNS.map(col => col[0]), bold: true }
+    ];
+    // Oldest first reads naturally in a monthly file
+    orders.slice().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)).forEach(order => {
+        const date = new Date(order.timestamp);
+        rows.push({
+            cells: [
+                String(order.id),
+                date.toLocaleDateString('vi-VN'),
+                formatTime(order.timestamp),
+                order.employeeName || order.employee,
+                order.service,
+                order.customerName,
+                order.customerPhone,
+                PAYMENT_METHOD_LABELS[order.paymentMethod] || '',
+                money(order.discount),
+                money(order.price),
+                money(order.tip),
+                order.notes
+            ]
+        });
+    });
+    const sum = key => orders.reduce((total, order) => total + (order[key] || 0), 0);
+    rows.push({
+        cells: [`Tổng cộng: ${orders.length} đơn`, '', '', '', '', '', '', '', money(sum('discount')), money(sum('price')), money(sum('tip')), ''],
+        bold: true
+    });
+
+    if (options.summary) {
+        rows.push({ cells: [] }, { cells: ['Tổng theo nhân viên'], bold: true }, { cells: ['Nhân viên', 'Số đơn', 'Doanh thu', 'Tip'], bold: true });
+        summarizeByEmployee(orders).forEach(([name, entry]) => {
+            rows.push({ cells: [name, entry.count, money(entry.revenue), money(entry.tip)] });
+        });
+        rows.push({ cells: [] }, { cells: ['Tổng theo dịch vụ'], bold: true }, { cells: ['Dịch vụ', 'Số lượt', 'Thành tiền (trước giảm giá)'], bold: true });
+        summarizeByService(orders).forEach(([service, entry]) => {
+            rows.push({ cells: [service, entry.count, money(entry.total)] });
+        });
+    }
+    return rows;
+}
+
+function csvValue(cell) {
+    if (cell === null || cell === undefined) return '';
+    // Money as a plain integer (as in the XLSX) so spreadsheets can sum it
+    if (typeof cell === 'object') return String(Math.round(cell.money || 0));
+    let text = String(cell);
+    // Free text that a spreadsheet would run as a formula stays text
+    if (typeof cell === 'string' && /^[=+\-@]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rowsToCsv(rows) {
+    // BOM so Excel opens the Vietnamese text as UTF-8
+    return '\uFEFF' + rows.map(row => row.cells.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** format: 'csv' | 'xlsx'; options: { from, to, service, summary } (YYYY-MM-DD, service name or '') */
+window.exportOrders = async function(format, options) {
+    if (typeof window.getOrders !== 'function') return;
+    const { from, to, service, summary } = options;
+    showLoading(true);
+    try {
+        const employeeFilter = getEmployeeFilter();
+        let orders = await fetchOrdersForExport({
+            from,
+            to,
+            limit: 100,
+            ...(employeeFilter ? { employee: employeeFilter } : {})
+        });
+        if (service) orders = orders.filter(order => orderServiceNames(order).includes(service));
+        if (orders.length === 0) {
+            showToast('Không có đơn hàng để xuất', 'warning');
+            return;
+        }
+
+        const range = from === to ? from : `${from} → ${to}`;
+        const rows = buildExportRows(orders, {
+            title: `Đơn hàng ${range}${service ? ` · ${service}` : ''}`,
+            summary
+        });
+        const basename = `don-hang_${from}_${to}`;
+        if (format === 'xlsx') {
+            const bytes = XLSXWriter.build(rows, {
+                sheetName: 'Đơn hàng',
+                columnWidths: EXPORT_COLUMNS.map(col => col[1])
+            });
+            downloadFile(`${basename}.xlsx`, new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+        } else {
+            downloadFile(`${basename}.csv`, new Blob([rowsToCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+        }
+        showToast(`Đã xuất ${orders.length} đơn`, 'success');
+    } catch (err) {
+        console.error('Failed to export orders:', err);
+        showToast('Không xuất được đơn hàng', 'error');
+    } finally {
+        showLoading(false);
+    }
+};
+
+console.log('Export module loaded');
@@ -0,0 +1,182 @@
+'use strict';
+
+// Order history: pick a date range (and service), pages of orders load as the list scrolls
+const HISTORY_STATE = {
+    from: '',
+    to: '',
+    // Service name, '' for all; filtered here since the server filters by date/employee only
+    service: '',
+    cursor: null,
+    done: false,
+    loading: false,
+    orders: [],
+    // Date of the last rendered order, for day headings across pages
+    lastDay: '',
+    // Bumped on every new search so late pages of an old range are dropped
+    requestId: 0
+};
+
+const HISTORY_PAGE_SIZE = 30;
+
+function historyDefaultRange(days) {
+    const to = new Date();
+    if (days === 1) to.setDate(to.getDate() - 1);
+    const from = new Date(to);
+    if (days > 1) from.setDate(from.getDate() - (days - 1));
+    return { from: toDateKey(from), to: toDateKey(to) };
+}
+
+// Opening the tab: last 7 days unless a range was already picked
+window.loadHistory = function() {
+    const form = document.getElementById('historyForm');
+    if (!form) return;
+    if (!HISTORY_STATE.from) {
+        const range = historyDefaultRange(7);
+        form.elements.from.value = range.from;
+        form.elements.to.value = range.to;
+    }
+    renderHistoryServiceOptions(form);
+    startHistorySearch(form.elements.from.value, form.elements.to.value, form.elements.service.value);
+};
+
+function renderHistoryServiceOptions(form) {
+    const current = form.elements.service.value;
+    form.elements.service.innerHTML = '<option value="">Tất cả dịch vụ</option>' + APP_STATE.services
+        .map(svc => `<option value="${svc.name}">${svc.name}</option>`).join('');
+    form.elements.service.value = APP_STATE.services.some(svc => svc.name === current) ? current : '';
+}
+
+function startHistorySearch(from, to, service) {
+    if (!from || !to) return;
+    if (from > to) {
+        showToast('Ngày bắt đầu phải trước ngày kết thúc', 'error');
+        return;
+    }
+    HISTORY_STATE.from = from;
+    HISTORY_STATE.to = to;
+    HISTORY_STATE.service = service || '';
+    HISTORY_STATE.cursor = null;
+    HISTORY_STATE.done = false;
+    HISTORY_STATE.loading = false;
+    HISTORY_STATE.orders = [];
+    HISTORY_STATE.lastDay = '';
+    HISTORY_STATE.requestId++;
+    const list = document.getElementById('historyList');
+    if (list) list.innerHTML = '';
+    renderHistorySummary();
+    loadHistoryPage();
+}
+
+async function loadHistoryPage() {
+    if (HISTORY_STATE.loading || HISTORY_STATE.done || typeof window.getOrders !== 'function') return;
+    const requestId = HISTORY_STATE.requestId;
+    const sentinel = document.getElementById('historySentinel');
+    HISTORY_STATE.loading = true;
+    if (sentinel) sentinel.textContent = 'Đang tải...';
+    try {
+        const employeeFilter = getEmployeeFilter();
+        const res = await window.getOrders({
+            from: HISTORY_STATE.from,
+            to: HISTORY_STATE.to,
+            limit: HISTORY_PAGE_SIZE,
+            ...(employeeFilter ? { employee: employeeFilter } : {}),
+            ...(HISTORY_STATE.cursor ? { cursor: HISTORY_STATE.cursor } : {})
+        });
+        if (requestId !== HISTORY_STATE.requestId) return;
+        if (!res || res.error || !Array.isArray(res.orders)) throw new Error((res && res.error) || 'API error');
+
+        const page = res.orders.map(normalizeApiOrder)
+            .filter(order => !HISTORY_STATE.service || orderServiceNames(order).includes(HISTORY_STATE.service));
+        HISTORY_STATE.orders = HISTORY_STATE.orders.concat(page);
+        HISTORY_STATE.cursor = res.cursor || null;
+        HISTORY_STATE.done = !res.cursor;
+        appendHistoryOrders(page);
+        renderHistorySummary();
+    } catch (err) {
+        if (requestId !== HISTORY_STATE.requestId) return;
+        console.error('Failed to load order history:', err);
+        showToast('Không tải được lịch sử đơn hàng', 'error');
+    } finally {
+        if (requestId === HISTORY_STATE.requestId) {
+            HISTORY_STATE.loading = false;
+            renderHistorySentinel();
+        }
+    }
+    // A short page may not fill the screen: keep going while the sentinel is still visible
+    if (requestId === HISTORY_STATE.requestId && !HISTORY_STATE.done && isHistorySentinelVisible()) loadHistoryPage();
+}
+
+// Orders arrive newest first; a day heading goes in whenever the date changes
+function appendHistoryOrders(orders) {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+    const html = orders.map(order => {
+        const day = toDateKey(order.timestamp);
+        const heading = day !== HISTORY_STATE.lastDay
+            ? `<h3 class="text-sm font-semibold text-gray-700 pt-2">${new Date(order.timestamp).toLocaleDateString('vi-VN', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' })}</h3>`
+            : '';
+        HISTORY_STATE.lastDay = day;
+        return heading + renderOrderCard(order, true);
+    }).join('');
+    list.insertAdjacentHTML('beforeend', html);
+}
+
+function renderHistorySummary() {
+    const summary = document.getElementById('historySummary');
+    if (!summary) return;
+    const orders = HISTORY_STATE.orders;
+    if (orders.length === 0) {
+        summary.textContent = '';
+        return;
+    }
+    const revenue = orders.reduce((sum, order) => sum + order.price, 0);
+    summary.textContent = `${HISTORY_STATE.done ? '' : 'Đã tải '}${orders.length} đơn · ${formatCurrency(revenue, true)}`;
+}
+
+function renderHistorySentinel() {
+    const sentinel = document.getElementById('historySentinel');
+    if (!sentinel) return;
+    if (!HISTORY_STATE.done) sentinel.textContent = '';
+    else sentinel.textContent = HISTORY_STATE.orders.length ? 'Đã hiển thị hết' : 'Không có đơn hàng trong khoảng này';
+}
+
+function isHistorySentinelVisible() {
+    const sentinel = document.getElementById('historySentinel');
+    if (!sentinel || APP_STATE.view !== 'history') return false;
+    return sentinel.getBoundingClientRect().top < window.innerHeight;
+}
+
+// Infinite scroll: the next page loads when the sentinel under the list comes into view
+const historySentinel = document.getElementById('historySentinel');
+if (historySentinel && 'IntersectionObserver' in window) {
+    new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting) && APP_STATE.view === 'history') loadHistoryPage();
+    }, { rootMargin: '200px' }).observe(historySentinel);
+}
+
+document.getElementById('historyForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    startHistorySearch(e.target.elements.from.value, e.target.elements.to.value, e.target.elements.service.value);
+});
+document.getElementById('historyPresets')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-days]');
+    const form = document.getElementById('historyForm');
+    if (!btn || !form) return;
+    const range = historyDefaultRange(Number(btn.dataset.days));
+    form.elements.from.value = range.from;
+    form.elements.to.value = range.to;
+    startHistorySearch(range.from, range.to, form.elements.service.value);
+});
+// Export what the screen is showing: the searched range and service, every page
+document.getElementById('historyExport')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-export]');
+    if (!btn || !HISTORY_STATE.from || typeof window.exportOrders !== 'function') return;
+    window.exportOrders(btn.dataset.export, {
+        from: HISTORY_STATE.from,
+        to: HISTORY_STATE.to,
+        service: HISTORY_STATE.service,
+        summary: !!document.getElementById('historyExportSummary')?.checked
+    });
+});
+
+console.log('History module loaded');
@@ -0,0 +1,350 @@
+'use strict';
+
+// Bulk import of historical orders from CSV (managers): pick a file, map its columns,
+// dry-run every row through the server's Validator, then commit the accepted rows in batches
+
+// Server limit per call (CONFIG.MAX_IMPORT_ROWS)
+const IMPORT_BATCH_SIZE = 50;
+
+// Order fields a CSV column can feed; aliases are folded header names (exports from this app match).
+// A required field with orKey is also satisfied by that field's column
+const IMPORT_FIELDS = [
+    { key: 'date', label: 'Ngày (hoặc ngày giờ)', required: true, aliases: ['ngay', 'ngay gio', 'thoi gian', 'date', 'timestamp'] },
+    { key: 'time', label: 'Giờ', aliases: ['gio', 'time'] },
+    { key: 'service', label: 'Dịch vụ', required: true, aliases: ['dich vu', 'service'] },
+    { key: 'price', label: 'Giá (trước giảm giá)', required: true, orKey: 'revenue', aliases: ['gia', 'thanh tien', 'so tien', 'price'] },
+    // The app's export: "Doanh thu" is after the discount, which is added back before sending
+    { key: 'revenue', label: 'Doanh thu (sau giảm giá)', aliases: ['doanh thu', 'revenue'] },
+    { key: 'employee', label: 'Nhân viên (email hoặc tên)', aliases: ['nhan vien', 'email nhan vien', 'tho', 'employee'] },
+    { key: 'discount', label: 'Giảm giá', aliases: ['giam gia', 'discount'] },
+    { key: 'tip', label: 'Tip', aliases: ['tip'] },
+    { key: 'paymentMethod', label: 'Thanh toán', aliases: ['thanh toan', 'hinh thuc thanh toan', 'payment'] },
+    { key: 'customerPhone', label: 'SĐT khách', aliases: ['sdt khach', 'sdt', 'so dien thoai', 'phone'] },
+    { key: 'customerName', label: 'Tên khách', aliases: ['khach hang', 'ten khach', 'customer'] },
+    { key: 'notes', label: 'Ghi chú', aliases: ['ghi chu', 'notes'] },
+    { key: 'id', label: 'Mã đơn (bỏ qua nếu đã có)', aliases: ['ma don', 'id'] }
+];
+
+const IMPORT_STATE = {
+    fileName: '',
+    // Index of the header row in rows; data starts below it
+    headerIndex: 0,
+    rows: [],
+    // field key → column index (-1 = not mapped)
+    mapping: {},
+    // Rows ready to send, keyed by CSV line; filled by the dry run
+    prepared: [],
+    accepted: [],
+    busy: false
+};
+
+// RFC 4180-style parser: quoted fields, doubled quotes, CRLF; delimiter guessed from the first line
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t', ','].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Header row = first of the top rows naming two known columns (exports start with a title line)
+function detectHeader(rows) {
+    const known = new Set(IMPORT_FIELDS.flatMap(field => field.aliases));
+    for (let i = 0; i < Math.min(rows.length, 5); i++) {
+        if (rows[i].filter(cell => known.has(foldSearchText(cell))).length >= 2) return i;
+    }
+    return 0;
+}
+
+function guessMapping(header) {
+    const folded = header.map(foldSearchText);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = folded.findIndex(name => field.aliases.includes(name));
+    });
+    return mapping;
+}
+
+function onImportFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        const rows = parseCsv(reader.result);
+        if (rows.length < 2) {
+            showToast('File không có dữ liệu', 'error');
+            return;
+        }
+        IMPORT_STATE.fileName = file.name;
+        IMPORT_STATE.rows = rows;
+        IMPORT_STATE.headerIndex = detectHeader(rows);
+        IMPORT_STATE.mapping = guessMapping(rows[IMPORT_STATE.headerIndex]);
+        IMPORT_STATE.prepared = [];
+        IMPORT_STATE.accepted = [];
+        renderImportMapping();
+        renderImportReport(null);
+    };
+    reader.onerror = () => showToast('Không đọc được file', 'error');
+    reader.readAsText(file, 'utf-8');
+}
+
+function renderImportMapping() {
+    const box = document.getElementById('importMapping');
+    if (!box) return;
+    const header = IMPORT_STATE.rows[IMPORT_STATE.headerIndex] || [];
+    box.innerHTML = IMPORT_FIELDS.map(field => `
+        <label class="text-xs text-gray-600">${field.label}${field.required ? ' *' : ''}
+            <select data-field="${field.key}" class="block w-full mt-1 px-2 py-1.5 text-sm border border-gray-300 rounded-lg">
+                <option value="-1">— Không dùng —</option>
+            </select>
+        </label>`).join('');
+    // Header cells come from the file: added as option text, never as markup
+    box.querySelectorAll('select[data-field]').forEach(select => {
+        header.forEach((name, i) => select.add(new Option(name || `Cột ${i + 1}`, String(i))));
+        select.value = String(IMPORT_STATE.mapping[select.dataset.field]);
+    });
+    box.classList.remove('hidden');
+    const dataRows = IMPORT_STATE.rows.length - IMPORT_STATE.headerIndex - 1;
+    document.getElementById('importFileInfo').textContent = `${IMPORT_STATE.fileName}: ${dataRows} dòng`;
+    document.getElementById('importDryRunBtn').disabled = false;
+}
+
+// Same file, line and order → same ID, so the server recognises a row imported on an earlier run
+async function importRowId(parts) {
+    const bytes = new TextEncoder().encode(parts.join('|'));
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return 'imp' + Array.from(digest.slice(0, 12), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * CSV rows → payload rows for "importOrders" plus rows rejected before sending.
+ * Dates go through parseTimestamp (the parser behind normalizeTimestamp), amounts through parsePrice.
+ */
+async function prepareImportRows() {
+    const mapping = IMPORT_STATE.mapping;
+    // The export quotes text starting with = + - @ with a leading '; drop it again
+    const cell = (row, key) => (mapping[key] >= 0 ? String(row[mapping[key]] || '').trim().replace(/^'(?=[=+\-@])/, '') : '');
+    const prepared = [];
+    const rows = IMPORT_STATE.rows.slice(IMPORT_STATE.headerIndex + 1);
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        // Line number as seen in a spreadsheet (1-based, header included)
+        const line = IMPORT_STATE.headerIndex + i + 2;
+        // A blank line ends the orders (an export's summary tables follow it)
+        if (row.every(value => !String(value).trim())) {
+            if (prepared.length) break;
+            continue;
+        }
+        // Totals line: no date and no service
+        if (!cell(row, 'date') && !cell(row, 'service')) continue;
+        const dateText = [cell(row, 'date'), cell(row, 'time')].filter(Boolean).join(' ');
+        const date = parseTimestamp(dateText);
+        if (!date) {
+            prepared.push({ line, error: `Ngày giờ không hợp lệ: "${dateText}"` });
+            continue;
+        }
+        const discount = cell(row, 'discount') ? parsePrice(cell(row, 'discount')) : '';
+        const price = cell(row, 'price')
+            ? parsePrice(cell(row, 'price'))
+            : (cell(row, 'revenue') ? parsePrice(cell(row, 'revenue')) + (discount || 0) : 0);
+        if (!price) {
+            prepared.push({ line, error: 'Thiếu giá' });
+            continue;
+        }
+        prepared.push({
+            line,
+            payload: {
+                line,
+                // A stable ID per row so a re-sent batch or a second import of the file is skipped as duplicates
+                id: cell(row, 'id') || await importRowId([IMPORT_STATE.fileName, line, date.toISOString(), cell(row, 'service'), price]),
+                timestamp: date.toISOString(),
+                employee: cell(row, 'employee'),
+                service: cell(row, 'service'),
+                price,
+                discount,
+                tip: cell(row, 'tip') ? parsePrice(cell(row, 'tip')) : '',
+                paymentMethod: cell(row, 'paymentMethod'),
+                customerPhone: cell(row, 'customerPhone'),
+                customerName: cell(row, 'customerName'),
+                notes: cell(row, 'notes')
+            }
+        });
+    }
+    return prepared;
+}
+
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+    return chunks;
+}
+
+function setImportProgress(text) {
+    const progress = document.getElementById('importProgress');
+    if (progress) progress.textContent = text;
+}
+
+// Dry run: every row the client could read goes through the server's Validator, nothing is written
+async function runImportDryRun() {
+    const mapped = key => IMPORT_STATE.mapping[key] >= 0;
+    const missing = IMPORT_FIELDS.filter(field => field.required && !mapped(field.key) && !(field.orKey && mapped(field.orKey)));
+    if (missing.length) {
+        showToast(`Chưa chọn cột: ${missing.map(field => field.label).join(', ')}`, 'error');
+        return;
+    }
+    IMPORT_STATE.busy = true;
+    IMPORT_STATE.accepted = [];
+    try {
+        IMPORT_STATE.prepared = await prepareImportRows();
+        const report = {
+            accepted: 0,
+            rejected: IMPORT_STATE.prepared.filter(entry => entry.error).map(entry => ({ line: entry.line, error: entry.error })),
+            duplicates: []
+        };
+        const toCheck = IMPORT_STATE.prepared.filter(entry => entry.payload);
+        const byLine = new Map(toCheck.map(entry => [entry.line, entry.payload]));
+        const batches = chunk(toCheck.map(entry => entry.payload), IMPORT_BATCH_SIZE);
+        for (let i = 0; i < batches.length; i++) {
+            setImportProgress(`Đang kiểm tra ${Math.min((i + 1) * IMPORT_BATCH_SIZE, toCheck.length)}/${toCheck.length} dòng...`);
+            const res = await window.importOrders(batches[i], true);
+            if (!res || res.success === false) throw new Error((res && res.error) || 'API error');
+            res.accepted.forEach(entry => IMPORT_STATE.accepted.push(byLine.get(entry.line)));
+            report.rejected.push(...res.rejected);
+            report.duplicates.push(...res.duplicates);
+        }
+        report.accepted = IMPORT_STATE.accepted.length;
+        report.rejected.sort((a, b) => a.line - b.line);
+        renderImportReport(report);
+    } catch (err) {
+        console.error('Import dry run failed:', err);
+        showToast(err.message || 'Không kiểm tra được file', 'error');
+        renderImportReport(null);
+    } finally {
+        IMPORT_STATE.busy = false;
+        setImportProgress('');
+    }
+}
+
+async function commitImport() {
+    const rows = IMPORT_STATE.accepted;
+    if (!rows.length || !confirm(`Nhập ${rows.length} đơn vào sheet?`)) return;
+    IMPORT_STATE.busy = true;
+    let imported = 0;
+    let skipped = 0;
+    const rejected = [];
+    try {
+        const batches = chunk(rows, IMPORT_BATCH_SIZE);
+        for (let i = 0; i < batches.length; i++) {
+            setImportProgress(`Đang nhập ${imported + skipped}/${rows.length} đơn...`);
+            const res = await window.importOrders(batches[i], false);
+            if (!res || res.success === false) throw new Error((res && res.error) || 'API error');
+            imported += res.imported || 0;
+            skipped += res.duplicates.length;
+            rejected.push(...res.rejected);
+        }
+        showToast(`Đã nhập ${imported} đơn`, 'success');
+        IMPORT_STATE.accepted = [];
+        renderImportReport({ imported, duplicates: Array(skipped), rejected, done: true });
+        if (typeof refreshOrders === 'function') refreshOrders();
+    } catch (err) {
+        // Batches already written stay; running the dry run again marks them as duplicates
+        console.error('Import failed:', err);
+        showToast(`Đã nhập ${imported} đơn, lỗi ở lô tiếp theo: ${err.message || 'API error'}`, 'error');
+    } finally {
+        IMPORT_STATE.busy = false;
+        setImportProgress('');
+    }
+}
+
+function renderImportReport(report) {
+    const box = document.getElementById('importReport');
+    const commitBtn = document.getElementById('importCommitBtn');
+    if (!box) return;
+    if (!report) {
+        box.innerHTML = '';
+        commitBtn?.classList.add('hidden');
+        return;
+    }
+    const summary = report.done
+        ? `✅ Đã nhập ${report.imported} đơn`
+        : `✅ ${report.accepted} dòng hợp lệ`;
+    const hasRejected = report.rejected.length > 0;
+    box.innerHTML = `
+        <p class="text-sm text-gray-700">
+            ${summary}
+            ${report.duplicates.length ? ` · ⏭️ ${report.duplicates.length} đơn đã có (bỏ qua)` : ''}
+            ${report.rejected.length ? ` · ❌ ${report.rejected.length} dòng lỗi` : ''}
+        </p>
+        ${hasRejected ? `
+        <table class="w-full text-xs mt-2">
+            <thead><tr class="text-left text-gray-500"><th class="py-1 pr-3">Dòng</th><th class="py-1">Lỗi</th></tr></thead>
+            <tbody class="divide-y divide-gray-100"></tbody>
+        </table>
+        ${report.rejected.length > 100 ? `<p class="text-xs text-gray-500 mt-1">… và ${report.rejected.length - 100} dòng lỗi khác</p>` : ''}` : ''}`;
+    // Errors can quote the file's text (e.g. an unreadable date): filled in with textContent
+    const tbody = box.querySelector('tbody');
+    report.rejected.slice(0, 100).forEach(entry => {
+        const tr = tbody.insertRow();
+        const lineCell = tr.insertCell();
+        lineCell.className = 'py-1 pr-3 text-gray-500';
+        lineCell.textContent = entry.line;
+        const errorCell = tr.insertCell();
+        errorCell.className = 'py-1';
+        errorCell.textContent = entry.error;
+    });
+    if (commitBtn) {
+        commitBtn.textContent = `Nhập ${IMPORT_STATE.accepted.length} đơn`;
+        commitBtn.classList.toggle('hidden', report.done || IMPORT_STATE.accepted.length === 0);
+    }
+}
+
+document.getElementById('importFile')?.addEventListener('change', (e) => onImportFile(e.target.files[0]));
+document.getElementById('importMapping')?.addEventListener('change', (e) => {
+    const select = e.target.closest('select[data-field]');
+    if (!select) return;
+    IMPORT_STATE.mapping[select.dataset.field] = Number(select.value);
+    // Mapping changed: the previous dry run no longer applies
+    IMPORT_STATE.accepted = [];
+    renderImportReport(null);
+});
+document.getElementById('importDryRunBtn')?.addEventListener('click', () => {
+    if (!IMPORT_STATE.busy) runImportDryRun();
+});
+document.getElementById('importCommitBtn')?.addEventListener('click', () => {
+    if (!IMPORT_STATE.busy) commitImport();
+});
+
+console.log('Import module loaded');
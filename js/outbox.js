@@ -0,0 +1,190 @@
+// Offline outbox for orders (IndexedDB)
+// Shared by the page and the Service Worker (sw.js loads it with importScripts)
+'use strict';
+
+const OrderOutbox = (function() {
+    const DB_NAME = 'salon-outbox';
+    const DB_VERSION = 1;
+    const ORDERS_STORE = 'orders';
+    const META_STORE = 'meta';
+    const SYNC_TAG = 'order-outbox';
+
+    let dbPromise = null;
+    let replaying = null;
+
+    function openDB() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(ORDERS_STORE)) {
+                    // seq keeps insertion order so replay happens oldest → newest
+                    const store = db.createObjectStore(ORDERS_STORE, { keyPath: 'seq', autoIncrement: true });
+                    store.createIndex('orderId', 'orderId', { unique: true });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE);
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                dbPromise = null;
+                reject(req.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    // Run a single request inside a transaction and resolve when it commits
+    function run(storeName, mode, fn) {
+        return openDB().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    // Queue an order; payload is the exact form body for the API (without idToken)
+    function add(order, payload) {
+        const entry = {
+            orderId: order.id,
+            order: order,
+            payload: payload,
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: ''
+        };
+        return run(ORDERS_STORE, 'readwrite', store => store.add(entry)).then(seq => ({ ...entry, seq }));
+    }
+
+    function list() {
+        return run(ORDERS_STORE, 'readonly', store => store.getAll());
+    }
+
+    // Entries still waiting to be sent (rejected ones wait for the user instead)
+    async function count() {
+        const entries = await list();
+        return entries.filter(e => !e.rejected).length;
+    }
+
+    function put(entry) {
+        return run(ORDERS_STORE, 'readwrite', store => store.put(entry));
+    }
+
+    function remove(seq) {
+        return run(ORDERS_STORE, 'readwrite', store => store.delete(seq));
+    }
+
+    async function removeByOrderId(orderId) {
+        const entries = await list();
+        const entry = entries.find(e => e.orderId === orderId);
+        if (!entry) return false;
+        await remove(entry.seq);
+        return true;
+    }
+
+    function setMeta(key, value) {
+        return run(META_STORE, 'readwrite', store => store.put(value, key));
+    }
+
+    function getMeta(key) {
+        return run(META_STORE, 'readonly', store => store.get(key));
+    }
+
+    // Rate limit, lock wait or a server hiccup: sending the same order later can work
+    function isTransient(data) {
+        if (!data) return true;
+        if (data.retry) return true;
+        return /Quá nhiều yêu cầu|lock|timed? ?out|too many/i.test(String(data.error || ''));
+    }
+
+    // POST queued orders one by one, oldest first.
+    // Stops at the first network failure or transient error so later orders never overtake earlier ones.
+    // An order the server rejects stays in the store as "rejected" until the user re-enters or discards it.
+    function replay() {
+        if (replaying) return replaying;
+        replaying = (async () => {
+            const synced = [];
+            const failed = [];
+            let blocked = false;
+
+            const auth = await getMeta('auth');
+            if (!auth || !auth.apiUrl || !auth.idToken) {
+                return { synced, failed, blocked: true, remaining: await count() };
+            }
+
+            const entries = (await list()).filter(e => !e.rejected);
+            for (const entry of entries) {
+                let data;
+                try {
+                    const body = new URLSearchParams({
+                        ...(entry.payload || {}),
+                        origin: auth.origin || '',
+                        appVersion: auth.appVersion || '',
+                        idToken: auth.idToken
+                    }).toString();
+                    const res = await fetch(auth.apiUrl, {
+                        method: 'POST',
+                        mode: 'cors',
+                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                        body
+                    });
+                    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+                    data = JSON.parse(await res.text());
+                } catch (err) {
+                    entry.attempts = (entry.attempts || 0) + 1;
+                    entry.lastError = String((err && err.message) || err);
+                    await put(entry);
+                    break;
+                }
+
+                if (data && (data.error === 'Unauthorized' || data.error === 'Forbidden')) {
+                    // Token expired: keep the queue until the page signs in again
+                    blocked = true;
+                    break;
+                }
+
+                if (data && data.success !== false && !data.error) {
+                    await remove(entry.seq);
+                    synced.push({ orderId: entry.orderId, order: data.order || null });
+                    continue;
+                }
+
+                entry.attempts = (entry.attempts || 0) + 1;
+                entry.lastError = (data && data.error) || 'API error';
+                if (isTransient(data)) {
+                    await put(entry);
+                    break;
+                }
+                entry.rejected = true;
+                await put(entry);
+                failed.push({ orderId: entry.orderId, error: entry.lastError });
+            }
+
+            return { synced, failed, blocked, remaining: await count() };
+        })();
+        replaying.then(() => { replaying = null; }, () => { replaying = null; });
+        return replaying;
+    }
+
+    return {
+        SYNC_TAG,
+        add,
+        list,
+        count,
+        remove,
+        removeByOrderId,
+        setMeta,
+        getMeta,
+        replay
+    };
+})();
+
+self.OrderOutbox = OrderOutbox;
@@ -0,0 +1,339 @@
+// Minimal QR code encoder (byte mode, error correction level M) rendered as SVG
+// Kept dependency-free so payment QR codes work without a CDN
+'use strict';
+
+const QRCode = (function() {
+    // Level M tables, indexed by version (1-40)
+    const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+    const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+    // Format bits for level M
+    const ECC_FORMAT_BITS = 0;
+
+    function getBit(value, i) {
+        return ((value >>> i) & 1) !== 0;
+    }
+
+    function getNumRawDataModules(ver) {
+        let result = (16 * ver + 128) * ver + 64;
+        if (ver >= 2) {
+            const numAlign = Math.floor(ver / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (ver >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(ver) {
+        return Math.floor(getNumRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * NUM_ECC_BLOCKS[ver];
+    }
+
+    // GF(256) arithmetic with the QR polynomial 0x11D
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const b of data) {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+        }
+        return result;
+    }
+
+    // UTF-8 bytes → data codewords for the smallest version that fits
+    function encodeData(bytes) {
+        let ver = 1;
+        for (; ver <= 40; ver++) {
+            const countBits = ver <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= getNumDataCodewords(ver) * 8) break;
+        }
+        if (ver > 40) throw new Error('QR data too long');
+
+        const bits = [];
+        const append = (value, len) => {
+            for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0x4, 4); // byte mode
+        append(bytes.length, ver <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        const capacity = getNumDataCodewords(ver) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+        return { ver, codewords };
+    }
+
+    // Split into blocks, append ECC to each, then interleave
+    function addEccAndInterleave(ver, data) {
+        const numBlocks = NUM_ECC_BLOCKS[ver];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ver];
+        const rawCodewords = Math.floor(getNumRawDataModules(ver) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = reedSolomonDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = reedSolomonRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0);
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding slot of short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    function getAlignmentPositions(ver, size) {
+        if (ver === 1) return [];
+        const numAlign = Math.floor(ver / 7) + 2;
+        const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function createMatrix(ver) {
+        const size = ver * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns (not over the finders)
+        const align = getAlignmentPositions(ver, size);
+        const last = align.length - 1;
+        align.forEach((ax, i) => {
+            align.forEach((ay, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Version information (version 7+)
+        if (ver >= 7) {
+            let rem = ver;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (ver << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, getBit(bits, i));
+                setFunction(b, a, getBit(bits, i));
+            }
+        }
+
+        return { size, modules, isFunction, setFunction };
+    }
+
+    function drawFormatBits(matrix, mask) {
+        const { size, setFunction } = matrix;
+        const data = (ECC_FORMAT_BITS << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+        setFunction(8, 7, getBit(bits, 6));
+        setFunction(8, 8, getBit(bits, 7));
+        setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+        setFunction(8, size - 8, true); // dark module
+    }
+
+    // Zigzag placement of the codeword bits
+    function drawCodewords(matrix, codewords) {
+        const { size, modules, isFunction } = matrix;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    // XOR is its own inverse: applying the same mask twice undoes it
+    function applyMask(matrix, mask) {
+        const { size, modules, isFunction } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    // Standard penalty score (runs, 2×2 blocks, finder-like patterns, dark balance)
+    function penaltyScore(matrix) {
+        const { size, modules } = matrix;
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+        let score = 0;
+        let dark = 0;
+
+        const scoreLine = (get) => {
+            let runColor = null;
+            let runLength = 0;
+            for (let i = 0; i < size; i++) {
+                const color = get(i);
+                if (color === runColor) {
+                    runLength++;
+                    if (runLength === 5) score += 3;
+                    else if (runLength > 5) score++;
+                } else {
+                    runColor = color;
+                    runLength = 1;
+                }
+                if (i + 11 <= size) {
+                    finderLike.forEach(pattern => {
+                        if (pattern.every((bit, k) => get(i + k) === (bit === 1))) score += 40;
+                    });
+                }
+            }
+        };
+
+        for (let i = 0; i < size; i++) {
+            scoreLine(x => modules[i][x]);
+            scoreLine(y => modules[y][i]);
+        }
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+                }
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    // Text → square boolean matrix (true = dark), without the quiet zone
+    function encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        const { ver, codewords } = encodeData(bytes);
+        const matrix = createMatrix(ver);
+        drawFormatBits(matrix, 0); // reserve the format area before placing data
+        drawCodewords(matrix, addEccAndInterleave(ver, codewords));
+
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, mask);
+            const score = penaltyScore(matrix);
+            if (score < bestScore) {
+                bestMask = mask;
+                bestScore = score;
+            }
+            applyMask(matrix, mask);
+        }
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, bestMask);
+        return matrix.modules;
+    }
+
+    // Text → SVG markup (4-module quiet zone, scales to its container)
+    function toSvg(text, options = {}) {
+        const modules = encode(text);
+        const border = 4;
+        const size = modules.length + border * 2;
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+            });
+        });
+        const cls = options.className ? ` class="${options.className}"` : '';
+        return `<svg${cls} xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    return {
+        encode,
+        toSvg
+    };
+})();
+
+window.QRCode = QRCode;
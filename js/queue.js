@@ -0,0 +1,275 @@
+'use strict';
+
+// Walk-in queue: who is waiting, who takes them, starting a walk-in into an order, wait-time stats
+const QUEUE_STATE = {
+    queue: [],
+    today: null,
+    stylists: [],
+    loading: false,
+    pollTimer: null
+};
+
+// Refresh while the screen is open so every device sees new arrivals
+const QUEUE_POLL_MS = 30000;
+
+function queueStylistName(email) {
+    const match = QUEUE_STATE.stylists.find(s => s.email === email);
+    return (match && match.name) || email;
+}
+
+function minutesSince(iso) {
+    const time = new Date(iso).getTime();
+    return isNaN(time) ? 0 : Math.max(0, Math.round((Date.now() - time) / 60000));
+}
+
+function stylistOptions(selected, emptyLabel) {
+    return `<option value="">${emptyLabel}</option>` + QUEUE_STATE.stylists
+        .map(s => `<option value="${s.email}" ${s.email === selected ? 'selected' : ''}>${s.name || s.email}</option>`)
+        .join('');
+}
+
+// Fetch the live queue (and the 7-day wait table unless quiet) and render both
+window.loadQueue = async function(quiet) {
+    if (QUEUE_STATE.loading || typeof window.getQueue !== 'function') return;
+    QUEUE_STATE.loading = true;
+    try {
+        const res = await window.getQueue();
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        QUEUE_STATE.queue = res.queue || [];
+        QUEUE_STATE.today = res.today || null;
+        QUEUE_STATE.stylists = res.stylists || QUEUE_STATE.stylists;
+        renderWalkInForm();
+        renderQueue();
+    } catch (err) {
+        console.error('Failed to load queue:', err);
+        if (!quiet) {
+            const list = document.getElementById('queueList');
+            if (list) list.innerHTML = '<p class="text-center py-8 text-gray-500">Không tải được hàng chờ</p>';
+            if (typeof window.showToast === 'function') showToast('Không tải được hàng chờ', 'error');
+        }
+    } finally {
+        QUEUE_STATE.loading = false;
+    }
+    if (!quiet) loadQueueStats();
+    scheduleQueuePoll();
+};
+
+async function loadQueueStats() {
+    const box = document.getElementById('queueStats');
+    if (!box || typeof window.getQueueStats !== 'function') return;
+    try {
+        const res = await window.getQueueStats();
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        renderQueueStats(res.days || []);
+    } catch (err) {
+        console.error('Failed to load queue stats:', err);
+        box.innerHTML = '<p class="text-sm text-gray-500">Không tải được thống kê</p>';
+    }
+}
+
+function scheduleQueuePoll() {
+    clearTimeout(QUEUE_STATE.pollTimer);
+    QUEUE_STATE.pollTimer = setTimeout(() => {
+        if (APP_STATE.view === 'queue' && document.visibilityState === 'visible') {
+            window.loadQueue(true);
+        }
+    }, QUEUE_POLL_MS);
+}
+
+function renderWalkInForm() {
+    const form = document.getElementById('walkInForm');
+    if (!form) return;
+    const requested = form.elements.requestedStylist.value;
+    form.elements.requestedStylist.innerHTML = stylistOptions(requested, 'Thợ nào cũng được');
+    const services = (typeof APP_STATE !== 'undefined' && APP_STATE.services) || [];
+    document.getElementById('walkInServiceOptions').innerHTML = services
+        .map(svc => `<option value="${svc.name}"></option>`).join('');
+}
+
+function renderQueueSummary() {
+    const summary = document.getElementById('queueSummary');
+    if (!summary) return;
+    const waiting = QUEUE_STATE.queue.filter(w => w.status === 'waiting').length;
+    const today = QUEUE_STATE.today || {};
+    summary.textContent = [
+        `Đang chờ: ${waiting}`,
+        `Đã phục vụ hôm nay: ${today.served || 0}`,
+        today.served ? `chờ TB ${today.averageWait} phút` : '',
+        today.left ? `bỏ về: ${today.left}` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+function renderWalkInRow(walkIn, position) {
+    const waiting = walkIn.status === 'waiting';
+    const details = [
+        walkIn.service,
+        walkIn.customerPhone,
+        walkIn.requestedStylist ? `muốn ${queueStylistName(walkIn.requestedStylist)}` : ''
+    ].filter(Boolean).join(' · ');
+    return `
+        <div class="py-3 ${waiting ? '' : 'opacity-70'}">
+            <div class="flex items-start justify-between">
+                <div class="min-w-0">
+                    <div class="text-sm font-medium text-gray-800">${waiting ? `${position}. ` : ''}${walkIn.customerName}</div>
+                    ${details ? `<div class="text-xs text-gray-500">${details}</div>` : ''}
+                </div>
+                <span class="text-xs shrink-0 ${waiting ? 'text-orange-600' : 'text-green-600'}">
+                    ${waiting ? `⏳ ${minutesSince(walkIn.arrivedAt)} phút` : `✂️ ${queueStylistName(walkIn.stylist)}`}
+                </span>
+            </div>
+            <div class="flex items-center space-x-1 mt-2">
+                ${waiting ? `
+                <select data-action="assign" data-id="${walkIn.id}" class="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 rounded-lg">
+                    ${stylistOptions(walkIn.stylist, 'Chưa phân thợ')}
+                </select>
+                <button type="button" data-action="start" data-id="${walkIn.id}" class="px-2 py-1 text-xs bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition">Bắt đầu</button>
+                <button type="button" data-action="remove" data-id="${walkIn.id}" class="px-2 py-1 text-xs text-red-500 hover:bg-red-50 rounded-lg transition">Bỏ về</button>
+                ` : `
+                <span class="flex-1 text-xs text-gray-500">Đang làm · chờ ${walkIn.waitMinutes || 0} phút</span>
+                <button type="button" data-action="order" data-id="${walkIn.id}" class="px-2 py-1 text-xs bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition">Tạo đơn</button>
+                `}
+            </div>
+        </div>`;
+}
+
+function renderQueue() {
+    renderQueueSummary();
+    const list = document.getElementById('queueList');
+    if (!list) return;
+    if (QUEUE_STATE.queue.length === 0) {
+        list.innerHTML = '<p class="text-center py-8 text-gray-500">Không có khách đang chờ</p>';
+        return;
+    }
+    // Waiting customers first (arrival order, numbered), then those already in the chair
+    const waiting = QUEUE_STATE.queue.filter(w => w.status === 'waiting');
+    const started = QUEUE_STATE.queue.filter(w => w.status !== 'waiting');
+    list.innerHTML = waiting.map((w, i) => renderWalkInRow(w, i + 1)).join('')
+        + started.map(w => renderWalkInRow(w, 0)).join('');
+}
+
+function renderQueueStats(days) {
+    const box = document.getElementById('queueStats');
+    if (!box) return;
+    if (days.length === 0) {
+        box.innerHTML = '<p class="text-sm text-gray-500">Chưa có dữ liệu</p>';
+        return;
+    }
+    box.innerHTML = `
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-xs text-gray-500">
+                    <th class="py-1">Ngày</th>
+                    <th class="py-1 text-right">Phục vụ</th>
+                    <th class="py-1 text-right">Chờ TB</th>
+                    <th class="py-1 text-right">Lâu nhất</th>
+                    <th class="py-1 text-right">Bỏ về</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-100">
+                ${days.slice().reverse().map(day => `
+                <tr>
+                    <td class="py-1">${new Date(`${day.date}T00:00:00`).toLocaleDateString('vi-VN', { weekday: 'short', day: '2-digit', month: '2-digit' })}</td>
+                    <td class="py-1 text-right">${day.served}</td>
+                    <td class="py-1 text-right">${day.averageWait} phút</td>
+                    <td class="py-1 text-right">${day.maxWait} phút</td>
+                    <td class="py-1 text-right">${day.left}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+function findWalkIn(id) {
+    return QUEUE_STATE.queue.find(w => String(w.id) === String(id));
+}
+
+async function submitWalkInForm(form) {
+    let walkIn;
+    try {
+        const customerName = form.elements.customerName.value.trim();
+        if (!customerName) throw new Error('Vui lòng nhập tên khách');
+        walkIn = {
+            customerName,
+            customerPhone: ClientValidator.validatePhone(form.elements.customerPhone.value),
+            service: form.elements.service.value.trim() ? ClientValidator.validateService(form.elements.service.value) : '',
+            requestedStylist: form.elements.requestedStylist.value
+        };
+    } catch (validationError) {
+        showToast(validationError.message, 'error');
+        return;
+    }
+
+    showLoading(true);
+    try {
+        const res = await window.addWalkIn(walkIn);
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        showToast(`Đã thêm ${walkIn.customerName} vào hàng chờ`, 'success');
+        form.reset();
+        await window.loadQueue(true);
+    } catch (err) {
+        showToast(err.message || 'Không thể thêm vào hàng chờ', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Run a queue write, then refresh; returns the saved walk-in or null on failure
+async function runQueueAction(request, fallbackError) {
+    showLoading(true);
+    try {
+        const res = await request();
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        return res.walkIn || {};
+    } catch (err) {
+        showToast(err.message || fallbackError, 'error');
+        return null;
+    } finally {
+        showLoading(false);
+        window.loadQueue(true);
+    }
+}
+
+// The order form, filled in from the walk-in; saving it closes the queue row
+function prefillOrderFromWalkIn(walkIn) {
+    prefillOrderForm(walkIn, { queueId: walkIn.id }, `🚶 Từ hàng chờ: ${walkIn.customerName}`);
+}
+
+async function onStartWalkIn(walkIn) {
+    const row = document.querySelector(`#queueList select[data-id="${walkIn.id}"]`);
+    const started = await runQueueAction(
+        () => window.startWalkIn(walkIn.id, row ? row.value : walkIn.stylist),
+        'Không thể bắt đầu'
+    );
+    if (started) prefillOrderFromWalkIn({ ...walkIn, ...started });
+}
+
+async function onRemoveWalkIn(walkIn) {
+    if (!confirm(`${walkIn.customerName} bỏ về?`)) return;
+    const removed = await runQueueAction(() => window.removeWalkIn(walkIn.id), 'Không thể cập nhật hàng chờ');
+    if (removed) showToast(`Đã bỏ ${walkIn.customerName} khỏi hàng chờ`, 'success');
+}
+
+document.getElementById('walkInForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitWalkInForm(e.target);
+});
+document.getElementById('queueRefreshBtn')?.addEventListener('click', () => window.loadQueue());
+document.getElementById('queueList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const walkIn = findWalkIn(btn.dataset.id);
+    if (!walkIn) return;
+    if (btn.dataset.action === 'start') onStartWalkIn(walkIn);
+    if (btn.dataset.action === 'remove') onRemoveWalkIn(walkIn);
+    if (btn.dataset.action === 'order') prefillOrderFromWalkIn(walkIn);
+});
+document.getElementById('queueList')?.addEventListener('change', (e) => {
+    const select = e.target.closest('select[data-action="assign"]');
+    if (!select) return;
+    runQueueAction(() => window.assignWalkIn(select.dataset.id, select.value), 'Không thể phân thợ');
+});
+// Back on the tab: refresh right away instead of waiting for the next poll
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && APP_STATE.view === 'queue') window.loadQueue(true);
+});
+
+console.log('Queue module loaded');
@@ -0,0 +1,164 @@
+'use strict';
+
+// Reports: one month of daily revenue, the service mix and orders by hour of day.
+// Data from the "reports" action, drawn with js/charts.js
+const REPORTS_STATE = {
+    month: '',
+    data: null,
+    // Bumped per fetch so a slow response for another month is dropped
+    requestId: 0
+};
+
+// Slices beyond this are grouped as "Khác" so the donut stays readable
+const REPORTS_MAX_SERVICES = 7;
+
+function reportMonthKey(date) {
+    return toDateKey(date).slice(0, 7);
+}
+
+function shiftReportMonth(month, delta) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return reportMonthKey(new Date(year, monthNumber - 1 + delta, 1));
+}
+
+// Opening the tab: this month unless another one was picked
+window.loadReports = function() {
+    if (!REPORTS_STATE.month) REPORTS_STATE.month = reportMonthKey(new Date());
+    fetchReports(REPORTS_STATE.month);
+};
+
+async function fetchReports(month) {
+    if (typeof window.getReportData !== 'function') return;
+    const requestId = ++REPORTS_STATE.requestId;
+    REPORTS_STATE.month = month;
+    renderReportsMonthPicker();
+    const status = document.getElementById('reportsStatus');
+    if (status) status.textContent = 'Đang tải...';
+    try {
+        const employeeFilter = getEmployeeFilter();
+        const res = await window.getReportData({ month, ...(employeeFilter ? { employee: employeeFilter } : {}) });
+        if (requestId !== REPORTS_STATE.requestId) return;
+        if (!res || res.error || res.success === false) throw new Error((res && res.error) || 'API error');
+        REPORTS_STATE.data = res;
+        renderReports();
+    } catch (err) {
+        if (requestId !== REPORTS_STATE.requestId) return;
+        console.error('Failed to load reports:', err);
+        if (status) status.textContent = '';
+        showToast('Không tải được báo cáo', 'error');
+    }
+}
+
+function renderReportsMonthPicker() {
+    const input = document.getElementById('reportsMonth');
+    const next = document.getElementById('reportsNextMonth');
+    const thisMonth = reportMonthKey(new Date());
+    if (input) {
+        input.value = REPORTS_STATE.month;
+        input.max = thisMonth;
+    }
+    if (next) next.disabled = REPORTS_STATE.month >= thisMonth;
+}
+
+function renderReports() {
+    const data = REPORTS_STATE.data;
+    if (!data) return;
+    const status = document.getElementById('reportsStatus');
+    const charts = document.getElementById('reportsCharts');
+    const [year, monthNumber] = data.month.split('-');
+    if (status) {
+        status.textContent = data.totals.orders ? '' : `Chưa có đơn hàng trong tháng ${monthNumber}/${year}`;
+    }
+    charts?.classList.toggle('hidden', !data.totals.orders);
+    renderReportsSummary(data);
+    if (!data.totals.orders) return;
+
+    // Canvases only have a size while visible
+    const revenueCanvas = document.getElementById('reportsRevenueChart');
+    if (revenueCanvas) {
+        Charts.line(revenueCanvas, data.days.map(day => day.revenue), data.days.map(day => Number(day.date.slice(8))), {
+            height: 200,
+            formatValue: value => formatCurrency(value, true)
+        });
+    }
+    renderReportsServices(data.services);
+    renderReportsHours(data.hours);
+}
+
+function renderReportsSummary(data) {
+    const box = document.getElementById('reportsSummary');
+    if (!box) return;
+    const { orders, revenue, tips } = data.totals;
+    const cards = [
+        ['Doanh thu', formatCurrency(revenue, true), 'text-green-600'],
+        ['Số đơn', orders, 'text-purple-600'],
+        ['TB mỗi đơn', orders ? formatCurrency(Math.round(revenue / orders), true) : '—', 'text-gray-800'],
+        ['Tip', formatCurrency(tips, true), 'text-gray-800']
+    ];
+    box.innerHTML = cards.map(([label, value, color]) => `
+        <div class="bg-gray-50 rounded-lg p-3 text-center">
+            <div class="text-xs text-gray-500">${label}</div>
+            <div class="text-lg font-bold ${color}">${value}</div>
+        </div>`).join('');
+}
+
+function renderReportsServices(services) {
+    const canvas = document.getElementById('reportsServiceChart');
+    const legend = document.getElementById('reportsServiceLegend');
+    const slices = services.slice(0, REPORTS_MAX_SERVICES).map(svc => ({ label: svc.service, value: svc.revenue, quantity: svc.quantity }));
+    const rest = services.slice(REPORTS_MAX_SERVICES);
+    if (rest.length) {
+        slices.push({
+            label: `Khác (${rest.length} dịch vụ)`,
+            value: rest.reduce((sum, svc) => sum + svc.revenue, 0),
+            quantity: rest.reduce((sum, svc) => sum + svc.quantity, 0)
+        });
+    }
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    const colors = canvas ? Charts.donut(canvas, slices, { height: 180, centerLabel: formatCurrency(total, true) }) : [];
+    if (!legend) return;
+    legend.innerHTML = slices.map((slice, i) => `
+        <li class="flex items-center justify-between gap-2 py-1">
+            <span class="flex items-center gap-2 min-w-0">
+                <span class="inline-block w-3 h-3 rounded-sm flex-shrink-0" style="background:${colors[i] || '#9ca3af'}"></span>
+                <span class="truncate">${slice.label}</span>
+                <span class="text-xs text-gray-400 flex-shrink-0">${slice.quantity} lượt</span>
+            </span>
+            <span class="text-right flex-shrink-0">
+                ${formatCurrency(slice.value, true)}
+                <span class="text-xs text-gray-500">${total ? Math.round(slice.value * 100 / total) : 0}%</span>
+            </span>
+        </li>`).join('');
+}
+
+// Opening hours only: from the first to the last busy hour, at least 8h–21h
+function renderReportsHours(hours) {
+    const canvas = document.getElementById('reportsHourChart');
+    if (!canvas) return;
+    const busy = hours.map((count, hour) => (count ? hour : -1)).filter(hour => hour >= 0);
+    const first = Math.min(8, ...busy);
+    const last = Math.max(21, ...busy);
+    const range = hours.slice(first, last + 1);
+    Charts.bars(canvas, range, range.map((count, i) => `${first + i}h`), {
+        height: 160,
+        color: '#ec4899',
+        formatValue: value => (Number.isInteger(value) ? String(value) : value.toFixed(1))
+    });
+}
+
+document.getElementById('reportsMonth')?.addEventListener('change', (e) => {
+    if (e.target.value) fetchReports(e.target.value);
+});
+document.getElementById('reportsPrevMonth')?.addEventListener('click', () => fetchReports(shiftReportMonth(REPORTS_STATE.month, -1)));
+document.getElementById('reportsNextMonth')?.addEventListener('click', () => fetchReports(shiftReportMonth(REPORTS_STATE.month, 1)));
+
+// Canvas sizes follow the layout: redraw after the window settles
+let reportsResizeTimer = null;
+window.addEventListener('resize', () => {
+    clearTimeout(reportsResizeTimer);
+    reportsResizeTimer = setTimeout(() => {
+        if (APP_STATE.view === 'reports') renderReports();
+    }, 200);
+});
+
+console.log('Reports module loaded');
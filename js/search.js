@@ -0,0 +1,193 @@
+'use strict';
+
+// Orders list search: text over service/notes, date preset (fetched from the server),
+// service and employee filters (on the loaded orders) and sort order
+const SEARCH_STATE = {
+    text: '',
+    date: 'today',
+    service: 'all',
+    employee: 'all',
+    sort: 'newest'
+};
+
+const DATE_FILTER_LABELS = {
+    today: 'Đơn hàng hôm nay',
+    yesterday: 'Đơn hàng hôm qua',
+    week: 'Đơn hàng tuần này',
+    month: 'Đơn hàng tháng này',
+    all: 'Đơn hàng gần đây'
+};
+
+const ORDER_SORTERS = {
+    newest: (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
+    oldest: (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+    price_high: (a, b) => b.price - a.price,
+    price_low: (a, b) => a.price - b.price,
+    service: (a, b) => String(a.service).localeCompare(String(b.service), 'vi'),
+    employee: (a, b) => orderEmployeeLabel(a).localeCompare(orderEmployeeLabel(b), 'vi')
+};
+
+// "Gội đầu" and "goi dau" match alike
+function foldSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .toLowerCase()
+        .trim();
+}
+
+function orderEmployeeLabel(order) {
+    return order.employeeName || order.employee || '';
+}
+
+function orderServiceNames(order) {
+    const names = Array.isArray(order.items) ? order.items.map(item => item.service) : [];
+    return names.length ? names : [order.service];
+}
+
+/** { from, to } (YYYY-MM-DD) for the date preset, or null for "Tất cả" */
+function getSearchDateRange() {
+    const today = new Date();
+    const start = new Date(today);
+    switch (SEARCH_STATE.date) {
+        case 'yesterday':
+            start.setDate(start.getDate() - 1);
+            return { from: toDateKey(start), to: toDateKey(start) };
+        case 'week':
+            // Monday-based, like the schedule
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            return { from: toDateKey(start), to: toDateKey(today) };
+        case 'month':
+            start.setDate(1);
+            return { from: toDateKey(start), to: toDateKey(today) };
+        case 'all':
+            // The server's newest page; anything older is in the "Lịch sử" tab
+            return null;
+        default:
+            return { from: toDateKey(today), to: toDateKey(today) };
+    }
+}
+
+// Anything other than "today's orders, unfiltered" (sort order alone doesn't count)
+function isSearchActive() {
+    return !!SEARCH_STATE.text || SEARCH_STATE.date !== 'today' ||
+        SEARCH_STATE.service !== 'all' || SEARCH_STATE.employee !== 'all';
+}
+
+/** Orders to show, filtered and sorted; also updates #searchStats and the list title */
+function applyOrderSearch(orders) {
+    const range = getSearchDateRange();
+    const terms = foldSearchText(SEARCH_STATE.text).split(/\s+/).filter(Boolean);
+    const result = orders.filter(order => {
+        if (range) {
+            const day = toDateKey(order.timestamp);
+            if (day < range.from || day > range.to) return false;
+        }
+        if (SEARCH_STATE.service !== 'all' && !orderServiceNames(order).includes(SEARCH_STATE.service)) return false;
+        if (SEARCH_STATE.employee !== 'all' && String(order.employee).toLowerCase() !== SEARCH_STATE.employee) return false;
+        if (terms.length) {
+            const haystack = foldSearchText([order.service, order.notes].concat(orderServiceNames(order)).join(' '));
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+        return true;
+    });
+    result.sort(ORDER_SORTERS[SEARCH_STATE.sort] || ORDER_SORTERS.newest);
+    renderSearchStats(result, orders.length);
+    const title = document.getElementById('ordersListTitle');
+    if (title) title.textContent = DATE_FILTER_LABELS[SEARCH_STATE.date] || DATE_FILTER_LABELS.today;
+    return result;
+}
+
+function renderSearchStats(result, loaded) {
+    const stats = document.getElementById('searchStats');
+    if (!stats) return;
+    if (!isSearchActive()) {
+        stats.innerHTML = '';
+        return;
+    }
+    const revenue = result.reduce((sum, order) => sum + (order.price || 0), 0);
+    stats.innerHTML = `
+        <div class="flex justify-between items-center text-sm text-gray-600 bg-purple-50 rounded-lg px-3 py-2">
+            <span>Tìm thấy <strong>${result.length}</strong>/${loaded} đơn · ${formatCurrency(revenue, true)}</span>
+            <button type="button" onclick="clearSearch()" class="text-xs text-purple-600 hover:underline">Xóa bộ lọc</button>
+        </div>`;
+}
+
+// Service/employee choices from the catalog and the loaded orders; keeps the current pick
+// while it still exists, otherwise falls back to "all" and redraws the list
+function buildFilterOptions() {
+    const previous = `${SEARCH_STATE.service}|${SEARCH_STATE.employee}`;
+    const serviceSelect = document.getElementById('serviceFilter');
+    const employeeSelect = document.getElementById('employeeFilter');
+    const orders = APP_STATE.orders.concat(APP_STATE.pendingOrders || []);
+
+    if (serviceSelect) {
+        const names = new Set(APP_STATE.services.map(svc => svc.name));
+        orders.forEach(order => orderServiceNames(order).forEach(name => name && names.add(name)));
+        serviceSelect.innerHTML = '<option value="all">Tất cả dịch vụ</option>' + Array.from(names)
+            .sort((a, b) => a.localeCompare(b, 'vi'))
+            .map(name => `<option value="${name}">${name}</option>`).join('');
+        serviceSelect.value = names.has(SEARCH_STATE.service) ? SEARCH_STATE.service : 'all';
+        SEARCH_STATE.service = serviceSelect.value;
+    }
+
+    if (employeeSelect) {
+        const employees = new Map();
+        orders.forEach(order => {
+            const email = String(order.employee || '').toLowerCase();
+            if (email && !employees.has(email)) employees.set(email, order.employeeName || email);
+        });
+        employeeSelect.innerHTML = '<option value="all">Tất cả nhân viên</option>' + Array.from(employees)
+            .map(([email, name]) => `<option value="${email}">${name}</option>`).join('');
+        employeeSelect.value = employees.has(SEARCH_STATE.employee) ? SEARCH_STATE.employee : 'all';
+        SEARCH_STATE.employee = employeeSelect.value;
+        // Staff only ever load their own orders
+        employeeSelect.closest('div')?.classList.toggle('hidden', !canManageOrders(APP_STATE.role));
+    }
+    if (`${SEARCH_STATE.service}|${SEARCH_STATE.employee}` !== previous) displayOrders();
+}
+
+function toggleAdvancedSearch() {
+    document.getElementById('advancedSearchPanel')?.classList.toggle('hidden');
+}
+
+// Back to today's orders, newest first, no text or filters
+function clearSearch() {
+    const dateChanged = SEARCH_STATE.date !== 'today';
+    Object.assign(SEARCH_STATE, { text: '', date: 'today', service: 'all', employee: 'all', sort: 'newest' });
+    const values = { searchInput: '', dateFilter: 'today', serviceFilter: 'all', employeeFilter: 'all', sortOptions: 'newest' };
+    Object.keys(values).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = values[id];
+    });
+    if (dateChanged) refreshOrders();
+    else displayOrders();
+}
+
+let searchInputTimer = null;
+document.getElementById('searchInput')?.addEventListener('input', (e) => {
+    clearTimeout(searchInputTimer);
+    searchInputTimer = setTimeout(() => {
+        SEARCH_STATE.text = e.target.value;
+        displayOrders();
+    }, 200);
+});
+// Another date range needs another fetch; the rest filter what is loaded
+document.getElementById('dateFilter')?.addEventListener('change', (e) => {
+    SEARCH_STATE.date = e.target.value;
+    refreshOrders();
+});
+[['serviceFilter', 'service'], ['employeeFilter', 'employee'], ['sortOptions', 'sort']].forEach(([id, key]) => {
+    document.getElementById(id)?.addEventListener('change', (e) => {
+        SEARCH_STATE[key] = e.target.value;
+        displayOrders();
+    });
+});
+
+window.toggleAdvancedSearch = toggleAdvancedSearch;
+window.clearSearch = clearSearch;
+window.buildFilterOptions = buildFilterOptions;
+
+console.log('Search module loaded');
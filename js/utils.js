@@ -30,17 +30,77 @@ const ClientValidator = {
             throw new Error('Ghi chú quá dài (tối đa 500 ký tự)');
         }
         return notes ? notes.trim() : '';
+    },
+
+    MAX_ORDER_ITEMS: 20,
+
+    validateQuantity: function(quantity) {
+        const num = Number(quantity);
+        if (!Number.isInteger(num) || num < 1 || num > 99) {
+            throw new Error('Số lượng phải từ 1 đến 99');
+        }
+        return num;
+    },
+
+    // Discount / tip in thousands; blank means 0
+    validateAmount: function(amount, label) {
+        if (amount === undefined || amount === null || amount === '') return 0;
+        const num = Number(amount);
+        if (isNaN(num) || num < 0 || num > this.MAX_PRICE) {
+            throw new Error(`${label} phải từ 0 đến 50,000,000 VNĐ`);
+        }
+        return num;
+    },
+
+    // items in VND ({ service, quantity, unitPrice }), discount in VND
+    validateItems: function(items, discount) {
+        if (!items || items.length === 0) {
+            throw new Error('Vui lòng chọn dịch vụ');
+        }
+        if (items.length > this.MAX_ORDER_ITEMS) {
+            throw new Error('Tối đa 20 dịch vụ mỗi đơn');
+        }
+        if ((discount || 0) > orderSubtotal(items)) {
+            throw new Error('Giảm giá lớn hơn tổng tiền dịch vụ');
+        }
+        return items;
+    },
+
+    // Optional; same rule as the server: 0 + 9-10 digits once spaces/dots/+84 are stripped
+    validatePhone: function(phone) {
+        const normalized = normalizePhoneInput(phone);
+        if (normalized && !/^0\d{9,10}$/.test(normalized)) {
+            throw new Error('Số điện thoại không hợp lệ');
+        }
+        return normalized;
     }
 };
 
+// "+84 90 123 4567" / "090.123.4567" → "0901234567"
+function normalizePhoneInput(phone) {
+    let digits = String(phone || '').replace(/\D+/g, '');
+    if (digits.startsWith('84') && digits.length >= 11) digits = '0' + digits.slice(2);
+    return digits;
+}
+
 console.log('Utils module loaded');
 
+// How long the "Hoàn tác" (undo) button stays on the delete toast
+const UNDO_WINDOW_MS = 5000;
+
 // Delete order via API and refresh list
 window.onDeleteOrderClick = async function(orderId) {
     try {
         if (!orderId) return;
         if (!confirm('Bạn có chắc muốn xóa đơn hàng này?')) return;
 
+        // Not on the server yet: just drop it from the offline outbox
+        if (typeof window.isPendingOrder === 'function' && window.isPendingOrder(orderId)) {
+            await window.discardPendingOrder(orderId);
+            if (typeof window.showToast === 'function') showToast('Đã xóa đơn chờ đồng bộ', 'success');
+            return;
+        }
+
         if (typeof window.deleteOrder !== 'function') {
             console.error('deleteOrder API function not available');
             alert('API delete not available');
@@ -48,8 +108,20 @@ window.onDeleteOrderClick = async function(orderId) {
         }
 
         if (typeof window.showLoading === 'function') showLoading(true);
-        await window.deleteOrder(orderId);
-        if (typeof window.showToast === 'function') showToast('Đã xóa đơn hàng', 'success');
+        const response = await window.deleteOrder(orderId);
+        if (response && (response.error || response.success === false)) {
+            throw new Error(response.error || 'API error');
+        }
+        // Sent over no-cors and the read-back never showed it gone: don't claim it is
+        if (response && response.unconfirmed) {
+            if (typeof window.showToast === 'function') showToast('Chưa xác nhận được đơn đã xóa. Vui lòng kiểm tra lại danh sách.', 'warning');
+        } else if (typeof window.showToast === 'function') {
+            showToast('Đã xóa đơn hàng', 'success', {
+                actionLabel: 'Hoàn tác',
+                duration: UNDO_WINDOW_MS,
+                onAction: () => window.onRestoreOrderClick(orderId)
+            });
+        }
         if (typeof window.refreshOrders === 'function') await window.refreshOrders();
     } catch (err) {
         console.error('Failed to delete order via API:', err);
@@ -59,7 +131,30 @@ window.onDeleteOrderClick = async function(orderId) {
     }
 };
 
-// Save order via API and return a normalized object for UI rendering
+// Undo a delete: move the row back from the "Đã xóa" sheet
+window.onRestoreOrderClick = async function(orderId) {
+    try {
+        if (!orderId || typeof window.restoreOrder !== 'function') return;
+        if (typeof window.showLoading === 'function') showLoading(true);
+        const response = await window.restoreOrder(orderId);
+        if (response && (response.error || response.success === false)) {
+            throw new Error(response.error || 'API error');
+        }
+        if (typeof window.showToast === 'function') {
+            if (response && response.unconfirmed) showToast('Chưa xác nhận được đơn đã khôi phục. Vui lòng kiểm tra lại danh sách.', 'warning');
+            else showToast('Đã khôi phục đơn hàng', 'success');
+        }
+        if (typeof window.refreshOrders === 'function') await window.refreshOrders();
+    } catch (err) {
+        console.error('Failed to restore order via API:', err);
+        if (typeof window.showToast === 'function') showToast('Không thể khôi phục đơn hàng', 'error');
+    } finally {
+        if (typeof window.showLoading === 'function') showLoading(false);
+    }
+};
+
+// Save order via API and return a normalized object for UI rendering. Success and failure are the
+// caller's to announce (it knows about loyalty points); only queuing offline is reported here
 window.saveOrderRealtime = async function(order) {
     try {
         const hasAPI = (
@@ -68,24 +163,41 @@ window.saveOrderRealtime = async function(order) {
             window.APP_CONFIG.API_BASE_URL &&
             !window.APP_CONFIG.API_BASE_URL.includes('DEMO_ID')
         );
-        if (!hasAPI) throw new Error('API not configured');
+        if (!hasAPI) {
+            const configErr = new Error('API not configured');
+            configErr.permanent = true;
+            throw configErr;
+        }
 
         if (typeof window.showLoading === 'function') showLoading(true);
 
         const response = await Promise.race([
             window.createOrder({
+                id: order.id,
                 employee: order.employee,
                 service: order.service,
                 // Backend accepts both VND and thousands; we send VND
                 price: order.price,
-                notes: order.notes
+                notes: order.notes,
+                items: order.items,
+                discount: order.discount,
+                tip: order.tip,
+                paymentMethod: order.paymentMethod,
+                customerPhone: order.customerPhone,
+                customerName: order.customerName,
+                reward: order.reward,
+                appointmentId: order.appointmentId,
+                queueId: order.queueId
             }),
             new Promise((_, reject) => setTimeout(() => reject(new Error('API timeout after 10s')), 10000))
         ]);
 
         // Surface backend errors
         if (response && (response.error || response.success === false)) {
-            throw new Error(response.error || 'API error');
+            const apiErr = new Error(response.error || 'API error');
+            // Rejected by the backend: retrying from the outbox would fail the same way
+            apiErr.permanent = true;
+            throw apiErr;
         }
 
         // Some GAS deployments (no-cors) don't return full JSON; normalize for UI
@@ -96,19 +208,83 @@ window.saveOrderRealtime = async function(order) {
             service: raw.service || order.service,
             price: typeof raw.price !== 'undefined' ? parseInt(raw.price) : order.price,
             notes: typeof raw.notes !== 'undefined' ? raw.notes : order.notes,
+            items: raw.items || order.items,
+            discount: typeof raw.discount !== 'undefined' ? raw.discount : order.discount,
+            tip: typeof raw.tip !== 'undefined' ? raw.tip : order.tip,
+            paymentMethod: typeof raw.paymentMethod !== 'undefined' ? raw.paymentMethod : order.paymentMethod,
+            customerPhone: typeof raw.customerPhone !== 'undefined' ? raw.customerPhone : order.customerPhone,
+            customerName: typeof raw.customerName !== 'undefined' ? raw.customerName : order.customerName,
             employee: raw.employee || order.employee,
-            employeeName: raw.employeeName || ''
+            employeeName: raw.employeeName || '',
+            // Points earned/redeemed by this order (customer orders only)
+            loyalty: (response && response.loyalty) || null
         };
 
-        if (typeof window.showToast === 'function') showToast('Đã lưu đơn hàng thành công', 'success');
         if (typeof window.refreshStatsFromAPI === 'function') setTimeout(window.refreshStatsFromAPI, 300);
         return normalized;
     } catch (err) {
         console.error('Failed to save order via API:', err);
-        if (typeof window.showToast === 'function') showToast('Không thể lưu đơn. Vui lòng thử lại.', 'error');
+        // Network/timeout failures: keep the order in the offline outbox instead of losing it
+        if (!err.permanent && typeof window.saveOrderOffline === 'function') {
+            try {
+                const queued = await window.saveOrderOffline(order);
+                if (typeof window.showToast === 'function') showToast('Mất kết nối. Đơn sẽ tự đồng bộ khi có mạng.', 'warning');
+                return queued;
+            } catch (queueErr) {
+                console.error('Failed to queue order offline:', queueErr);
+            }
+        }
         throw err;
     } finally {
         if (typeof window.showLoading === 'function') showLoading(false);
     }
 };
 
+
+// Update order via API and return the normalized saved order
+window.updateOrderRealtime = async function(orderId, changes) {
+    try {
+        if (typeof window.updateOrder !== 'function') throw new Error('API update not available');
+
+        if (typeof window.showLoading === 'function') showLoading(true);
+        const response = await window.updateOrder(orderId, changes);
+
+        if (!response || response.error || response.success === false) {
+            throw new Error((response && response.error) || 'API error');
+        }
+        // no-cors fallback: updateOrder read the order back and it never matched what we sent
+        if (response.unconfirmed || !response.order) {
+            const unconfirmedErr = new Error('Chưa xác nhận được đơn đã sửa. Vui lòng kiểm tra lại danh sách.');
+            unconfirmedErr.unconfirmed = true;
+            throw unconfirmedErr;
+        }
+        // The server's row, not the values we sent: it prices the order (reward discount included)
+        const raw = response.order;
+        const updated = {
+            id: raw.id || orderId,
+            timestamp: raw.timestamp,
+            service: raw.service,
+            price: parseInt(raw.price),
+            notes: raw.notes,
+            items: raw.items,
+            discount: raw.discount,
+            tip: raw.tip,
+            paymentMethod: raw.paymentMethod,
+            customerPhone: raw.customerPhone,
+            customerName: raw.customerName,
+            employee: raw.employee,
+            employeeName: raw.employeeName
+        };
+
+        if (typeof window.showToast === 'function') showToast('Đã cập nhật đơn hàng', 'success');
+        if (typeof window.refreshStatsFromAPI === 'function') setTimeout(window.refreshStatsFromAPI, 300);
+        return updated;
+    } catch (err) {
+        console.error('Failed to update order via API:', err);
+        if (typeof window.showToast === 'function') showToast(err.message || 'Không thể cập nhật đơn hàng', err.unconfirmed ? 'warning' : 'error');
+        if (err.unconfirmed && typeof window.refreshOrders === 'function') window.refreshOrders();
+        throw err;
+    } finally {
+        if (typeof window.showLoading === 'function') showLoading(false);
+    }
+};
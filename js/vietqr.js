@@ -0,0 +1,96 @@
+// VietQR (Napas EMVCo) payload builder for bank-transfer payments
+// Pure functions: config + amount + reference in, QR payload string out
+'use strict';
+
+const VietQR = (function() {
+    const NAPAS_GUID = 'A000000727';
+    const SERVICE_TO_ACCOUNT = 'QRIBFTTA';
+    const CURRENCY_VND = '704';
+    const COUNTRY_VN = 'VN';
+    // Banks show at most this many characters of the transfer content
+    const MAX_PURPOSE_LENGTH = 25;
+
+    // EMVCo TLV field: 2-digit ID, 2-digit length, value
+    function field(id, value) {
+        const text = String(value);
+        if (text.length > 99) throw new Error(`VietQR field ${id} too long`);
+        return id + String(text.length).padStart(2, '0') + text;
+    }
+
+    // CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as 4 uppercase hex digits
+    function crc16(text) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < text.length; i++) {
+            crc ^= text.charCodeAt(i) << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+                crc &= 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    // Transfer content must be plain ASCII: drop Vietnamese diacritics and symbols
+    function sanitizePurpose(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .replace(/[^A-Za-z0-9 ]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, MAX_PURPOSE_LENGTH)
+            .trim();
+    }
+
+    /**
+     * Build the payload.
+     * bankBin: 6-digit Napas BIN, accountNo: beneficiary account,
+     * amount: VND integer (omit for a static QR), purpose: transfer content (order reference)
+     */
+    function buildPayload({ bankBin, accountNo, amount, purpose }) {
+        const bin = String(bankBin || '').trim();
+        const account = String(accountNo || '').replace(/\s+/g, '');
+        if (!/^\d{6}$/.test(bin)) throw new Error('Mã BIN ngân hàng không hợp lệ');
+        if (!/^[A-Za-z0-9]{1,19}$/.test(account)) throw new Error('Số tài khoản không hợp lệ');
+
+        const hasAmount = amount !== undefined && amount !== null && amount !== '';
+        const vnd = Math.round(Number(amount));
+        if (hasAmount && (!Number.isFinite(vnd) || vnd <= 0 || String(vnd).length > 13)) {
+            throw new Error('Số tiền không hợp lệ');
+        }
+
+        const beneficiary = field('00', bin) + field('01', account);
+        const merchantAccount = field('00', NAPAS_GUID) + field('01', beneficiary) + field('02', SERVICE_TO_ACCOUNT);
+        const content = sanitizePurpose(purpose);
+
+        let payload = field('00', '01') +
+            // 12 = dynamic (one-off amount), 11 = static
+            field('01', hasAmount ? '12' : '11') +
+            field('38', merchantAccount) +
+            field('53', CURRENCY_VND) +
+            (hasAmount ? field('54', vnd) : '') +
+            field('58', COUNTRY_VN) +
+            (content ? field('62', field('08', content)) : '');
+        payload += '6304';
+        return payload + crc16(payload);
+    }
+
+    // Transfer content for an order: "<prefix> <order id>"; the prefix is shortened so the id always fits
+    function orderPurpose(orderId, prefix) {
+        const id = sanitizePurpose(String(orderId || '').toUpperCase()).replace(/ /g, '');
+        const room = MAX_PURPOSE_LENGTH - id.length - 1;
+        const head = room > 0 ? sanitizePurpose(prefix).slice(0, room).trim() : '';
+        return head ? `${head} ${id}` : id;
+    }
+
+    return {
+        buildPayload,
+        orderPurpose,
+        crc16,
+        sanitizePurpose
+    };
+})();
+
+window.VietQR = VietQR;
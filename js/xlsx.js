@@ -0,0 +1,189 @@
+// Minimal XLSX writer: one worksheet of text/number cells, bold rows and one money format
+// Kept dependency-free (stored zip, inline strings) so exports work without a CDN
+'use strict';
+
+const XLSXWriter = (function() {
+    const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    // Style ids in styles.xml: 0 plain, 1 bold, 2 money, 3 bold money
+    const STYLE_BOLD = 1;
+    const STYLE_MONEY = 2;
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+    }
+
+    // 0 → A, 26 → AA
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    // Cell: string, number, null, or { money: number }
+    function cellXml(cell, ref, bold) {
+        if (cell === null || cell === undefined || cell === '') return '';
+        if (typeof cell === 'object' && typeof cell.money === 'number') {
+            return `<c r="${ref}" s="${bold ? STYLE_MONEY + 1 : STYLE_MONEY}"><v>${cell.money}</v></c>`;
+        }
+        const style = bold ? ` s="${STYLE_BOLD}"` : '';
+        if (typeof cell === 'number' && isFinite(cell)) return `<c r="${ref}"${style}><v>${cell}</v></c>`;
+        return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+    }
+
+    function sheetXml(rows, columnWidths) {
+        const cols = (columnWidths || []).map((width, i) =>
+            `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('');
+        const body = rows.map((row, r) => {
+            const cells = row.cells.map((cell, c) => cellXml(cell, columnName(c) + (r + 1), row.bold)).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+        return XML_HEADER +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${body}</sheetData></worksheet>`;
+    }
+
+    function stylesXml(moneyFormat) {
+        return XML_HEADER +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<numFmts count="1"><numFmt numFmtId="164" formatCode="${escapeXml(moneyFormat)}"/></numFmts>` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+            '</cellXfs></styleSheet>';
+    }
+
+    // Zip with every entry stored (no compression): small files, no inflate code needed
+    function zip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let pos = 0;
+        parts.forEach(part => {
+            out.set(part, pos);
+            pos += part.length;
+        });
+        return out;
+    }
+
+    /**
+     * rows: [{ cells: [...], bold }] → .xlsx bytes.
+     * options: sheetName (max 31 chars), columnWidths (characters), moneyFormat (Excel format code).
+     */
+    function build(rows, options = {}) {
+        const sheetName = escapeXml(String(options.sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+        const moneyFormat = options.moneyFormat || '#,##0"đ"';
+        return zip([
+            {
+                name: '[Content_Types].xml',
+                content: XML_HEADER +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: XML_HEADER +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: XML_HEADER +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: XML_HEADER +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', content: sheetXml(rows, options.columnWidths) },
+            { name: 'xl/styles.xml', content: stylesXml(moneyFormat) }
+        ]);
+    }
+
+    return {
+        build,
+        crc32
+    };
+})();
+
+window.XLSXWriter = XLSXWriter;
@@ -1,5 +1,8 @@
 // Minimal Service Worker (no offline caching)
 // Purpose: satisfy PWA installability without changing network behavior
+// and replay orders queued in the offline outbox once the network is back
+
+importScripts('js/outbox.js' + self.location.search);
 
 self.addEventListener('install', (event) => {
   // Activate immediately on first install
@@ -17,9 +20,32 @@ self.addEventListener('message', (event) => {
     if (event && event.data && event.data.type === 'SKIP_WAITING') {
       self.skipWaiting();
     }
+    if (event && event.data && event.data.type === 'REPLAY_OUTBOX') {
+      event.waitUntil(replayOutbox());
+    }
   } catch (_) {}
 });
 
+// Background Sync: browser fires this when connectivity returns
+self.addEventListener('sync', (event) => {
+  if (event.tag === OrderOutbox.SYNC_TAG) {
+    event.waitUntil(replayOutbox(true));
+  }
+});
+
+// Replay queued orders and tell open pages what happened
+function replayOutbox(retryOnLeftover) {
+  return OrderOutbox.replay().then((result) => {
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'OUTBOX_REPLAYED', result }));
+      // Rejecting lets the browser schedule another sync attempt
+      if (retryOnLeftover && result.remaining > 0 && !result.blocked) {
+        throw new Error('Outbox not fully replayed');
+      }
+    });
+  });
+}
+
 // Pass-through fetch handler (no caching, no offline)
 // Only handle navigations/HTML to keep index fresh; allow normal caching for others
 self.addEventListener('fetch', (event) => {
@@ -0,0 +1,89 @@
+// Unit tests for js/vietqr.js — run with: node --test tests/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// vietqr.js is a browser script (exports on window): run it in a bare context
+function loadVietQR() {
+    const context = { window: {} };
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'vietqr.js'), 'utf8');
+    vm.runInNewContext(source, context, { filename: 'vietqr.js' });
+    return context.window.VietQR;
+}
+
+const VietQR = loadVietQR();
+const ACCOUNT = { bankBin: '970436', accountNo: '0011000597979' };
+
+test('crc16 is CRC-16/CCITT-FALSE', () => {
+    assert.equal(VietQR.crc16('123456789'), '29B1');
+    assert.equal(VietQR.crc16(''), 'FFFF');
+});
+
+test('buildPayload: dynamic QR fields in EMVCo order, checksum over everything before it', () => {
+    const payload = VietQR.buildPayload({ ...ACCOUNT, amount: 150000, purpose: 'Đơn HS1A2B3C' });
+    const body = '000201' + '010212' +
+        '38570010A00000072701270006970436011300110005979790208QRIBFTTA' +
+        '5303704' + '5406150000' + '5802VN' + '62160812Don HS1A2B3C' + '6304';
+    assert.equal(payload, body + VietQR.crc16(body));
+});
+
+test('buildPayload: known-good payload', () => {
+    assert.equal(
+        VietQR.buildPayload({ ...ACCOUNT, amount: 150000, purpose: 'SALON HS1A2B3C' }),
+        '00020101021238570010A00000072701270006970436011300110005979790208QRIBFTTA530370454061500005802VN62180814SALON HS1A2B3C630481DD'
+    );
+});
+
+test('buildPayload: static QR without amount or content', () => {
+    assert.equal(
+        VietQR.buildPayload(ACCOUNT),
+        '00020101021138570010A00000072701270006970436011300110005979790208QRIBFTTA53037045802VN6304846A'
+    );
+});
+
+test('buildPayload: rounds the amount and strips spaces from the account', () => {
+    const payload = VietQR.buildPayload({ bankBin: '970436', accountNo: '0011 0005 97979', amount: 149999.6 });
+    assert.match(payload, /01130011000597979/);
+    assert.match(payload, /5406150000/);
+});
+
+test('buildPayload: rejects a bad BIN', () => {
+    for (const bankBin of ['', '97043', '9704361', '97O436', undefined]) {
+        assert.throws(() => VietQR.buildPayload({ ...ACCOUNT, bankBin }), /Mã BIN ngân hàng không hợp lệ/);
+    }
+});
+
+test('buildPayload: rejects a bad account number', () => {
+    for (const accountNo of ['', '0011-000597', '12345678901234567890', undefined]) {
+        assert.throws(() => VietQR.buildPayload({ ...ACCOUNT, accountNo }), /Số tài khoản không hợp lệ/);
+    }
+});
+
+test('buildPayload: rejects a bad amount', () => {
+    for (const amount of [0, -1000, 'abc', NaN, Infinity, 1e13]) {
+        assert.throws(() => VietQR.buildPayload({ ...ACCOUNT, amount }), /Số tiền không hợp lệ/);
+    }
+});
+
+test('sanitizePurpose: ASCII only, diacritics and symbols dropped, 25 characters max', () => {
+    assert.equal(VietQR.sanitizePurpose('Thanh toán đơn #12 — Đẹp!'), 'Thanh toan don 12 Dep');
+    assert.equal(VietQR.sanitizePurpose('  a   b  '), 'a b');
+    assert.equal(VietQR.sanitizePurpose(null), '');
+    assert.equal(VietQR.sanitizePurpose('x'.repeat(40)).length, 25);
+    // No trailing space left by the cut
+    assert.equal(VietQR.sanitizePurpose('a'.repeat(24) + ' bcd'), 'a'.repeat(24));
+});
+
+test('orderPurpose: shortens the prefix so the whole order id fits', () => {
+    assert.equal(VietQR.orderPurpose('hs-1a2b3c', 'Salon'), 'Salon HS1A2B3C');
+    const purpose = VietQR.orderPurpose('hs-1a2b3c', 'Salon Hoa Hồng Quận Một');
+    assert.equal(purpose, 'Salon Hoa Hong Q HS1A2B3C');
+    assert.equal(purpose.length, 25);
+    assert.equal(VietQR.orderPurpose('hs-1a2b3c', ''), 'HS1A2B3C');
+    // An id that fills the limit leaves no room for the prefix
+    assert.equal(VietQR.orderPurpose('A'.repeat(25), 'Salon'), 'A'.repeat(25));
+});